@@ -1,48 +1,386 @@
 #!/usr/bin/env node
 
 const psd2json = require('../index.js');
+const { watch } = require('../lib/watch.js');
+const { runPool } = require('../lib/pool.js');
+const { isPsdFile, hasGlob, globBase, expandInputs, matchesInput } = require('../lib/inputs.js');
+const { validateOptions, findConfig, loadConfig, resolveOptions } = require('../lib/config.js');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 const args = process.argv.slice(2);
 
+const USAGE = `Usage: psd2json <psd-file-path> [output-directory] [options]
+       psd2json <psd-file|directory|glob>... [--out-dir=<output-directory>] [--watch] [options]
+       psd2json validate <json-file-path>...
+       psd2json comps <psd-file-path>...
+
+Options:
+  --out-dir=<dir>            Output directory, all other arguments are PSD files, directories or glob patterns
+  --quiet                    Only print errors
+  --verbose                  Print every image written
+  --log-format=<format>      Log format: text or json (one object per line on stderr)
+  --strict                   Fail a file if any of its layers failed to export
+  --config=<path>            Config file, instead of the psd2json.config.js or .psd2jsonrc.json found from the PSD up
+  --no-config                Ignore config files
+  --jobs=<n>                 Number of files converted in parallel (default: number of CPUs)
+  --watch                    Convert again whenever a PSD file changes (implies --incremental)
+  --flatten                  Export all images into a single directory with unique names
+  --max-width=<width>        Crop images to a maximum width
+  --max-height=<height>      Crop images to a maximum height
+  --fit                      Scale the whole document to fit into --max-width/--max-height instead of cropping
+  --kernel=<kernel>          Resampling kernel for --fit: nearest, linear, cubic, mitchell, lanczos2, lanczos3
+  --scales=<list>            Comma separated pixel densities to export, e.g. 1,2,3
+  --source-scale=<density>   Pixel density the PSD is designed at (default: largest of --scales)
+  --density-folders          Write densities to 1x/, 2x/... folders instead of @2x suffixes
+  --format=<format>          Image format: png, jpeg, webp, avif or auto (JPEG for opaque images)
+  --quality=<1-100>          Encoder quality
+  --effort=<level>           Encoder effort (webp 0-6, avif 0-9, palette png 1-10)
+  --palette                  Quantize PNG images to a palette
+  --nine-slice               Add slice insets from guides and detected from pixels
+  --nine-slice-guides        Add slice insets from the guides crossing images
+  --nine-slice-auto[=<list>] Detect slice insets for all images, or the listed names, paths or /regex/
+  --nine-slice-minimal       Export sliced images with a uniform center reduced to one pixel
+  --nine-slice-tolerance=<n> Channel difference still considered uniform (default 0)
+  --no-envelope              Output only the array of top level nodes, without document metadata
+  --layout                   Infer stacks, grids and anchor constraints of layers
+  --layout-tolerance=<px>    Difference still considered equal by --layout (default 2)
+  --artboards                Write every artboard as a document of its own, with its own image folder
+  --comps[=<list>]           Write every layer comp, or the listed names or ids, as <name>-<comp>.json
+  --target=<list>            Also export html, react (JSX component) and/or cocos (Cocos Creator prefab)
+  --shapes[=svg]             Export shape layers as shape nodes with SVG path data, =svg writes .svg files
+  --incremental[=<path>]     Only write changed images, tracked in a manifest (default <output>/<name>.manifest.json)
+  --trim                     Crop fully transparent margins from images
+  --bake-opacity             Apply layer opacity to exported images
+  --include-hidden           Keep hidden layers, marked with visible: false
+  --export-hidden-images     Export images of hidden layers too
+  --directives               Parse naming-convention directives from layer names
+  --merge-groups=<list>      Comma separated group names, paths or /regex/ to export as one image
+  --atlas                    Pack images into sprite sheets
+  --atlas-max-size=<px>      Maximum sheet size (default 2048)
+  --atlas-padding=<px>       Pixels between frames (default 2)
+  --atlas-extrude=<px>       Pixels to extrude around frames (default 0)
+  --atlas-pot                Use power-of-two sheet sizes
+  --atlas-trim               Trim transparent borders of frames
+  --atlas-format=<format>    Descriptor format: hash or array (default hash)`;
+
 if (args.length === 0) {
-  console.error('Usage: psd2json <psd-file-path> [output-directory] [--flatten] [--max-width=<width>] [--max-height=<height>]');
+  console.error(USAGE);
   process.exit(0);
 }
 
-const psdPath = path.resolve(args[0]);
-const outputPath = args[1] ? path.resolve(args[1]) : undefined;
-const flatten = args.includes('--flatten');
+// Validate exported JSON files against the schema
+if (args[0] === 'validate') {
+  let failed = false;
+  for (const file of args.slice(1)) {
+    const { valid, errors } = psd2json.validate(fs.readFileSync(path.resolve(file), 'utf-8'));
+    console.log(`${file}: ${valid ? 'valid' : 'invalid'}`);
+    for (const error of errors) {
+      console.log(`  ${error.path} ${error.message}`);
+    }
+    failed = failed || !valid;
+  }
+  process.exit(failed ? 1 : 0);
+}
 
-// Parse resolution parameters
-const maxWidth = args.find(arg => arg.startsWith('--max-width='));
-const maxHeight = args.find(arg => arg.startsWith('--max-height='));
+// List the layer comps of PSD files
+if (args[0] === 'comps') {
+  let failed = false;
+  for (const file of args.slice(1)) {
+    try {
+      const comps = psd2json.listLayerComps(file);
+      console.log(`${file}: ${comps.length === 0 ? 'no layer comps' : ''}`.trim());
+      for (const comp of comps) {
+        const captured = Object.keys(comp.captured).filter(key => comp.captured[key]).join(', ');
+        console.log(`  ${comp.id} ${comp.name}${captured ? ` (${captured})` : ''}${comp.comment ? ` - ${comp.comment}` : ''}`);
+      }
+    } catch (error) {
+      console.error(`${file}: ${error.message}`);
+      failed = true;
+    }
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+// Get the value of a --name=value argument
+function getValue(name) {
+  const arg = args.find(arg => arg.startsWith(`--${name}=`));
+  return arg === undefined ? undefined : arg.slice(name.length + 3);
+}
 
+// Without --out-dir, a second argument that is not a PSD file or a glob pattern is the output directory
+const positionals = args.filter(arg => !arg.startsWith('--'));
+const outDir = getValue('out-dir');
+const legacyOutput = outDir === undefined && positionals.length === 2 &&
+  !isPsdFile(positionals[1]) && !hasGlob(positionals[1]);
+const inputs = legacyOutput ? positionals.slice(0, 1) : positionals;
+const outputPath = outDir !== undefined ? path.resolve(outDir) : (legacyOutput ? path.resolve(positionals[1]) : undefined);
+const jobs = getValue('jobs') !== undefined ? parseInt(getValue('jobs'), 10) : os.cpus().length;
+const watchMode = args.includes('--watch');
+
+// Progress goes to stderr through the logger, stdout only gets the JSON of files without output directory
+const log = {
+  level: args.includes('--quiet') ? 'error' : (args.includes('--verbose') ? 'debug' : 'info'),
+  format: getValue('log-format') || 'text'
+};
+let logger = null;
+try {
+  logger = psd2json.createConsoleLogger(log);
+} catch (error) {
+  console.error('Error:', error.message);
+  process.exit(1);
+}
+// Options given on the command line, taking precedence over the config file
+const options = {};
+
+// Set a boolean option if its flag is given
+function setFlag(flag, key, value = true) {
+  if (args.includes(flag)) {
+    options[key] = value;
+  }
+}
+
+setFlag('--flatten', 'flattenImagePath');
+setFlag('--bake-opacity', 'bakeOpacity');
+setFlag('--trim', 'trim');
+setFlag('--shapes', 'shapes');
+if (getValue('shapes') !== undefined) {
+  options.shapes = getValue('shapes');
+}
+setFlag('--no-envelope', 'envelope', false);
+setFlag('--include-hidden', 'includeHidden');
+setFlag('--export-hidden-images', 'exportHiddenImages');
+setFlag('--directives', 'directives');
+setFlag('--density-folders', 'densityNaming', 'folder');
+
+// Parse a comma separated list of layer names, paths or /regex/
+function parsePatterns(value) {
+  return value.split(',').filter(Boolean).map(pattern => {
+    const regex = pattern.match(/^\/(.*)\/([a-z]*)$/);
+    return regex ? new RegExp(regex[1], regex[2]) : pattern;
+  });
+}
+
+if (getValue('merge-groups') !== undefined) {
+  options.mergeGroups = parsePatterns(getValue('merge-groups'));
+}
+
+// Parse resolution parameters
 const maxResolution = {};
-if (maxWidth) {
-  maxResolution.width = parseInt(maxWidth.split('=')[1], 10);
+if (getValue('max-width') !== undefined) {
+  maxResolution.width = parseInt(getValue('max-width'), 10);
+}
+if (getValue('max-height') !== undefined) {
+  maxResolution.height = parseInt(getValue('max-height'), 10);
+}
+if (args.includes('--fit')) {
+  maxResolution.mode = 'fit';
+}
+if (getValue('kernel') !== undefined) {
+  maxResolution.kernel = getValue('kernel');
+}
+if (Object.keys(maxResolution).length > 0) {
+  options.maxResolution = maxResolution;
+}
+
+// Parse density parameters
+if (getValue('scales') !== undefined) {
+  options.scales = getValue('scales').split(',').filter(Boolean).map(parseFloat);
+}
+if (getValue('source-scale') !== undefined) {
+  options.sourceScale = parseFloat(getValue('source-scale'));
+}
+
+// Parse image format parameters, quality and effort apply to every format (to PNG only with --palette)
+const imageFormat = {};
+if (getValue('format') !== undefined) {
+  imageFormat.format = getValue('format');
+}
+if (args.includes('--palette') || getValue('quality') !== undefined || getValue('effort') !== undefined) {
+  for (const format of args.includes('--palette') ? ['png', 'jpeg', 'webp', 'avif'] : ['jpeg', 'webp', 'avif']) {
+    imageFormat[format] = {};
+    if (getValue('quality') !== undefined) {
+      imageFormat[format].quality = parseInt(getValue('quality'), 10);
+    }
+    if (getValue('effort') !== undefined && format !== 'jpeg') {
+      imageFormat[format].effort = parseInt(getValue('effort'), 10);
+    }
+  }
+}
+if (imageFormat.png) {
+  imageFormat.png.palette = true;
 }
-if (maxHeight) {
-  maxResolution.height = parseInt(maxHeight.split('=')[1], 10);
+if (Object.keys(imageFormat).length > 0) {
+  options.imageFormat = imageFormat;
 }
 
-const options = outputPath ? {
-  outJsonDir: outputPath,
-  outImgDir: outputPath,
-  flattenImagePath: flatten,
-  maxResolution: Object.keys(maxResolution).length > 0 ? maxResolution : null
-} : undefined;
+// Parse nine-slice parameters
+if (args.some(arg => arg.startsWith('--nine-slice'))) {
+  const autoArg = getValue('nine-slice-auto');
+  options.nineSlice = {
+    guides: args.includes('--nine-slice') || args.includes('--nine-slice-guides'),
+    auto: autoArg ? parsePatterns(autoArg) : args.includes('--nine-slice') || args.includes('--nine-slice-auto'),
+    minimal: args.includes('--nine-slice-minimal')
+  };
+  if (getValue('nine-slice-tolerance') !== undefined) {
+    options.nineSlice.tolerance = parseInt(getValue('nine-slice-tolerance'), 10);
+  }
+}
 
-// 使用异步版本的psd2json
-psd2json.async(psdPath, options)
-  .then(result => {
-    if (!outputPath) {
-      console.log(result);
+// Parse atlas parameters
+if (args.some(arg => arg.startsWith('--atlas'))) {
+  const atlas = {
+    powerOfTwo: args.includes('--atlas-pot'),
+    trim: args.includes('--atlas-trim')
+  };
+  for (const [name, key] of [['atlas-max-size', 'maxSize'], ['atlas-padding', 'padding'], ['atlas-extrude', 'extrude']]) {
+    if (getValue(name) !== undefined) {
+      atlas[key] = parseInt(getValue(name), 10);
     }
-    console.log('Conversion completed successfully!');
-  })
+  }
+  if (getValue('atlas-format') !== undefined) {
+    atlas.format = getValue('atlas-format');
+  }
+  options.atlas = atlas;
+}
+
+if (args.includes('--layout') || getValue('layout-tolerance') !== undefined) {
+  options.layout = getValue('layout-tolerance') !== undefined ? { tolerance: parseFloat(getValue('layout-tolerance')) } : true;
+}
+if (getValue('target') !== undefined) {
+  options.targets = getValue('target').split(',').filter(Boolean);
+}
+
+setFlag('--strict', 'strict');
+setFlag('--artboards', 'artboards');
+setFlag('--comps', 'comps');
+if (getValue('comps') !== undefined) {
+  options.comps = getValue('comps').split(',').filter(Boolean);
+}
+setFlag('--incremental', 'incremental');
+setFlag('--watch', 'incremental');
+if (getValue('incremental') !== undefined) {
+  options.incremental = path.resolve(getValue('incremental'));
+}
+
+// Config file given by --config, none with --no-config, otherwise the one found from every PSD file up
+const configFile = args.includes('--no-config') ? false : getValue('config');
+
+// Summarize the layers added, removed and modified since the previous incremental export
+function formatChanges(changes) {
+  const parts = [['added', changes.added], ['removed', changes.removed], ['modified', changes.modified]]
+    .filter(([, layers]) => layers.length > 0)
+    .map(([label, layers]) => {
+      const names = layers.slice(0, 5).map(layer => layer.path);
+      const more = layers.length > names.length ? `, +${layers.length - names.length} more` : '';
+      return `${layers.length} ${label} (${names.join(', ')}${more})`;
+    });
+  return parts.length > 0 ? parts.join(', ') : 'no changes';
+}
+
+// Count the warnings and errors of a file, e.g. ", 2 warnings"
+function formatDiagnostics(diagnostics) {
+  return ['warning', 'error'].map(severity => {
+    const count = diagnostics.filter(diagnostic => diagnostic.severity === severity).length;
+    return count > 0 ? `, ${count} ${severity}${count > 1 ? 's' : ''}` : '';
+  }).join('');
+}
+
+// Command line options of one file, the directories of the inputs are mirrored in the output directory
+function getFileOptions({ file, base }) {
+  if (!outputPath) {
+    return options;
+  }
+  const outputDir = path.join(outputPath, path.relative(base, path.dirname(file)));
+  return Object.assign({}, options, { outJsonDir: outputDir, outImgDir: outputDir });
+}
+
+// Load the config files of the PSD files once up front, so errors are reported before converting anything
+function checkConfigs(files) {
+  validateOptions(options, 'command line options');
+  const configs = files.map(({ file }) => configFile === false ? null : (configFile || findConfig(path.dirname(file))));
+  new Set(configs.filter(Boolean).map(config => path.resolve(config))).forEach(loadConfig);
+}
+
+function relative(file) {
+  return path.relative(process.cwd(), file) || '.';
+}
+
+// Convert the PSD files in a pool of worker threads, printing a line per file
+async function run() {
+  const { files, missing } = expandInputs(inputs);
+  if (typeof options.incremental === 'string' && files.length > 1) {
+    throw new Error('--incremental=<path> can only be used with a single PSD file');
+  }
+  checkConfigs(files);
+  for (const input of missing) {
+    logger.error(`${input}: no PSD files found`, { file: input });
+  }
+
+  const tasks = files.map(entry => ({ file: entry.file, options: getFileOptions(entry), config: configFile, log }));
+  const results = await runPool(path.join(__dirname, '../lib/worker.js'), tasks, {
+    size: jobs,
+    onResult: (result, task) => {
+      if (result.error) {
+        logger.error(`${relative(task.file)}: ${result.error}`, { file: task.file, diagnostics: result.diagnostics });
+        return;
+      }
+      if (!result.written) {
+        console.log(result.json);
+      }
+      const changes = result.changes ? `, ${formatChanges(result.changes)}` : '';
+      const diagnostics = formatDiagnostics(result.diagnostics);
+      logger.info(`${relative(task.file)}: converted in ${(result.duration / 1000).toFixed(1)}s${changes}${diagnostics}`, {
+        file: task.file,
+        duration: result.duration,
+        changes: result.changes,
+        diagnostics: result.diagnostics
+      });
+    }
+  });
+
+  const failed = missing.length + results.filter(result => result.error).length;
+  if (failed > 0) {
+    logger.error(`${failed} of ${files.length + missing.length} failed.`, { failed, total: files.length + missing.length });
+    process.exitCode = 1;
+  } else {
+    logger.info(`Conversion completed successfully!${files.length > 1 ? ` (${files.length} files)` : ''}`, { total: files.length });
+  }
+}
+
+// Watch the inputs and convert the files that change, one at a time
+async function runWatch() {
+  const written = ({ file }) => {
+    const fileOptions = resolveOptions(file, options, configFile);
+    return fileOptions.outJsonDir || fileOptions.outImgDir;
+  };
+  if (!outputPath && !expandInputs(inputs).files.every(written)) {
+    throw new Error('--watch needs an output directory, given by --out-dir or the config');
+  }
+  await run();
+
+  const time = () => new Date().toLocaleTimeString();
+  const targets = inputs.map(input => hasGlob(input) ? globBase(path.resolve(input)) : path.resolve(input));
+  watch(targets, async file => {
+    const entry = expandInputs(inputs).files.find(candidate => candidate.file === file) ||
+      { file, base: path.dirname(file) };
+    const start = Date.now();
+    const fileOptions = Object.assign({ logger }, resolveOptions(file, getFileOptions(entry), configFile));
+    const { changes, diagnostics } = await psd2json.convert(file, fileOptions);
+    const duration = Date.now() - start;
+    logger.info(`[${time()}] ${relative(file)}: ${formatChanges(changes)}${formatDiagnostics(diagnostics)} in ${(duration / 1000).toFixed(1)}s`, {
+      file, duration, changes, diagnostics
+    });
+  }, {
+    filter: file => inputs.some(input => matchesInput(input, file)),
+    onError: (error, file) => logger.error(`[${time()}] ${relative(file)}: ${error.message}`, { file })
+  });
+  logger.info(`Watching ${inputs.join(', ')} for changes...`, { inputs });
+}
+
+(watchMode ? runWatch() : run())
   .catch(error => {
-    console.error('Error:', error.message);
+    logger.error(error.message);
     process.exit(1);
   });
-
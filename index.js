@@ -1,11 +1,33 @@
 const fs = require('fs');
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const path = require('path');
 const psd = require('psd');
 const mkdirp = require('mkdirp');
-const sharp = require('sharp'); // 使用sharp库进行图像处理
+const { extractRuns, extractParagraphs } = require('./lib/text');
+const { loadInfo } = require('./lib/layerinfo');
+const { extractEffects } = require('./lib/effects');
+const { renderGroup } = require('./lib/composite');
+const { DEFAULT_DIRECTIVES, parseDirectives } = require('./lib/directives');
+const { fromImage, createEmpty, cropBitmap, applyOpacity, trimBitmap, scaleBitmap, toSharp } = require('./lib/image');
+const { scaleRect, scaleStructure } = require('./lib/scale');
+const { DEFAULT_ATLAS_OPTIONS, writeAtlas } = require('./lib/atlas');
+const { DEFAULT_NINE_SLICE_OPTIONS, detectSlice, sliceFromGuides, createMinimalBitmap } = require('./lib/slice');
+const { readImageResources, parseGuides, parseGlobalAngle, parseSlices } = require('./lib/resources');
+const { isShapeLayer, extractShape } = require('./lib/shape');
+const { renderSvg } = require('./lib/svg');
+const { SCHEMA_VERSION, validate } = require('./lib/schema');
+const { hashBitmap, readManifest, getLayerKey, createManifest, compareManifests, removeStaleFiles } = require('./lib/manifest');
+const { version } = require('./package.json');
+const { DEFAULT_IMAGE_FORMAT, normalizeImageFormat, resolveFormat, getExtension, encode } = require('./lib/format');
+const { createConsoleLogger, createLogger } = require('./lib/logger');
+const { EXPORTERS, getExporter, runExporters } = require('./lib/exporters');
+const { DEFAULT_LAYOUT_OPTIONS, inferLayout } = require('./lib/layout');
+const { getArtboard } = require('./lib/artboard');
+const { readLayerComps, selectLayerComps, applyLayerComp } = require('./lib/comps');
 
 /**
- * Output PSD layout to JSON
+ * Convert PSD layout to JSON, writing the JSON and the images if output directories are set
  * @param {string} psdFile Relative path or absolute path of PSD file
  * @param {string|Object} [options] directory path or options
  * @param {string} [options.outJsonDir] Set to output files
@@ -14,16 +36,150 @@ const sharp = require('sharp'); // 使用sharp库进行图像处理
  * @param {Object} [options.maxResolution] Maximum resolution constraint for exported images
  * @param {number} [options.maxResolution.width] Maximum width in pixels
  * @param {number} [options.maxResolution.height] Maximum height in pixels
- * @returns {Promise<string>} JSON string of the PSD structure
+ * @param {string} [options.maxResolution.mode='crop'] 'crop' crops images to the maximum resolution,
+ *   'fit' scales the whole document (images, coordinates, text and effect sizes) to fit into it
+ * @param {string} [options.maxResolution.kernel='lanczos3'] Resampling kernel used by 'fit' (nearest, linear, cubic, mitchell, lanczos2, lanczos3)
+ * @param {boolean} [options.includeHidden] If true, hidden layers and groups are kept and marked with `visible: false`
+ * @param {boolean} [options.exportHiddenImages] If true, images of hidden layers are exported as well (requires includeHidden)
+ * @param {boolean|Array<Object>|Function} [options.directives] Parse naming-convention directives from layer names.
+ *   true uses the default grammar, an array of `{pattern, apply}` rules or a `(name) => fields` callback replaces it
+ * @param {string|RegExp|Function|Array} [options.mergeGroups] Groups to export as a single composited image.
+ *   Strings match a group name or its path (e.g. `ui/footer`), RegExps are tested against the path,
+ *   functions are called with `(name, groupPath)`
+ * @param {Array<number>} [options.scales] Pixel densities to export, e.g. [1, 2, 3]. Coordinates are then in logical points
+ * @param {number} [options.sourceScale] Pixel density the PSD is designed at, defaults to the largest of `scales`
+ * @param {string} [options.densityNaming='suffix'] 'suffix' names files `name@2x.png`, 'folder' writes them to `2x/`
+ * @param {boolean|Object} [options.nineSlice] Add `slice: {left, top, right, bottom}` insets to exported images
+ *   that have no `#9slice` directive. true enables guides and auto
+ * @param {boolean} [options.nineSlice.guides=false] Take insets from the outermost two guides crossing the image
+ * @param {boolean|string|RegExp|Function|Array} [options.nineSlice.auto=false] Detect insets from uniform rows and
+ *   columns of pixels, for every image or the layers matched like `mergeGroups`
+ * @param {boolean} [options.nineSlice.minimal=false] Export sliced images with a uniform center reduced to one row
+ *   and column, their size is then in `imageSize`
+ * @param {number} [options.nineSlice.tolerance=0] Channel difference still considered uniform by auto
+ * @param {number} [options.nineSlice.minStretch=4] Minimum length in px of the stretchable center found by auto
+ * @param {boolean|string} [options.shapes] If true, shape layers become `type: 'shape'` nodes with a `shape` object
+ *   (kind, SVG path data, fill, stroke, corner radii). 'svg' also writes them as .svg files instead of images
+ * @param {string|Object} [options.imageFormat='png'] Image format: png, jpeg, webp, avif, or auto (JPEG for opaque
+ *   images, PNG otherwise). An object `{format, background, png, jpeg, webp, avif}` sets the sharp encoder
+ *   options of each format, e.g. `{format: 'png', png: {palette: true, quality: 80}}`
+ * @param {boolean} [options.trim] If true, fully transparent margins are cropped from exported images. Nodes then
+ *   have the tight bounds in x/y/width/height and the untrimmed bounds in `sourceRect`
+ * @param {boolean} [options.bakeOpacity] If true, layer opacity and fill opacity are applied to the exported images
+ * @param {boolean|Object} [options.atlas] Pack exported images into sprite sheets instead of separate files
+ * @param {number} [options.atlas.maxSize=2048] Maximum width and height of a sheet
+ * @param {number} [options.atlas.padding=2] Pixels between frames
+ * @param {number} [options.atlas.extrude=0] Pixels to repeat around the edges of each frame
+ * @param {boolean} [options.atlas.powerOfTwo=false] Round sheet sizes up to powers of two
+ * @param {boolean} [options.atlas.trim=false] Remove transparent borders of frames
+ * @param {string} [options.atlas.format='hash'] TexturePacker descriptor format, 'hash' or 'array'
+ * @param {boolean|string} [options.incremental] Compare with the manifest of the previous export and only write images
+ *   whose pixels changed. true keeps the manifest next to the JSON as `<name>.manifest.json`, or next to the PSD
+ *   without output directories, a string sets its path
+ * @param {boolean} [options.envelope=true] If false, only the array of top level nodes is output instead of
+ *   the versioned document
+ * @param {Object} [options.logger] Object with `debug`, `info`, `warn` and `error` methods, called with a message
+ *   and fields such as `layer` and `code`. Missing methods are silent, by default warnings and errors go to stderr
+ * @param {Function} [options.onProgress] Called with the name and data of progress events: `parse:start`,
+ *   `parse:end`, `layer:start` and `layer:done` with `index` and `total`, and `image:written`
+ * @param {AbortSignal} [options.signal] Cancels the conversion, which then rejects with the reason of the signal.
+ *   Images written before are kept
+ * @param {boolean} [options.strict] If true, the promise is rejected when a layer failed to export. The error
+ *   has the `diagnostics`, nothing but the images exported before is written
+ * @param {boolean|Object} [options.layout] Infer the layout once the structure is complete: groups get `layout`
+ *   (`direction`, `gap`, `padding`, `align`) when their children form a stack or grid, nodes get `constraints`
+ * @param {number} [options.layout.tolerance=2] Difference in px still considered equal
+ * @param {boolean} [options.artboards] If true and the PSD has artboards, every artboard is written as a document
+ *   of its own, `<artboard>.json` with its images in `<artboard>/`. Layers outside artboards are left out
+ * @param {boolean|string|number|Array} [options.comps] Layer comps to export, by name or id, true for all of them.
+ *   Every comp is applied to the layers before they are traversed and written as `<name>-<comp>.json` with its
+ *   images in `<name>-<comp>/`. See listLayerComps()
+ * @param {string|Object|Array} [options.targets] Exporters turning the document into code: 'html', 'react', 'cocos'
+ *   or objects with a `name` and an `export(document, context)` method, see lib/exporters.js. Their files are
+ *   written next to the JSON
+ * @returns {Promise<Object>} `{json, document, changes, diagnostics, exports}`: the JSON string, the document it
+ *   contains, in incremental mode the `added`, `removed` and `modified` layers as `{key, name, path}`, the problems
+ *   with layers as `{severity, code, layer, id, message}`, severity being 'warning' or 'error', and the files of
+ *   the exporters as `{target, path, contents}`. With `artboards`, `artboards` lists the `{name, json, document}`
+ *   of every artboard. With `comps`, `comps` lists the results of every comp as `{comp, json, document, changes,
+ *   artboards}`, `json`, `document` and `changes` are those of the first comp
  */
-async function psd2json(psdFile, options = {}) {
+async function convert(psdFile, options = {}) {
+  if (typeof options === 'string' || !options.comps) {
+    return convertComp(psdFile, options, null);
+  }
+
+  const comps = listLayerComps(psdFile);
+  if (comps.length === 0 && options.comps === true) {
+    createLogger(options.logger).warn(`${path.resolve(psdFile)} has no layer comps, writing the document as saved`, { file: path.resolve(psdFile) });
+    return convertComp(psdFile, options, null);
+  }
+
+  // Every comp is a conversion of its own, the PSD is parsed again to start from the saved state of the layers
+  const results = [];
+  for (const comp of selectLayerComps(comps, options.comps)) {
+    results.push(Object.assign({ comp: { id: comp.id, name: comp.name } }, await convertComp(psdFile, options, comp)));
+  }
+  return Object.assign({}, results[0], {
+    diagnostics: [].concat(...results.map(result => result.diagnostics)),
+    exports: [].concat(...results.map(result => result.exports)),
+    artboards: null,
+    comps: results.map(({ comp, json, document, changes, artboards }) => ({ comp, json, document, changes, artboards }))
+  });
+}
+
+/**
+ * List the layer comps of a PSD
+ * @param {string} psdFile Relative path or absolute path of PSD file
+ * @returns {Array<{id: number, name: string, comment: string, captured: Object}>} Comps in the order of the comps
+ *   panel, `captured` tells whether the comp records `visibility`, `position` and `appearance` of the layers
+ */
+function listLayerComps(psdFile) {
+  const psdData = psd.fromFile(path.resolve(psdFile));
+  psdData.parse();
+  return readLayerComps(psdData);
+}
+
+/**
+ * Convert a PSD with the layers in the state of a layer comp, see convert()
+ * @param {string} psdFile Relative path or absolute path of PSD file
+ * @param {string|Object} options directory path or options
+ * @param {Object|null} comp Comp from readLayerComps(), null for the saved state
+ * @returns {Promise<Object>} See convert()
+ */
+async function convertComp(psdFile, options, comp) {
   const psdFilePath = path.resolve(psdFile);
   const psdFileName = path.basename(psdFilePath, path.extname(psdFilePath));
+  // Comps are written next to each other, the comp name is added to the files of the document
+  const compSuffix = comp ? `-${comp.name.replace(/[\\/:*?"<>|]/g, '_')}` : '';
+  const outputName = psdFileName + compSuffix;
 
   let outImgDir = '';
   let outJsonDir = '';
   let flattenImagePath = false;
   let maxResolution = null;
+  let bakeOpacity = false;
+  let trim = false;
+  let nineSlice = null;
+  let shapes = false;
+  let envelope = true;
+  let strict = false;
+  let targets = [];
+  let layout = null;
+  let artboards = false;
+  let logger = createLogger();
+  let onProgress = null;
+  let signal = null;
+  let incremental = false;
+  let atlas = null;
+  let scales = null;
+  let sourceScale = 1;
+  let densityNaming = 'suffix';
+  let imageFormat = normalizeImageFormat();
+  let includeHidden = false;
+  let exportHiddenImages = false;
+  let directives = null;
+  let mergeGroups = [];
 
   if (typeof options === 'string') {
     outImgDir = options;
@@ -33,19 +189,77 @@ async function psd2json(psdFile, options = {}) {
     outJsonDir = options.outJsonDir || '';
     flattenImagePath = options.flattenImagePath || false;
     maxResolution = options.maxResolution || null;
+    bakeOpacity = options.bakeOpacity || false;
+    trim = options.trim || false;
+    nineSlice = options.nineSlice
+      ? Object.assign({}, DEFAULT_NINE_SLICE_OPTIONS, options.nineSlice === true ? { guides: true, auto: true } : options.nineSlice)
+      : null;
+    scales = options.scales && options.scales.length > 0 ? options.scales : null;
+    sourceScale = options.sourceScale || (scales ? Math.max(...scales) : 1);
+    densityNaming = options.densityNaming || 'suffix';
+    imageFormat = normalizeImageFormat(options.imageFormat);
+    shapes = options.shapes || false;
+    envelope = options.envelope !== false;
+    strict = options.strict || false;
+    targets = [].concat(options.targets || []).map(getExporter);
+    artboards = options.artboards || false;
+    layout = options.layout ? Object.assign({}, DEFAULT_LAYOUT_OPTIONS, options.layout === true ? {} : options.layout) : null;
+    logger = createLogger(options.logger);
+    onProgress = options.onProgress || null;
+    signal = options.signal || null;
+    incremental = options.incremental || false;
+    atlas = options.atlas ? Object.assign({}, DEFAULT_ATLAS_OPTIONS, options.atlas === true ? {} : options.atlas) : null;
+    includeHidden = options.includeHidden || false;
+    exportHiddenImages = options.exportHiddenImages || false;
+    directives = options.directives === true ? DEFAULT_DIRECTIVES : (options.directives || null);
+    mergeGroups = [].concat(options.mergeGroups || []);
   }
 
   // Store used filenames to ensure uniqueness
   const usedFileNames = new Set();
 
+  // Images collected for the sprite sheets in atlas mode
+  const atlasSprites = [];
+
+  // Shape nodes written as SVG once the structure is scaled
+  const svgShapes = [];
+
+  // Problems with layers, exports carry on without the layer unless strict
+  const diagnostics = [];
+
+  // Pixel hashes and written files of the nodes, recorded in the manifest of incremental exports
+  const pixelHashes = new Map();
+  const outputFiles = new Map();
+
+  // Images and sprite sheets of the nodes by density, for the exporters
+  const nodeImages = new Map();
+  // Without output directories, the manifest is kept next to the PSD
+  const manifestPath = typeof incremental === 'string'
+    ? path.resolve(incremental)
+    : path.resolve(outJsonDir || outImgDir || path.dirname(psdFilePath), outputName + '.manifest.json');
+  const previousManifest = incremental ? readManifest(manifestPath) : null;
+
+  // Helper function to report progress to the onProgress callback
+  function progress(event, data) {
+    if (onProgress) {
+      onProgress(event, Object.assign({ file: psdFilePath }, data));
+    }
+  }
+
+  // Helper function to stop when the conversion was aborted
+  function checkAborted() {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+  }
+
   // Helper function to generate unique filename
-  function getUniqueFileName(baseName, nodePath) {
+  function getUniqueFileName(baseName, nodePath, extension = '.png') {
     if (!flattenImagePath) {
-      return baseName;
+      return baseName + extension;
     }
 
-    // Remove file extension if present
-    let nameWithoutExt = baseName.replace(/\.[^/.]+$/, "");
+    let nameWithoutExt = baseName;
 
     // Create a unique name by combining path segments when in flatten mode
     if (nodePath) {
@@ -56,207 +270,257 @@ async function psd2json(psdFile, options = {}) {
     let counter = 1;
 
     // Add number suffix if name is already used
-    while (usedFileNames.has(uniqueName + '.png')) {
+    while (usedFileNames.has(uniqueName + extension)) {
       uniqueName = `${nameWithoutExt}_${counter}`;
       counter++;
     }
 
-    uniqueName += '.png';
+    uniqueName += extension;
     usedFileNames.add(uniqueName);
     return uniqueName;
   }
 
-  // Helper function to calculate scaled dimensions
-  function calculateScaledDimensions(width, height) {
-    if (!maxResolution || (!maxResolution.width && !maxResolution.height)) {
-      return { width, height };
+  // Helper function to generate a unique atlas frame name from the layer path
+  const usedFrameNames = new Set();
+  function getUniqueFrameName(name, nodePath) {
+    const frameName = (nodePath + name).split(path.sep).join('/');
+    let uniqueName = frameName;
+    let counter = 1;
+    while (usedFrameNames.has(uniqueName)) {
+      uniqueName = `${frameName}_${counter}`;
+      counter++;
+    }
+    usedFrameNames.add(uniqueName);
+    return uniqueName;
+  }
+
+  // Helper function to calculate the document-wide scale factor of the 'fit' mode
+  function calculateDocumentScale(width, height) {
+    if (!maxResolution || maxResolution.mode !== 'fit' || (!maxResolution.width && !maxResolution.height)) {
+      return 1;
     }
 
     const maxWidth = maxResolution.width || Infinity;
     const maxHeight = maxResolution.height || Infinity;
 
-    // 计算缩放比例
-    const scale = Math.min(
-      maxWidth / width,
-      maxHeight / height,
-      1 // 确保不会放大图片
-    );
-
-    // 向下取整以确保不超过最大分辨率
-    return {
-      width: Math.floor(width * scale),
-      height: Math.floor(height * scale)
-    };
+    // 计算缩放比例，确保不会放大图片
+    return Math.min(maxWidth / width, maxHeight / height, 1);
   }
 
-  // Helper function to crop image using Sharp
-  async function resizeAndSaveImage(sourceFilePath, outputFilePath, originalWidth, originalHeight, layerX, layerY) {
-    const maxWidth = maxResolution?.width || originalWidth;
-    const maxHeight = maxResolution?.height || originalHeight;
-
-    try {
-      console.log(`Processing image from ${sourceFilePath} to ${outputFilePath}`);
-      console.log(`Layer position: (${layerX}, ${layerY}), size: ${originalWidth}x${originalHeight}`);
-
-      // 确保输入文件存在
-      if (!fs.existsSync(sourceFilePath)) {
-        throw new Error(`Source file does not exist: ${sourceFilePath}`);
-      }
+  // Helper function to crop a bitmap to the maxResolution viewport
+  function cropToResolution(bitmap) {
+    if (!maxResolution || maxResolution.mode === 'fit' || (!maxResolution.width && !maxResolution.height)) {
+      return bitmap;
+    }
 
-      // 确保输出目录存在
-      const outputDir = path.dirname(outputFilePath);
-      if (!fs.existsSync(outputDir)) {
-        mkdirp.sync(outputDir);
-      }
+    // 计算可视区域的范围（最大分辨率范围）
+    const visibleArea = {
+      left: 0,
+      top: 0,
+      right: maxResolution.width || Infinity,
+      bottom: maxResolution.height || Infinity
+    };
 
-      // 获取图像元数据
-      const metadata = await sharp(sourceFilePath).metadata();
-      console.log(`Image metadata: ${metadata.width}x${metadata.height}`);
+    const cropped = cropBitmap(bitmap, visibleArea);
+    if (cropped) {
+      return cropped;
+    }
 
-      // 计算可视区域的范围（最大分辨率范围）
-      const visibleArea = {
-        left: 0,
-        top: 0,
-        right: maxWidth,
-        bottom: maxHeight
-      };
+    // 图层完全在可视区域外，返回一个1x1的透明图像，放在可视区域的边缘
+    const left = bitmap.left < 0 ? 0 : Math.min(bitmap.left, visibleArea.right - 1);
+    const top = bitmap.top < 0 ? 0 : Math.min(bitmap.top, visibleArea.bottom - 1);
+    return createEmpty(1, 1, left, top);
+  }
 
-      // 计算图层在可视区域中的范围
-      const layerArea = {
-        left: layerX,
-        top: layerY,
-        right: layerX + originalWidth,
-        bottom: layerY + originalHeight
-      };
+  // Helper function to move slice insets inside the trimmed bounds
+  function trimSlice(slice, sourceRect, rect) {
+    return {
+      'left': Math.max(0, slice.left - (rect.x - sourceRect.x)),
+      'top': Math.max(0, slice.top - (rect.y - sourceRect.y)),
+      'right': Math.max(0, slice.right - (sourceRect.x + sourceRect.width - rect.x - rect.width)),
+      'bottom': Math.max(0, slice.bottom - (sourceRect.y + sourceRect.height - rect.y - rect.height))
+    };
+  }
 
-      // 计算图层与可视区域的交集（即需要裁剪的部分）
-      const intersection = {
-        left: Math.max(visibleArea.left, layerArea.left),
-        top: Math.max(visibleArea.top, layerArea.top),
-        right: Math.min(visibleArea.right, layerArea.right),
-        bottom: Math.min(visibleArea.bottom, layerArea.bottom)
-      };
+  // Helper function to check whether nine-slice insets are detected for a layer
+  function matchesAuto(name, nodesName) {
+    if (typeof nineSlice.auto === 'boolean') {
+      return nineSlice.auto;
+    }
+    return matchesPath([].concat(nineSlice.auto), name, nodesName);
+  }
 
-      // 检查是否有交集
-      if (intersection.left >= intersection.right || intersection.top >= intersection.bottom) {
-        console.log(`Layer is completely outside the visible area, nothing to crop`);
-        // 图层完全在可视区域外，返回一个1x1的透明图像
-
-        // 创建一个空白图像
-        await sharp({
-          create: {
-            width: 1,
-            height: 1,
-            channels: 4,
-            background: { r: 0, g: 0, b: 0, alpha: 0 }
-          }
-        }).toFile(outputFilePath);
+  // Helper function to export the bitmap of an image node, as a file or into the atlas
+  async function exportBitmap(structure, bitmap, nodesName) {
+    const opacity = structure.opacity * structure.fillOpacity;
+    if (bakeOpacity && opacity < 1) {
+      applyOpacity(bitmap, opacity);
+      structure.opacityBaked = true;
+    }
 
-        // 对于完全在可视区域外的图层，我们返回一个默认位置
-        // 如果图层在可视区域的左侧或上方，则将其放在可视区域的边缘
-        // 如果图层在可视区域的右侧或下方，则将其放在可视区域的边缘
-        const newX = layerX < 0 ? 0 : (layerX > visibleArea.right ? visibleArea.right - 1 : layerX);
-        const newY = layerY < 0 ? 0 : (layerY > visibleArea.bottom ? visibleArea.bottom - 1 : layerY);
+    let fitted = cropToResolution(bitmap);
+    if (fitted !== bitmap) {
+      structure.x += fitted.left - bitmap.left;
+      structure.y += fitted.top - bitmap.top;
+      structure.width = fitted.width;
+      structure.height = fitted.height;
+    }
 
-        return { width: 1, height: 1, x: newX, y: newY };
+    if (trim) {
+      const trimmed = trimBitmap(fitted);
+      if (trimmed !== fitted) {
+        structure.sourceRect = { x: structure.x, y: structure.y, width: structure.width, height: structure.height };
+        structure.x += trimmed.left - fitted.left;
+        structure.y += trimmed.top - fitted.top;
+        structure.width = trimmed.width;
+        structure.height = trimmed.height;
+        if (structure.slice) {
+          structure.slice = trimSlice(structure.slice, structure.sourceRect, structure);
+        }
+        fitted = trimmed;
       }
+    }
 
-      // 计算交集区域的宽度和高度
-      const intersectionWidth = intersection.right - intersection.left;
-      const intersectionHeight = intersection.bottom - intersection.top;
-
-      // 计算需要从原始图像中裁剪的区域
-      // 需要将交集区域的坐标转换为相对于图层的坐标
-      const cropArea = {
-        left: Math.max(0, intersection.left - layerArea.left),
-        top: Math.max(0, intersection.top - layerArea.top),
-        width: intersectionWidth,
-        height: intersectionHeight
-      };
-
-      console.log(`Cropping area: left=${cropArea.left}, top=${cropArea.top}, width=${cropArea.width}, height=${cropArea.height}`);
-
-      // 确保裁剪区域不超出图像边界
-      if (cropArea.left + cropArea.width > metadata.width) {
-        cropArea.width = metadata.width - cropArea.left;
+    if (nineSlice) {
+      const slice = structure.slice ||
+        (nineSlice.guides ? sliceFromGuides(guides, fitted) : null) ||
+        (matchesAuto(structure.name, nodesName) ? detectSlice(fitted, nineSlice) : null);
+      if (slice) {
+        structure.slice = slice;
       }
-
-      if (cropArea.top + cropArea.height > metadata.height) {
-        cropArea.height = metadata.height - cropArea.top;
+      if (slice && nineSlice.minimal) {
+        const minimal = createMinimalBitmap(fitted, slice, nineSlice);
+        if (minimal !== fitted) {
+          structure.imageSize = { width: minimal.width, height: minimal.height };
+          fitted = minimal;
+        }
       }
+    }
 
-      // 确保裁剪尺寸大于0
-      if (cropArea.width <= 0 || cropArea.height <= 0) {
-        console.log(`Invalid crop dimensions, creating empty image`);
-        // 创建一个空白图像
-        await sharp({
-          create: {
-            width: 1,
-            height: 1,
-            channels: 4,
-            background: { r: 0, g: 0, b: 0, alpha: 0 }
-          }
-        }).toFile(outputFilePath);
+    const frameName = atlas ? getUniqueFrameName(structure.name, nodesName) : null;
+    const format = resolveFormat(fitted, imageFormat);
+    const unchanged = incremental && isUnchanged(structure, nodesName, fitted, format);
 
-        // 对于无效裁剪尺寸的情况，返回一个默认位置
-        const newX = Math.max(0, layerX);
-        const newY = Math.max(0, layerY);
+    // The structure itself is scaled once the traversal is done
+    for (const density of scales || [null]) {
+      const factor = documentScale * (density ? density / sourceScale : 1);
+      const output = factor !== 1 && !unchanged ? await scaleBitmap(fitted, factor, maxResolution?.kernel) : fitted;
 
-        return { width: 1, height: 1, x: newX, y: newY };
+      if (atlas) {
+        atlasSprites.push({ name: frameName, bitmap: output, structure, nodesName, density });
+      } else {
+        await writeBitmap(structure, output, nodesName, density, format, unchanged);
       }
+    }
+  }
 
-      // 裁剪并保存图像
-      await sharp(sourceFilePath)
-        .extract({
-          left: cropArea.left,
-          top: cropArea.top,
-          width: cropArea.width,
-          height: cropArea.height
-        })
-        .toFile(outputFilePath);
-
-      // 计算裁剪后图像的新位置
-      // 如果图层的左上角在可视区域外，新位置应该是可视区域的边界
-      const newX = Math.max(0, layerX);
-      const newY = Math.max(0, layerY);
-
-      console.log(`Successfully cropped image to: ${outputFilePath} (${cropArea.width}x${cropArea.height})`);
-      console.log(`New position: (${newX}, ${newY})`);
+  // Helper function to record the pixel hash of an image and check whether the previous export wrote the same files
+  function isUnchanged(structure, nodesName, bitmap, format) {
+    const pixels = hashBitmap(bitmap, {
+      format, imageFormat, scales, sourceScale, densityNaming, flattenImagePath, documentScale, kernel: maxResolution?.kernel
+    });
+    pixelHashes.set(structure, pixels);
+
+    const layerPath = (nodesName + structure.name).split(path.sep).join('/');
+    const entry = previousManifest && previousManifest.layers[getLayerKey(structure, layerPath)];
+    // Sprite sheets are always packed again
+    return !atlas && !!entry && entry.pixels === pixels && !!entry.files &&
+      entry.files.every(file => fs.existsSync(path.resolve(outImgDir, file)));
+  }
 
-      return {
-        width: cropArea.width,
-        height: cropArea.height,
-        x: newX,
-        y: newY
-      };
-    } catch (error) {
-      console.error(`Error during image processing: ${error.message}`);
-      console.error(`Target max dimensions: ${maxWidth}x${maxHeight}`);
-      throw error;
+  // Helper function to write the bitmap of an image node to its own file, unless the file is unchanged
+  async function writeBitmap(structure, bitmap, nodesName, density, format = resolveFormat(bitmap, imageFormat), unchanged = false) {
+    const fileName = getBaseFileName(structure, nodesName, getExtension(format));
+    const relativePath = getRelativePath(fileName, nodesName, density);
+    if (!unchanged) {
+      await encode(toSharp(bitmap), format, imageFormat).toFile(prepareOutputPath(relativePath));
+      logger.debug(`Wrote ${relativePath} (${bitmap.width}x${bitmap.height})`, { file: psdFilePath, image: relativePath });
+      progress('image:written', { layer: (nodesName + structure.name).split(path.sep).join('/'), image: relativePath.split(path.sep).join('/'), density });
+    } else {
+      logger.debug(`Kept unchanged ${relativePath}`, { file: psdFilePath, image: relativePath });
     }
+    addOutput(structure, 'fileName', relativePath, density);
   }
 
   // get root node.
+  checkAborted();
+  progress('parse:start', {});
+  const startTime = Date.now();
   const psdData = psd.fromFile(psdFilePath);
   psdData.parse();
   const rootNode = psdData.tree();
+  checkAborted();
+  logger.debug(`Parsed ${psdFilePath} (${rootNode.width}x${rootNode.height}) in ${Date.now() - startTime}ms`, { file: psdFilePath });
+  const documentScale = calculateDocumentScale(rootNode.width, rootNode.height);
+  const imageResources = readImageResources(psdData.file.data);
+  const guides = nineSlice && nineSlice.guides ? parseGuides(imageResources.get(1032)) : [];
+  // Effects using global light follow the angle of the document
+  const globalAngle = parseGlobalAngle(imageResources.get(1037));
+  // Slices drawn by the user or based on layers, Photoshop covers the rest of the document with automatic ones
+  let slices = [];
+  try {
+    slices = parseSlices(imageResources.get(1050)).filter(slice => slice.origin !== 'auto');
+  } catch (error) {
+    // A broken slices resource does not concern the layers, the document is exported without slices
+    const message = `Could not read slices: ${error.message}`;
+    diagnostics.push({ 'severity': 'warning', 'code': 'slices-unreadable', 'layer': null, 'id': undefined, 'message': message });
+    logger.warn(message, { file: psdFilePath, code: 'slices-unreadable' });
+  }
 
   const queueNodes = [];
   const queueNodesIndex = [];
   const queueNodesName = [];
   const queueNodesStructure = [];
   const queueParentOffsets = []; // 新增：用于存储父组的坐标偏移
+  const queueParentStates = []; // Whether an ancestor group is hidden or skipped
 
   // 兼容不同版本的psd.js库
   const children = rootNode._children || rootNode.children || [];
-  queueNodes.push(children);
+  if (comp) {
+    applyLayerComp(children, comp);
+    logger.debug(`Applied layer comp "${comp.name}"`, { file: psdFilePath });
+  }
+
+  // Only the artboards are traversed when they are written as separate documents
+  const artboardNodes = children.filter(node => node.type === 'group' && getArtboard(node.layer));
+  const splitArtboards = artboards && artboardNodes.length > 0;
+  if (artboards && !splitArtboards) {
+    logger.warn(`${psdFilePath} has no artboards, writing a single document`, { file: psdFilePath });
+  }
+  const topNodes = splitArtboards ? artboardNodes : children;
+  queueNodes.push(topNodes);
   queueNodesIndex.push(0);
   queueNodesName.push(undefined);
   const psdStructure = {
     'children' : []
   };
+
+  // Count the layers the loop below goes through, merged groups are a single layer
+  function countLayers(nodes, nodesName, parentHidden) {
+    let count = 0;
+    for (const node of nodes) {
+      const hidden = parentHidden || node.layer.visible === false;
+      if (hidden && !includeHidden) continue;
+      count++;
+      const directive = getDirectives(node);
+      if (node.type === 'group' && !directive.flatten && !isMergedGroup(directive.name, nodesName)) {
+        count += countLayers(node._children || node.children || [], nodesName + directive.name + path.sep, hidden);
+      }
+    }
+    return count;
+  }
+
+  const totalLayers = countLayers(topNodes, '', false);
+  let layersStarted = 0;
+  progress('parse:end', { width: rootNode.width, height: rootNode.height, total: totalLayers });
+
+  // Helper function to report a layer as done
+  function finishLayer(structure, index, layerPath) {
+    progress('layer:done', { index, total: totalLayers, layer: layerPath, id: structure.id, type: structure.type });
+  }
   queueNodesStructure.push(psdStructure);
   queueParentOffsets.push({ x: 0, y: 0 }); // 新增：根节点的偏移为(0,0)
+  queueParentStates.push({ hidden: false, skip: false });
 
   // Helper function to get masked dimensions
   function getMaskedDimensions(node) {
@@ -297,11 +561,205 @@ async function psd2json(psdFile, options = {}) {
     };
   }
 
+  // Helper function to read opacity, fill opacity and blend mode of a layer or group
+  function getBlending(node) {
+    const fillOpacityInfo = loadInfo(node.layer, 'fillOpacity');
+    const fillOpacity = fillOpacityInfo ? fillOpacityInfo.value : 255;
+    // Pass-through is only recorded in the section divider of a group
+    const sectionDivider = loadInfo(node.layer, 'sectionDivider');
+    const passThrough = sectionDivider !== null && sectionDivider.blendMode === 'pass';
+    return {
+      'opacity': Math.round(node.layer.opacity / 255 * 1000) / 1000,
+      'fillOpacity': Math.round(fillOpacity / 255 * 1000) / 1000,
+      'blendMode': passThrough ? 'passthru' : (node.layer.blendingMode() || 'normal')
+    };
+  }
+
+  // Helper function to split a layer name into its display name and directives
+  function getDirectives(node) {
+    return directives ? parseDirectives(node.name, directives) : { 'name': node.name };
+  }
+
+  // Helper function to check whether a group is exported as a single image
+  function isMergedGroup(name, nodesName) {
+    return matchesPath(mergeGroups, name, nodesName);
+  }
+
+  // Helper function to match a layer against names, paths, RegExps tested on the path or `(name, layerPath)` callbacks
+  function matchesPath(patterns, name, nodesName) {
+    const layerPath = (nodesName + name).split(path.sep).join('/');
+    return patterns.some(pattern => {
+      if (typeof pattern === 'function') {
+        return pattern(name, layerPath);
+      }
+      if (pattern instanceof RegExp) {
+        return pattern.test(layerPath);
+      }
+      return pattern === name || pattern === layerPath;
+    });
+  }
+
+  // Helper function to copy parsed directives to a structure
+  function applyDirectives(structure, directive) {
+    for (const key of ['component', 'skip', 'scale', 'slice']) {
+      if (directive[key] !== undefined) {
+        structure[key] = directive[key];
+      }
+    }
+  }
+
+  // Helper function to reserve the unique file name of an image node once for all densities
+  const reservedFileNames = new WeakMap();
+  function getBaseFileName(structure, nodesName, extension) {
+    if (!reservedFileNames.has(structure)) {
+      reservedFileNames.set(structure, getUniqueFileName(structure.name, flattenImagePath ? nodesName : null, extension));
+    }
+    return reservedFileNames.get(structure);
+  }
+
+  // Helper function to get the file name suffix of a density, e.g. @2x, none for 1x or density folders
+  function getDensitySuffix(density) {
+    return density && density !== 1 && densityNaming !== 'folder' ? `@${density}x` : '';
+  }
+
+  // Helper function to get the path of an output file relative to outImgDir, for a density if given
+  function getRelativePath(fileName, nodesName, density) {
+    // Artboards written as documents of their own get an image folder each, as does every comp
+    let relativeDir = '';
+    if (splitArtboards) {
+      const [artboardName, ...groupNames] = nodesName.split(path.sep);
+      relativeDir = path.join(artboardName + compSuffix, flattenImagePath ? '' : groupNames.join(path.sep));
+    } else if (!flattenImagePath) {
+      relativeDir = path.join(outputName, nodesName);
+    } else if (comp) {
+      relativeDir = outputName;
+    }
+    if (density && densityNaming === 'folder') {
+      relativeDir = path.join(`${density}x`, relativeDir);
+    }
+    return path.join(relativeDir, fileName.replace(/(\.[^.]+)$/, `${getDensitySuffix(density)}$1`));
+  }
+
+  // Helper function to record an output file on its node, as fileName/atlas and in the per-density sources
+  function addOutput(structure, key, relativePath, density) {
+    if (key === 'fileName') {
+      outputFiles.set(structure, (outputFiles.get(structure) || []).concat(relativePath.split(path.sep).join('/')));
+    }
+    nodeImages.set(structure, (nodeImages.get(structure) || []).concat({ key, path: relativePath, density }));
+    if (structure[key] === undefined) {
+      structure[key] = path.basename(relativePath);
+    }
+    if (density) {
+      structure.sources = structure.sources || {};
+      structure.sources[`${density}x`] = relativePath.split(path.sep).join('/');
+    }
+  }
+
+  // Helper function to create the directory of an output file and return its absolute path
+  function prepareOutputPath(relativePath) {
+    const outputPath = path.resolve(outImgDir, relativePath);
+    const outputDir = path.dirname(outputPath);
+    if (!fs.existsSync(outputDir)) {
+      mkdirp.sync(outputDir);
+    }
+    return outputPath;
+  }
+
+  // Helper function to record a problem with a layer
+  function addDiagnostic(severity, code, structure, nodesName, message) {
+    const layerPath = (nodesName + structure.name).split(path.sep).join('/');
+    diagnostics.push({
+      'severity': severity,
+      'code': code,
+      'layer': layerPath,
+      'id': structure.id,
+      'message': message
+    });
+    const fields = { file: psdFilePath, layer: layerPath, id: structure.id, code };
+    logger[severity === 'error' ? 'error' : 'warn'](`Layer "${layerPath}": ${message}`, fields);
+  }
+
+  // Helper function to add the geometry of a shape layer, shapes that cannot be read stay images
+  function getShape(structure, node, dimensions, nodesName) {
+    try {
+      structure.shape = extractShape(node.layer, {
+        width: rootNode.width,
+        height: rootNode.height,
+        x: dimensions.x,
+        y: dimensions.y
+      });
+    } catch (error) {
+      addDiagnostic('warning', 'shape-unreadable', structure, nodesName,
+        `Failed to read the shape, exporting it as an image: ${error.message}`);
+      structure.type = 'image';
+    }
+  }
+
+  // Helper function to read the layer id (lyid), which stays the same when a layer is renamed or moved
+  function getLayerId(node) {
+    const layerId = loadInfo(node.layer, 'layerId');
+    return layerId ? layerId.id : undefined;
+  }
+
+  // Helper function to wrap the structure with the metadata of the document, or of an artboard node
+  function createEnvelope(psdData, scale, children, artboard) {
+    const size = artboard || scaleRect(0, 0, psdData.header.width, psdData.header.height, scale);
+    const resolution = psdData.resources.resource('resolutionInfo');
+    // Resolution units: 1 pixels per inch, 2 pixels per cm
+    const dpi = resolution ? resolution.h_res * (resolution.h_res_unit === 2 ? 2.54 : 1) : 72;
+
+    const result = {
+      'schemaVersion': SCHEMA_VERSION,
+      'generator': { 'name': 'psd2json', 'version': version },
+      'document': {
+        'name': artboard ? artboard.name + compSuffix : outputName,
+        'width': size.width,
+        'height': size.height,
+        'colorMode': psdData.header.modeName(),
+        'depth': psdData.header.depth,
+        'dpi': Math.round(dpi * 100) / 100
+      },
+      'source': {
+        'file': path.basename(psdFilePath),
+        'sha256': crypto.createHash('sha256').update(psdData.file.data).digest('hex')
+      },
+      'children': children
+    };
+    if (comp) {
+      result.document.comp = { 'id': comp.id, 'name': comp.name };
+    }
+    if (artboard) {
+      result.document.artboard = { 'x': artboard.x, 'y': artboard.y, 'background': artboard.artboard.background };
+    }
+
+    // Slices are placed like the top level nodes, artboards get the slices overlapping them
+    const origin = artboard || { x: 0, y: 0 };
+    const documentSlices = slices.map(slice => {
+      const rect = scaleRect(slice.x, slice.y, slice.width, slice.height, scale);
+      return Object.assign({}, slice, { 'x': rect.left - origin.x, 'y': rect.top - origin.y, 'width': rect.width, 'height': rect.height });
+    }).filter(slice => slice.x < size.width && slice.y < size.height && slice.x + slice.width > 0 && slice.y + slice.height > 0);
+    if (documentSlices.length > 0) {
+      result.slices = documentSlices;
+    }
+    return result;
+  }
+
+  // Helper function to read layer effects without failing the whole export
+  function getEffects(node, structure, nodesName) {
+    try {
+      return extractEffects(node.layer, { globalAngle });
+    } catch (error) {
+      addDiagnostic('warning', 'effects-unreadable', structure, nodesName, `Could not read layer effects: ${error.message}`);
+      return null;
+    }
+  }
+
   queueLoop: while (0 < queueNodes.length) {
     const queueIndex = queueNodes.length - 1;
     const nodes = queueNodes[queueIndex];
     const nodesStructure = queueNodesStructure[queueIndex];
     const parentOffset = queueParentOffsets[queueIndex]; // 新增：获取当前父组的偏移
+    const parentState = queueParentStates[queueIndex];
     let nodesIndex = queueNodesIndex[queueIndex];
     let nodesName = queueNodesName[queueIndex];
 
@@ -314,46 +772,118 @@ async function psd2json(psdFile, options = {}) {
     while (nodesIndex < nodes.length) {
       const node = nodes[nodesIndex];
       nodesIndex++;
-      if (node.layer.visible === false) continue;
+      const hidden = parentState.hidden || node.layer.visible === false;
+      if (hidden && !includeHidden) continue;
 
+      checkAborted();
       const dimensions = getMaskedDimensions(node);
+      const directive = getDirectives(node);
+      const skip = parentState.skip || directive.skip === true;
+      const layerIndex = layersStarted++;
+      const layerPath = (nodesName + directive.name).split(path.sep).join('/');
+      progress('layer:start', { index: layerIndex, total: totalLayers, layer: layerPath, name: directive.name });
+      const exportable = outImgDir && !skip && (!hidden || exportHiddenImages);
+
+      if (node.type === 'group' && (directive.flatten || isMergedGroup(directive.name, nodesName))) {
+        // Flattened groups become a single image node covering the group bounds
+        const structure = {
+          'name' : directive.name,
+          'id' : getLayerId(node),
+          'type' : 'image',
+          'x' : node.left - parentOffset.x,
+          'y' : node.top - parentOffset.y,
+          'width' : node.width,
+          'height' : node.height
+        };
+        if (hidden) {
+          structure.visible = false;
+        }
+        Object.assign(structure, getBlending(node));
+        const effects = getEffects(node, structure, nodesName);
+        if (effects) {
+          structure.effects = effects;
+        }
+        applyDirectives(structure, directive);
 
-      if (node.type === 'group') {
+        if (exportable) {
+          try {
+            await exportBitmap(structure, await renderGroup(node), nodesName);
+          } catch (error) {
+            addDiagnostic('error', 'group-export-failed', structure, nodesName, `Error flattening group: ${error.message}`);
+          }
+        }
+
+        nodesStructure.children.push(structure);
+        finishLayer(structure, layerIndex, layerPath);
+      } else if (node.type === 'group') {
         queueNodes.push(node._children || node.children || []);
         queueNodesIndex[queueIndex] = nodesIndex;
         queueNodesIndex.push(0);
-        queueNodesName.push(nodesName + node.name);
+        queueNodesName.push(nodesName + directive.name);
+        // Artboards clip their content, which is placed relative to the artboard origin
+        const artboard = nodesName === '' ? getArtboard(node.layer) : null;
+        const bounds = artboard || dimensions;
         const structure = {
-          'name' : node.name,
+          'name' : directive.name,
+          'id' : getLayerId(node),
           'type' : 'group',
-          'x': dimensions.x - parentOffset.x, // 修改：计算相对坐标
-          'y': dimensions.y - parentOffset.y, // 修改：计算相对坐标
-          'width': dimensions.width,
-          'height': dimensions.height,
-          'children' : [] // 修改：使用 children 替代 group
+          'x': bounds.x - parentOffset.x, // 修改：计算相对坐标
+          'y': bounds.y - parentOffset.y, // 修改：计算相对坐标
+          'width': bounds.width,
+          'height': bounds.height
         };
+        if (artboard) {
+          structure.artboard = { 'background': artboard.background };
+        }
+        if (hidden) {
+          structure.visible = false;
+        }
+        Object.assign(structure, getBlending(node));
+        // Pass-through groups blend their children with the layers below, other modes isolate them
+        structure.isolated = structure.blendMode !== 'passthru';
+        const effects = getEffects(node, structure, nodesName);
+        if (effects) {
+          structure.effects = effects;
+        }
+        applyDirectives(structure, directive);
+        structure.children = []; // 修改：使用 children 替代 group
         nodesStructure.children.push(structure);
+        finishLayer(structure, layerIndex, layerPath);
         queueNodesStructure.push(structure);
-        queueParentOffsets.push({ x: dimensions.x, y: dimensions.y }); // 新增：推入当前组的绝对坐标作为子节点的偏移
+        queueParentOffsets.push({ x: bounds.x, y: bounds.y }); // 新增：推入当前组的绝对坐标作为子节点的偏移
+        queueParentStates.push({ hidden, skip });
         continue queueLoop;
       } else {
         const isTextLayer = typeof node.layer.typeTool === 'function';
+        const isShape = shapes && !isTextLayer && isShapeLayer(node.layer);
 
         const structure = {
-          'name' : node.name,
-          'type' : isTextLayer ? 'text' : 'image',
+          'name' : directive.name,
+          'id' : getLayerId(node),
+          'type' : isTextLayer ? 'text' : (isShape ? 'shape' : 'image'),
           'x' : dimensions.x - parentOffset.x,
           'y' : dimensions.y - parentOffset.y,
           'width' : dimensions.width,
           'height' : dimensions.height
         };
+        if (hidden) {
+          structure.visible = false;
+        }
+        Object.assign(structure, getBlending(node));
+        const effects = getEffects(node, structure, nodesName);
+        if (effects) {
+          structure.effects = effects;
+        }
+        applyDirectives(structure, directive);
+        if (isShape) {
+          getShape(structure, node, dimensions, nodesName);
+        }
 
         if (isTextLayer) {
-          const textInfo = node.layer.typeTool();
-          const textData = textInfo.obj?.textData || {};
-          const style = textData.StyleRun?.RunArray?.[0]?.StyleSheet?.StyleSheetData || {};
-          const fontInfo = style.Font || {};
-          const colorArray = style.FillColor?.Values?.slice(1) || [0, 0, 0, 1];
+          const textInfo = loadInfo(node.layer, 'typeTool');
+          const textData = textInfo.textData || {};
+          const engineData = textInfo.engineData || {};
+          const content = textInfo.textValue || '';
 
           const fonts = textInfo.fonts();
           const sizes = textInfo.sizes();
@@ -362,242 +892,37 @@ async function psd2json(psdFile, options = {}) {
           const cssColor = `rgba(${textColor[0]}, ${textColor[1]}, ${textColor[2]}, ${textColor[3]})`;
 
           structure.text = {
-            'content': textInfo.obj?.textValue || '',
+            'content': content,
             'font': fonts[0] || 'default',
             'size': sizes[0] || 0,
             'color': cssColor,
             'alignment': textData.ParagraphRun?.RunArray?.[0]?.ParagraphSheet?.Properties?.Justification || 'left',
-            'transform': textInfo.obj?.transform || {}
+            'transform': textInfo.transform || {},
+            'runs': extractRuns(engineData, content),
+            'paragraphs': extractParagraphs(engineData, content)
           };
-        } else if (outImgDir) {
+        } else if (structure.shape && shapes === 'svg') {
+          if (exportable) {
+            svgShapes.push({ structure, nodesName });
+          }
+        } else if (exportable) {
           try {
-            const uniqueFileName = getUniqueFileName(node.name + '.png', flattenImagePath ? nodesName : null);
-            structure.fileName = uniqueFileName;
-
-            const outImgDirPath = flattenImagePath
-              ? path.resolve(outImgDir)
-              : path.resolve(outImgDir, psdFileName, nodesName);
-
-            if (!fs.existsSync(outImgDirPath)) {
-              mkdirp.sync(outImgDirPath);
-            }
-
-            const outputPath = path.join(outImgDirPath, uniqueFileName);
-            let exportImage;
-
-            if (node.layer.clipped) {
-              exportImage = node.layer.mergeClippingMask();
-              if (!exportImage) {
-                throw new Error('Failed to merge clipping mask');
-              }
-            } else {
-              exportImage = node.layer.image;
-              if (!exportImage) {
-                throw new Error('Layer image is null');
-              }
-            }
-
-            // 确保图片对象有必要的方法
-            if (!exportImage.scale && !exportImage.resize) {
-              console.warn(`Smart object detected: "${node.name}". Processing...`);
-
-              // 检查是否需要调整大小
-              const { width, height } = calculateScaledDimensions(dimensions.width, dimensions.height);
-              const needsResize = width !== dimensions.width || height !== dimensions.height;
-
-              if (needsResize && maxResolution) {
-                console.log(`Smart object "${node.name}" needs processing (max dimensions: ${maxResolution.width}x${maxResolution.height})`);
-
-                try {
-                  // 先保存原始图像，然后使用resizeAndSaveImage调整大小
-                  // 创建临时文件路径
-                  const tempFileName = `temp_${Date.now()}_${path.basename(outputPath)}`;
-                  const tempFilePath = path.join(path.dirname(outputPath), tempFileName);
-
-                  // 确保临时文件目录存在
-                  const tempDir = path.dirname(tempFilePath);
-                  if (!fs.existsSync(tempDir)) {
-                    mkdirp.sync(tempDir);
-                  }
-
-                  // 保存原始图像到临时文件
-                  if (exportImage.saveAsPng) {
-                    await exportImage.saveAsPng(tempFilePath);
-                  } else if (exportImage.save) {
-                    await exportImage.save(tempFilePath);
-                  } else {
-                    throw new Error(`Cannot save image for smart object "${node.name}": no save method available`);
-                  }
-
-                  // 确认临时文件已创建
-                  if (!fs.existsSync(tempFilePath)) {
-                    throw new Error(`Failed to create temporary file: ${tempFilePath}`);
-                  }
-
-                  console.log(`Temporary file created: ${tempFilePath}`);
-
-                  // 使用resizeAndSaveImage调整大小
-                  const result = await resizeAndSaveImage(
-                    tempFilePath, // 传入临时文件路径而不是图像对象
-                    outputPath,
-                    dimensions.width,
-                    dimensions.height,
-                    dimensions.x,
-                    dimensions.y
-                  );
-
-                  // 删除临时文件
-                  try {
-                    if (fs.existsSync(tempFilePath)) {
-                      fs.unlinkSync(tempFilePath);
-                      console.log(`Temporary file deleted: ${tempFilePath}`);
-                    }
-                  } catch (unlinkError) {
-                    console.warn(`Warning: Could not delete temporary file: ${tempFilePath}`);
-                  }
-
-                  // 更新结构中的尺寸信息
-                  structure.width = result.width;
-                  structure.height = result.height;
-
-                  // 如果返回了新的位置信息，更新图层位置
-                  if (result.x !== undefined && result.y !== undefined) {
-                    structure.x = result.x;
-                    structure.y = result.y;
-                    console.log(`Updated position to (${result.x}, ${result.y})`);
-                  }
-
-                  console.log(`Successfully processed smart object "${node.name}" to ${result.width}x${result.height}`);
-                } catch (error) {
-                  console.error(`Failed to process smart object "${node.name}": ${error.message}`);
-                  console.log(`Falling back to original image for smart object "${node.name}"`);
-
-                  try {
-                    // 如果调整大小失败，直接保存原始图像
-                    if (exportImage.saveAsPng) {
-                      await exportImage.saveAsPng(outputPath);
-                      console.log(`Saved original smart object "${node.name}" to ${outputPath}`);
-                    } else if (exportImage.save) {
-                      await exportImage.save(outputPath);
-                      console.log(`Saved original smart object "${node.name}" to ${outputPath}`);
-                    } else {
-                      throw new Error(`Cannot save image for smart object "${node.name}": no save method available`);
-                    }
-
-                    // 保持原始尺寸
-                    structure.width = dimensions.width;
-                    structure.height = dimensions.height;
-                  } catch (saveError) {
-                    console.error(`Failed to save original smart object "${node.name}": ${saveError.message}`);
-                    // 继续处理其他图层，但记录错误
-                  }
-                }
-              } else {
-                // 不需要调整大小，直接保存原始图像
-                try {
-                  if (exportImage.saveAsPng) {
-                    await exportImage.saveAsPng(outputPath);
-                    console.log(`Saved smart object "${node.name}" to ${outputPath}`);
-                  } else if (exportImage.save) {
-                    await exportImage.save(outputPath);
-                    console.log(`Saved smart object "${node.name}" to ${outputPath}`);
-                  } else {
-                    throw new Error(`Cannot save image for smart object "${node.name}": no save method available`);
-                  }
-
-                  // 保持原始尺寸
-                  structure.width = dimensions.width;
-                  structure.height = dimensions.height;
-                } catch (error) {
-                  console.error(`Failed to save smart object "${node.name}": ${error.message}`);
-                  // 继续处理其他图层，但记录错误
-                }
-              }
-            } else {
-              // 对于正常图层，尝试调整大小并保存
-              try {
-                // 检查是否需要调整大小
-                const { width, height } = calculateScaledDimensions(dimensions.width, dimensions.height);
-                const needsResize = width !== dimensions.width || height !== dimensions.height;
-
-                if (needsResize && maxResolution) {
-                  // 如果需要调整大小，先保存原始图像到临时文件
-                  const tempFileName = `temp_${Date.now()}_${path.basename(outputPath)}`;
-                  const tempFilePath = path.join(path.dirname(outputPath), tempFileName);
-
-                  console.log(`Processing image ${outputPath} (max dimensions: ${maxResolution.width}x${maxResolution.height})`);
-
-                  // 保存原始图像到临时文件
-                  if (exportImage.saveAsPng) {
-                    await exportImage.saveAsPng(tempFilePath);
-                  } else if (exportImage.save) {
-                    await exportImage.save(tempFilePath);
-                  } else {
-                    throw new Error('Image object does not have required methods');
-                  }
-
-                  // 确认临时文件已创建
-                  if (!fs.existsSync(tempFilePath)) {
-                    throw new Error(`Failed to create temporary file: ${tempFilePath}`);
-                  }
-
-                  // 使用resizeAndSaveImage函数裁剪图像
-                  const result = await resizeAndSaveImage(
-                    tempFilePath,
-                    outputPath,
-                    dimensions.width,
-                    dimensions.height,
-                    dimensions.x,
-                    dimensions.y
-                  );
-
-                  // 更新结构中的尺寸信息
-                  structure.width = result.width;
-                  structure.height = result.height;
-
-                  // 如果返回了新的位置信息，更新图层位置
-                  if (result.x !== undefined && result.y !== undefined) {
-                    structure.x = result.x;
-                    structure.y = result.y;
-                    console.log(`Updated position to (${result.x}, ${result.y})`);
-                  }
-
-                  // 删除临时文件
-                  try {
-                    if (fs.existsSync(tempFilePath)) {
-                      fs.unlinkSync(tempFilePath);
-                    }
-                  } catch (unlinkError) {
-                    console.warn(`Warning: Could not delete temporary file: ${tempFilePath}`);
-                  }
-
-                  console.log(`Successfully processed and saved image: ${outputPath}`);
-
-                  // 尺寸信息已在上面更新
-                } else {
-                  // 不需要调整大小，直接保存原始图像
-                  if (exportImage.saveAsPng) {
-                    await exportImage.saveAsPng(outputPath);
-                  } else if (exportImage.save) {
-                    await exportImage.save(outputPath);
-                  } else {
-                    throw new Error('Image object does not have required methods');
-                  }
-
-                  console.log(`Saved image without resizing: ${outputPath}`);
-                }
-              } catch (resizeError) {
-                console.error(`Failed to resize image for "${node.name}": ${resizeError.message}`);
-                // 继续处理其他图层，但记录错误
-              }
-            }
+            // Crop the layer pixels to the (masked) bounds of the node
+            const bitmap = cropBitmap(fromImage(node.layer.image, node.layer.left, node.layer.top), {
+              left: dimensions.x,
+              top: dimensions.y,
+              right: dimensions.x + dimensions.width,
+              bottom: dimensions.y + dimensions.height
+            }) || createEmpty(1, 1, dimensions.x, dimensions.y);
+            await exportBitmap(structure, bitmap, nodesName);
           } catch (error) {
-            console.error(`Error processing layer "${node.name}": ${error.message}`);
             // 继续处理其他图层，但记录错误
+            addDiagnostic('error', 'layer-export-failed', structure, nodesName, `Error exporting image: ${error.message}`);
           }
         }
 
         nodesStructure.children.push(structure);
+        finishLayer(structure, layerIndex, layerPath);
       }
     }
 
@@ -606,32 +931,228 @@ async function psd2json(psdFile, options = {}) {
     queueNodesName.pop();
     queueNodesStructure.pop();
     queueParentOffsets.pop(); // 新增：当一个组处理完毕后，弹出其偏移
+    queueParentStates.pop();
+  }
+
+  // Coordinates are in logical points when exporting several densities
+  const structureScale = documentScale / sourceScale;
+  if (structureScale !== 1) {
+    scaleStructure(psdStructure.children, structureScale);
+  }
+
+  for (const { structure, nodesName } of svgShapes) {
+    const relativePath = getRelativePath(getBaseFileName(structure, nodesName, '.svg'), nodesName, null);
+    fs.writeFileSync(prepareOutputPath(relativePath), renderSvg(structure.shape, structure.width, structure.height));
+    logger.debug(`Wrote ${relativePath}`, { file: psdFilePath, image: relativePath });
+    progress('image:written', { layer: (nodesName + structure.name).split(path.sep).join('/'), image: relativePath.split(path.sep).join('/'), density: null });
+    addOutput(structure, 'fileName', relativePath, null);
+  }
+
+  // Every density gets its own set of sprite sheets, as does every artboard written separately
+  const sheetNames = splitArtboards ? psdStructure.children.map(node => node.name) : [psdFileName];
+  for (const density of atlas ? scales || [null] : []) {
+    for (const sheetName of sheetNames) {
+      const sprites = atlasSprites.filter(sprite => sprite.density === density &&
+        (!splitArtboards || sprite.nodesName.split(path.sep)[0] === sheetName));
+      if (sprites.length === 0) {
+        continue;
+      }
+
+      // Sheet names have no extension, writeAtlas appends the index of the sheet and the density suffix
+      const sheetPath = getRelativePath(sheetName + compSuffix, splitArtboards ? sheetName + path.sep : '', density);
+      const atlasDir = path.dirname(prepareOutputPath(sheetPath));
+      const { frames } = await writeAtlas(sprites, atlasDir, path.basename(sheetPath),
+        Object.assign({ imageFormat }, atlas, { suffix: getDensitySuffix(density), scale: density || 1 }));
+      logger.debug(`Packed ${frames.size} images into sprite sheets ${sheetPath}`, { file: psdFilePath, image: sheetPath });
+      const sheetExtension = getExtension(imageFormat.format === 'auto' ? 'png' : imageFormat.format);
+      for (const descriptor of new Set([...frames.values()].map(reference => reference.atlas))) {
+        const sheetImage = path.join(path.dirname(sheetPath), descriptor.replace(/\.json$/, sheetExtension));
+        progress('image:written', { layer: null, image: sheetImage.split(path.sep).join('/'), density });
+      }
+
+      for (const sprite of sprites) {
+        const reference = frames.get(sprite.name);
+        if (reference) {
+          addOutput(sprite.structure, 'atlas', path.join(path.dirname(sheetPath), reference.atlas), density);
+          sprite.structure.frame = reference.frame;
+        } else {
+          addDiagnostic('warning', 'atlas-frame-too-large', sprite.structure, sprite.nodesName,
+            `Image does not fit into a ${atlas.maxSize}px atlas, exporting it as a separate file`);
+          await writeBitmap(sprite.structure, sprite.bitmap, sprite.nodesName, density);
+        }
+      }
+    }
+  }
+
+  checkAborted();
+  const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+  if (strict && errors.length > 0) {
+    const error = new Error(`${errors.length} layer(s) failed to export: ` +
+      errors.map(diagnostic => `${diagnostic.layer} (${diagnostic.message})`).join(', '));
+    error.diagnostics = diagnostics;
+    throw error;
   }
 
-  const outJsonData = JSON.stringify(psdStructure.children, null, 2);
+  if (layout) {
+    inferLayout(psdStructure.children, scaleRect(0, 0, psdData.header.width, psdData.header.height, structureScale), layout);
+  }
+
+  const envelopeDocument = createEnvelope(psdData, structureScale, psdStructure.children);
+  const document = envelope ? envelopeDocument : psdStructure.children;
+  const outJsonData = JSON.stringify(document, null, 2);
+
+  // Artboards written separately are documents of their own, named after them
+  const outputs = splitArtboards
+    ? psdStructure.children.filter(node => node.artboard).map(node => {
+      const artboardDocument = createEnvelope(psdData, structureScale, node.children, node);
+      const output = envelope ? artboardDocument : node.children;
+      return { name: node.name + compSuffix, envelopeDocument: artboardDocument, document: output, json: JSON.stringify(output, null, 2) };
+    })
+    : [{ name: outputName, envelopeDocument, document, json: outJsonData }];
 
   if (outJsonDir) {
     const outJsonDirPath = path.resolve(outJsonDir);
-    const outJsonPath = path.join(outJsonDirPath, psdFileName + '.json');
     if (!fs.existsSync(outJsonDirPath)) {
       fs.mkdirSync(outJsonDirPath);
     }
-    fs.writeFileSync(outJsonPath, outJsonData);
+    for (const output of outputs) {
+      const outJsonPath = path.join(outJsonDirPath, output.name + '.json');
+      fs.writeFileSync(outJsonPath, output.json);
+      logger.debug(`Wrote ${outJsonPath}`, { file: psdFilePath });
+    }
+  }
+
+  let changes = null;
+  if (incremental) {
+    const manifest = createManifest(psdStructure.children, pixelHashes, outputFiles);
+    changes = compareManifests(previousManifest, manifest);
+    if (outImgDir) {
+      removeStaleFiles(previousManifest, manifest, outImgDir);
+    }
+    mkdirp.sync(path.dirname(manifestPath));
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  }
+
+  // Exporter files go next to the JSON, image paths are made relative to them
+  const exports = [];
+  if (targets.length > 0) {
+    const exportDir = path.resolve(outJsonDir || outImgDir || '.');
+    const toExportPath = relativePath => path.relative(exportDir, path.resolve(outImgDir, relativePath)).split(path.sep).join('/');
+    const getNodeImage = (node, key) => {
+      const images = (nodeImages.get(node) || []).filter(image => image.key === key);
+      return images.find(image => !image.density || image.density === 1) ||
+        images.slice().sort((a, b) => a.density - b.density)[0] || null;
+    };
+    const context = {
+      getImage(node) {
+        const image = getNodeImage(node, 'fileName');
+        if (!image) {
+          return null;
+        }
+        const size = node.imageSize || node;
+        const density = image.density || 1;
+        return {
+          path: toExportPath(image.path),
+          density,
+          width: Math.round(size.width * density),
+          height: Math.round(size.height * density)
+        };
+      },
+      getAtlasPath(node) {
+        const image = getNodeImage(node, 'atlas');
+        return image ? toExportPath(image.path) : null;
+      },
+      readFile(relativePath) {
+        const file = path.resolve(exportDir, relativePath);
+        return (outJsonDir || outImgDir) && fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null;
+      }
+    };
+
+    for (const output of outputs) {
+      context.name = output.name;
+      for (const file of await runExporters(targets, output.envelopeDocument, context)) {
+        exports.push(file);
+        if (outJsonDir || outImgDir) {
+          const filePath = path.resolve(exportDir, file.path);
+          mkdirp.sync(path.dirname(filePath));
+          fs.writeFileSync(filePath, file.contents);
+          logger.debug(`Wrote ${filePath}`, { file: psdFilePath, target: file.target });
+        }
+      }
+    }
   }
 
-  return outJsonData;
+  logger.debug(`Converted ${psdFilePath} in ${Date.now() - startTime}ms`, { file: psdFilePath, duration: Date.now() - startTime });
+  return {
+    json: outJsonData,
+    document,
+    changes,
+    diagnostics,
+    exports,
+    artboards: splitArtboards ? outputs.map(({ name, json, document }) => ({ name, json, document })) : null
+  };
+}
+
+/**
+ * Output PSD layout to JSON, see convert() for the options
+ * @param {string} psdFile Relative path or absolute path of PSD file
+ * @param {string|Object} [options] directory path or options
+ * @returns {Promise<string>} JSON string of the document `{schemaVersion, generator, document, source, children}`
+ */
+async function psd2json(psdFile, options = {}) {
+  return (await convert(psdFile, options)).json;
+}
+
+/**
+ * Start a conversion that reports its progress as events, see convert() for the options.
+ * Events: `parse:start`, `parse:end` with the layer `total`, `layer:start` and `layer:done` with `index`, `total`
+ * and the `layer` path, `image:written` with the `image` path, then `end` with the result or `error`.
+ * Listeners added right after starting get every event.
+ * @param {string} psdFile Relative path or absolute path of PSD file
+ * @param {string|Object} [options] directory path or options, `signal` cancels the conversion
+ * @returns {EventEmitter} Emitter with a `done` promise of the result of convert()
+ */
+function start(psdFile, options = {}) {
+  const emitter = new EventEmitter();
+  const convertOptions = typeof options === 'string' ? { outImgDir: options, outJsonDir: options } : Object.assign({}, options);
+  const onProgress = convertOptions.onProgress;
+  convertOptions.onProgress = (event, data) => {
+    if (onProgress) {
+      onProgress(event, data);
+    }
+    emitter.emit(event, data);
+  };
+
+  // Converting starts on the next tick, after the caller added its listeners
+  emitter.done = Promise.resolve().then(() => convert(psdFile, convertOptions));
+  emitter.done.then(result => emitter.emit('end', result), error => {
+    if (emitter.listenerCount('error') > 0) {
+      emitter.emit('error', error);
+    }
+  });
+  return emitter;
 }
 
 // 为了向后兼容，我们提供一个同步版本的包装器
 async function psd2jsonSync(psdFile, options = {}) {
-  console.warn('Warning: Using synchronous version of psd2json. This may not handle smart objects correctly.');
+  const logger = createLogger(typeof options === 'object' ? options.logger : null);
+  logger.warn('Using synchronous version of psd2json. This may not handle smart objects correctly.');
   try {
     return await psd2json(psdFile, options);
   } catch (err) {
-    console.error('Error in async psd2json:', err);
+    logger.error(`Error in async psd2json: ${err.message}`, { file: path.resolve(psdFile) });
     throw err;
   }
 }
 
 module.exports = psd2jsonSync;
-module.exports.async = psd2json;
\ No newline at end of file
+module.exports.async = psd2json;
+module.exports.convert = convert;
+module.exports.start = start;
+module.exports.listLayerComps = listLayerComps;
+module.exports.DEFAULT_DIRECTIVES = DEFAULT_DIRECTIVES;
+module.exports.DEFAULT_IMAGE_FORMAT = DEFAULT_IMAGE_FORMAT;
+module.exports.SCHEMA_VERSION = SCHEMA_VERSION;
+module.exports.validate = validate;
+module.exports.createConsoleLogger = createConsoleLogger;
+module.exports.EXPORTERS = EXPORTERS;
\ No newline at end of file
@@ -0,0 +1,48 @@
+const { descriptorColorToRgba } = require('./effects');
+const { loadInfo, readRawInfo, parseInfoDescriptor } = require('./layerinfo');
+
+// psd.js only parses the artboard block of Photoshop CC 2015 (artb), later versions write the same descriptor
+// as artd or abdd
+const LATER_ARTBOARD_KEYS = ['artd', 'abdd'];
+
+// artboardBackgroundType: 1 white, 2 black, 3 transparent, 4 the color in `Clr `
+const BACKGROUNDS = {
+  1: 'rgba(255, 255, 255, 1)',
+  2: 'rgba(0, 0, 0, 1)',
+  3: 'rgba(0, 0, 0, 0)'
+};
+
+/**
+ * Read the artboard of a group
+ * @param {Object} layer psd.js layer
+ * @returns {{x: number, y: number, width: number, height: number, background: string}|null} Bounds in the
+ *   document and the background color as rgba() string, null for groups that are no artboard
+ */
+function getArtboard(layer) {
+  const info = loadInfo(layer, 'artboard');
+  let data = info && info.data;
+  if (!data) {
+    // The descriptor follows the version of the block
+    const block = readRawInfo(layer, LATER_ARTBOARD_KEYS);
+    data = block && parseInfoDescriptor(block, 4);
+  }
+  const rect = data && data.artboardRect;
+  if (!rect) {
+    return null;
+  }
+
+  const left = Math.round(rect['Left']);
+  const top = Math.round(rect['Top ']);
+  const type = data.artboardBackgroundType;
+  return {
+    x: left,
+    y: top,
+    width: Math.round(rect['Rght']) - left,
+    height: Math.round(rect['Btom']) - top,
+    background: BACKGROUNDS[type] || descriptorColorToRgba(data['Clr '])
+  };
+}
+
+module.exports = {
+  getArtboard
+};
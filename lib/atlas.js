@@ -0,0 +1,313 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { cropBitmap, getOpaqueBounds, toSharp } = require('./image');
+const { normalizeImageFormat, getExtension, encode } = require('./format');
+const { version } = require('../package.json');
+
+const DEFAULT_ATLAS_OPTIONS = {
+  maxSize: 2048,
+  padding: 2,
+  extrude: 0,
+  powerOfTwo: false,
+  trim: false,
+  format: 'hash'
+};
+
+/**
+ * Create an empty MaxRects bin
+ */
+function createBin(width, height) {
+  return {
+    freeRects: [{ x: 0, y: 0, width, height }],
+    placements: []
+  };
+}
+
+/**
+ * Find the free rectangle that fits best (best short side fit)
+ */
+function findPosition(bin, width, height) {
+  let best = null;
+  let bestShortSide = Infinity;
+  let bestLongSide = Infinity;
+
+  for (const rect of bin.freeRects) {
+    if (width > rect.width || height > rect.height) {
+      continue;
+    }
+    const leftoverX = rect.width - width;
+    const leftoverY = rect.height - height;
+    const shortSide = Math.min(leftoverX, leftoverY);
+    const longSide = Math.max(leftoverX, leftoverY);
+    if (shortSide < bestShortSide || (shortSide === bestShortSide && longSide < bestLongSide)) {
+      best = { x: rect.x, y: rect.y };
+      bestShortSide = shortSide;
+      bestLongSide = longSide;
+    }
+  }
+
+  return best;
+}
+
+function intersects(a, b) {
+  return a.x < b.x + b.width && a.x + a.width > b.x && a.y < b.y + b.height && a.y + a.height > b.y;
+}
+
+function contains(a, b) {
+  return b.x >= a.x && b.y >= a.y && b.x + b.width <= a.x + a.width && b.y + b.height <= a.y + a.height;
+}
+
+/**
+ * Reserve a rectangle in the bin and split the free rectangles around it
+ */
+function place(bin, used) {
+  const freeRects = [];
+
+  for (const rect of bin.freeRects) {
+    if (!intersects(rect, used)) {
+      freeRects.push(rect);
+      continue;
+    }
+    if (used.x > rect.x) {
+      freeRects.push({ x: rect.x, y: rect.y, width: used.x - rect.x, height: rect.height });
+    }
+    if (used.x + used.width < rect.x + rect.width) {
+      freeRects.push({
+        x: used.x + used.width,
+        y: rect.y,
+        width: rect.x + rect.width - used.x - used.width,
+        height: rect.height
+      });
+    }
+    if (used.y > rect.y) {
+      freeRects.push({ x: rect.x, y: rect.y, width: rect.width, height: used.y - rect.y });
+    }
+    if (used.y + used.height < rect.y + rect.height) {
+      freeRects.push({
+        x: rect.x,
+        y: used.y + used.height,
+        width: rect.width,
+        height: rect.y + rect.height - used.y - used.height
+      });
+    }
+  }
+
+  bin.freeRects = freeRects.filter((rect, index) => !freeRects.some((other, otherIndex) => {
+    return otherIndex !== index && contains(other, rect) && (!contains(rect, other) || otherIndex < index);
+  }));
+  bin.placements.push(used);
+}
+
+function nextPowerOfTwo(value) {
+  let result = 1;
+  while (result < value) {
+    result *= 2;
+  }
+  return result;
+}
+
+/**
+ * Prepare a sprite for packing, trimming transparent borders if requested
+ */
+function prepareSprite(sprite, options) {
+  let bitmap = sprite.bitmap;
+  let offset = { x: 0, y: 0 };
+
+  if (options.trim) {
+    const bounds = getOpaqueBounds(bitmap) || { x: 0, y: 0, width: 1, height: 1 };
+    offset = { x: bounds.x, y: bounds.y };
+    bitmap = cropBitmap(bitmap, {
+      left: bitmap.left + bounds.x,
+      top: bitmap.top + bounds.y,
+      right: bitmap.left + bounds.x + bounds.width,
+      bottom: bitmap.top + bounds.y + bounds.height
+    });
+  }
+
+  return {
+    name: sprite.name,
+    bitmap,
+    trimmed: bitmap.width !== sprite.bitmap.width || bitmap.height !== sprite.bitmap.height,
+    sourceSize: { w: sprite.bitmap.width, h: sprite.bitmap.height },
+    spriteSourceSize: { x: offset.x, y: offset.y, w: bitmap.width, h: bitmap.height }
+  };
+}
+
+/**
+ * Pack sprites into as few sheets as possible
+ * @param {Array<{name: string, bitmap: Object}>} sprites
+ * @param {Object} options Atlas options
+ * @returns {{sheets: Array<Object>, oversized: Array<Object>}}
+ */
+function packSprites(sprites, options) {
+  const border = options.extrude * 2 + options.padding;
+  const binSize = options.maxSize + options.padding;
+  const bins = [];
+  const oversized = [];
+
+  const prepared = sprites
+    .map(sprite => prepareSprite(sprite, options))
+    .sort((a, b) => Math.max(b.bitmap.width, b.bitmap.height) - Math.max(a.bitmap.width, a.bitmap.height));
+
+  for (const sprite of prepared) {
+    const width = sprite.bitmap.width + border;
+    const height = sprite.bitmap.height + border;
+
+    if (width > binSize || height > binSize) {
+      oversized.push(sprite);
+      continue;
+    }
+
+    let bin = null;
+    let position = null;
+    for (const candidate of bins) {
+      position = findPosition(candidate, width, height);
+      if (position) {
+        bin = candidate;
+        break;
+      }
+    }
+    if (!bin) {
+      bin = createBin(binSize, binSize);
+      bin.frames = [];
+      bins.push(bin);
+      position = findPosition(bin, width, height);
+    }
+
+    place(bin, { x: position.x, y: position.y, width, height });
+    bin.frames.push(Object.assign(sprite, {
+      x: position.x + options.extrude,
+      y: position.y + options.extrude
+    }));
+  }
+
+  const sheets = bins.map(bin => {
+    let width = Math.max(...bin.placements.map(rect => rect.x + rect.width)) - options.padding;
+    let height = Math.max(...bin.placements.map(rect => rect.y + rect.height)) - options.padding;
+    if (options.powerOfTwo) {
+      width = nextPowerOfTwo(width);
+      height = nextPowerOfTwo(height);
+    }
+    return { width, height, frames: bin.frames };
+  });
+
+  return { sheets, oversized };
+}
+
+/**
+ * Render the pixels of a sheet, extruding the edge pixels of every frame
+ */
+async function renderSheet(sheet, options) {
+  const operations = [];
+  for (const frame of sheet.frames) {
+    let input = toSharp(frame.bitmap);
+    if (options.extrude > 0) {
+      input = input.extend({
+        top: options.extrude,
+        bottom: options.extrude,
+        left: options.extrude,
+        right: options.extrude,
+        extendWith: 'copy'
+      });
+    }
+    operations.push({
+      input: await input.png().toBuffer(),
+      left: frame.x - options.extrude,
+      top: frame.y - options.extrude
+    });
+  }
+
+  return sharp({
+    create: {
+      width: sheet.width,
+      height: sheet.height,
+      channels: 4,
+      background: { r: 0, g: 0, b: 0, alpha: 0 }
+    }
+  }).composite(operations);
+}
+
+/**
+ * Build a TexturePacker compatible descriptor (JSON hash or JSON array)
+ */
+function createDescriptor(sheet, imageName, format, scale) {
+  const frames = sheet.frames.map(frame => ({
+    'filename': frame.name,
+    'frame': { 'x': frame.x, 'y': frame.y, 'w': frame.bitmap.width, 'h': frame.bitmap.height },
+    'rotated': false,
+    'trimmed': frame.trimmed,
+    'spriteSourceSize': frame.spriteSourceSize,
+    'sourceSize': frame.sourceSize
+  }));
+
+  const meta = {
+    'app': 'psd2json',
+    'version': version,
+    'image': imageName,
+    'format': 'RGBA8888',
+    'size': { 'w': sheet.width, 'h': sheet.height },
+    'scale': String(scale)
+  };
+
+  if (format === 'array') {
+    return { 'frames': frames, 'meta': meta };
+  }
+
+  const hash = {};
+  for (const frame of frames) {
+    const entry = Object.assign({}, frame);
+    delete entry.filename;
+    hash[frame.filename] = entry;
+  }
+  return { 'frames': hash, 'meta': meta };
+}
+
+/**
+ * Pack sprites into sprite sheets and write the sheet images and descriptors
+ * @param {Array<{name: string, bitmap: Object}>} sprites Sprites with unique names
+ * @param {string} outDir Directory to write the sheets to
+ * @param {string} baseName Base file name of the sheets, `<baseName>-<index><suffix>.png|.json`
+ * @param {Object} [options] Atlas options, see DEFAULT_ATLAS_OPTIONS, plus `imageFormat` for the sheet images
+ *   (`auto` writes PNG sheets), the `suffix` of the file names and the pixel density of the sprites as `scale`
+ *   of the descriptors
+ * @returns {Promise<{frames: Map<string, Object>, oversized: Array<string>}>} Frame references by sprite name
+ *   (`{atlas, frame, trimmed, spriteSourceSize}`) and the names of sprites larger than the maximum size
+ */
+async function writeAtlas(sprites, outDir, baseName, options = {}) {
+  const atlasOptions = Object.assign({}, DEFAULT_ATLAS_OPTIONS, options);
+  const { sheets, oversized } = packSprites(sprites, atlasOptions);
+  const frames = new Map();
+  const imageFormat = normalizeImageFormat(atlasOptions.imageFormat);
+  const format = imageFormat.format === 'auto' ? 'png' : imageFormat.format;
+
+  if (!fs.existsSync(outDir)) {
+    fs.mkdirSync(outDir, { recursive: true });
+  }
+
+  for (let i = 0; i < sheets.length; i++) {
+    const imageName = `${baseName}-${i}${atlasOptions.suffix || ''}${getExtension(format)}`;
+    const descriptorName = `${baseName}-${i}${atlasOptions.suffix || ''}.json`;
+    const descriptor = createDescriptor(sheets[i], imageName, atlasOptions.format, atlasOptions.scale || 1);
+
+    await encode(await renderSheet(sheets[i], atlasOptions), format, imageFormat).toFile(path.join(outDir, imageName));
+    fs.writeFileSync(path.join(outDir, descriptorName), JSON.stringify(descriptor, null, 2));
+
+    for (const frame of sheets[i].frames) {
+      frames.set(frame.name, {
+        atlas: descriptorName,
+        frame: frame.name,
+        trimmed: frame.trimmed,
+        spriteSourceSize: frame.spriteSourceSize
+      });
+    }
+  }
+
+  return { frames, oversized: oversized.map(sprite => sprite.name) };
+}
+
+module.exports = {
+  DEFAULT_ATLAS_OPTIONS,
+  packSprites,
+  writeAtlas
+};
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { paintOrder, toPlainText } = require('./markup');
+const { getTextColor, getTextStyle } = require('./text');
+
+// Blend factors of cc.Sprite for the blend modes Cocos Creator can draw
+const GL_ONE = 1;
+const GL_ONE_MINUS_SRC_COLOR = 769;
+const GL_SRC_ALPHA = 770;
+const GL_ONE_MINUS_SRC_ALPHA = 771;
+const GL_DST_COLOR = 774;
+const BLEND_FACTORS = {
+  'normal': [GL_SRC_ALPHA, GL_ONE_MINUS_SRC_ALPHA],
+  'multiply': [GL_DST_COLOR, GL_ONE_MINUS_SRC_ALPHA],
+  'screen': [GL_ONE, GL_ONE_MINUS_SRC_COLOR],
+  'linear_dodge': [GL_SRC_ALPHA, GL_ONE]
+};
+
+const HORIZONTAL_ALIGNMENTS = { 'left': 0, 'center': 1, 'right': 2 };
+
+/**
+ * Derive a stable UUID from a string, so that exporting again keeps the references of a project
+ * @param {string} key
+ * @returns {string}
+ */
+function createUuid(key) {
+  const hex = crypto.createHash('sha1').update(key).digest('hex');
+  return [hex.slice(0, 8), hex.slice(8, 12), '4' + hex.slice(13, 16),
+    ((parseInt(hex[16], 16) & 3) | 8).toString(16) + hex.slice(17, 20), hex.slice(20, 32)].join('-');
+}
+
+function parseRgba(color) {
+  const match = /rgba?\(([^)]+)\)/.exec(color || '');
+  const [r = 0, g = 0, b = 0, a = 1] = match ? match[1].split(',').map(Number) : [];
+  return { r, g, b, a };
+}
+
+function vec2(x, y) {
+  return { '__type__': 'cc.Vec2', 'x': x, 'y': y };
+}
+
+function createTextureMeta(image, slice, uuid, frameUuid) {
+  const name = image.path.split('/').pop().replace(/\.[^.]+$/, '');
+  const insets = slice || { top: 0, right: 0, bottom: 0, left: 0 };
+  return {
+    'ver': '2.3.5',
+    'uuid': uuid,
+    'type': 'sprite',
+    'wrapMode': 'clamp',
+    'filterMode': 'bilinear',
+    'premultiplyAlpha': false,
+    'genMipmaps': false,
+    'packable': true,
+    'width': image.width,
+    'height': image.height,
+    'platformSettings': {},
+    'subMetas': {
+      [name]: {
+        'ver': '1.0.4',
+        'uuid': frameUuid,
+        'rawTextureUuid': uuid,
+        'trimType': 'auto',
+        'trimThreshold': 1,
+        'rotated': false,
+        'offsetX': 0,
+        'offsetY': 0,
+        'trimX': 0,
+        'trimY': 0,
+        'width': image.width,
+        'height': image.height,
+        'rawWidth': image.width,
+        'rawHeight': image.height,
+        'borderTop': Math.round(insets.top * image.density),
+        'borderBottom': Math.round(insets.bottom * image.density),
+        'borderLeft': Math.round(insets.left * image.density),
+        'borderRight': Math.round(insets.right * image.density),
+        'subMetas': {}
+      }
+    }
+  };
+}
+
+/**
+ * Export a document as a Cocos Creator 2.x prefab. Images get `.meta` files with stable UUIDs unless Creator
+ * already imported them, so the prefab finds its sprite frames once the output directory is copied into `assets`.
+ * @param {Object} document psd2json document with its envelope
+ * @param {Object} context Exporter context, see lib/exporters.js
+ * @returns {Array<{path: string, contents: string}>} `<name>.prefab` and the meta files of the images
+ */
+function exportCocos(document, context) {
+  const files = [];
+  const objects = [{
+    '__type__': 'cc.Prefab',
+    '_name': '',
+    '_objFlags': 0,
+    '_native': '',
+    'data': { '__id__': 1 },
+    'optimizationPolicy': 0,
+    'asyncLoadAssets': false,
+    'readonly': false
+  }];
+  const add = object => {
+    objects.push(object);
+    return { '__id__': objects.length - 1 };
+  };
+
+  // Sprite frame of an image, from its existing meta file or a new one
+  const frames = new Map();
+  const getSpriteFrame = (node, image) => {
+    if (!frames.has(image.path)) {
+      const metaPath = image.path + '.meta';
+      const existing = context.readFile(metaPath);
+      let frameUuid = null;
+      if (existing) {
+        const meta = JSON.parse(existing);
+        const subMeta = Object.values(meta.subMetas || {})[0];
+        frameUuid = subMeta ? subMeta.uuid : null;
+      } else {
+        const uuid = createUuid(`${context.name}/${image.path}`);
+        frameUuid = createUuid(`${context.name}/${image.path}#frame`);
+        files.push({ path: metaPath, contents: JSON.stringify(createTextureMeta(image, node.slice, uuid, frameUuid), null, 2) });
+      }
+      frames.set(image.path, frameUuid);
+    }
+    return frames.get(image.path);
+  };
+
+  const addComponents = (node, nodeRef, components) => {
+    const common = {
+      '_name': '',
+      '_objFlags': 0,
+      'node': nodeRef,
+      '_enabled': true,
+      '_materials': []
+    };
+    if (node.type === 'text' && node.text) {
+      const runs = node.text.runs || [];
+      const style = getTextStyle(node.text);
+      const leading = runs.length > 0 && typeof runs[0].leading === 'number' ? runs[0].leading : Math.round(style.size * 1.2);
+      const content = toPlainText(node.text.content || '');
+      const styleFlags = (runs.some(run => run.fauxBold) ? 1 : 0) | (runs.some(run => run.fauxItalic) ? 2 : 0) |
+        (runs.some(run => run.underline) ? 4 : 0);
+      components.push(add(Object.assign({ '__type__': 'cc.Label' }, common, {
+        '_srcBlendFactor': GL_SRC_ALPHA,
+        '_dstBlendFactor': GL_ONE_MINUS_SRC_ALPHA,
+        '_string': content,
+        '_N$string': content,
+        '_fontSize': style.size,
+        '_lineHeight': leading,
+        '_enableWrapText': true,
+        '_N$file': null,
+        '_isSystemFontUsed': true,
+        '_spacingX': 0,
+        '_batchAsBitmap': false,
+        '_styleFlags': styleFlags,
+        '_underlineHeight': 0,
+        '_N$horizontalAlign': HORIZONTAL_ALIGNMENTS[style.alignment] || 0,
+        '_N$verticalAlign': 0,
+        '_N$fontFamily': style.font,
+        '_N$overflow': 0,
+        '_N$cacheMode': 0,
+        '_id': ''
+      })));
+      return;
+    }
+
+    const image = node.type !== 'group' ? context.getImage(node) : null;
+    if (!image) {
+      return;
+    }
+    const [src, dst] = BLEND_FACTORS[node.blendMode] || BLEND_FACTORS.normal;
+    components.push(add(Object.assign({ '__type__': 'cc.Sprite' }, common, {
+      '_srcBlendFactor': src,
+      '_dstBlendFactor': dst,
+      '_spriteFrame': { '__uuid__': getSpriteFrame(node, image) },
+      // Sliced sprites stretch the center, simple ones are scaled to the node size
+      '_type': node.slice ? 1 : 0,
+      '_sizeMode': 0,
+      '_fillType': 0,
+      '_fillCenter': vec2(0, 0),
+      '_fillStart': 0,
+      '_fillRange': 0,
+      '_isTrimmedMode': true,
+      '_atlas': null,
+      '_id': ''
+    })));
+  };
+
+  // Nodes are anchored at their top left corner, positions are relative to the anchor of the parent with y up
+  const addNode = (node, parentRef, parent, layerPath) => {
+    const color = node.type === 'text' && node.text ? parseRgba(getTextColor(node.text)) : { r: 255, g: 255, b: 255, a: 1 };
+    const opacity = node.opacityBaked ? 1 : (node.opacity === undefined ? 1 : node.opacity) *
+      (node.fillOpacity === undefined ? 1 : node.fillOpacity);
+    const object = {
+      '__type__': 'cc.Node',
+      '_name': node.name,
+      '_objFlags': 0,
+      '_parent': parentRef,
+      '_children': [],
+      '_active': node.visible !== false,
+      '_components': [],
+      '_prefab': null,
+      '_opacity': Math.round(255 * opacity * color.a),
+      '_color': { '__type__': 'cc.Color', 'r': color.r, 'g': color.g, 'b': color.b, 'a': 255 },
+      '_contentSize': { '__type__': 'cc.Size', 'width': node.width, 'height': node.height },
+      '_anchorPoint': vec2(parent ? 0 : 0.5, parent ? 1 : 0.5),
+      '_trs': {
+        '__type__': 'TypedArray',
+        'ctor': 'Float64Array',
+        'array': parent
+          ? [node.x - parent.anchorX * parent.width, (1 - parent.anchorY) * parent.height - node.y, 0, 0, 0, 0, 1, 1, 1, 1]
+          : [0, 0, 0, 0, 0, 0, 1, 1, 1, 1]
+      },
+      '_eulerAngles': { '__type__': 'cc.Vec3', 'x': 0, 'y': 0, 'z': 0 },
+      '_skewX': 0,
+      '_skewY': 0,
+      '_is3DNode': false,
+      '_groupIndex': 0,
+      'groupIndex': 0,
+      '_id': ''
+    };
+    const ref = add(object);
+    const placement = { width: node.width, height: node.height, anchorX: parent ? 0 : 0.5, anchorY: parent ? 1 : 0.5 };
+    for (const child of paintOrder(node.children || [])) {
+      object._children.push(addNode(child, ref, placement, `${layerPath}/${child.name}`));
+    }
+    addComponents(node, ref, object._components);
+    object._prefab = add({
+      '__type__': 'cc.PrefabInfo',
+      'root': { '__id__': 1 },
+      'asset': { '__id__': 0 },
+      'fileId': createUuid(`${context.name}:${node.id !== undefined ? node.id : layerPath}`).replace(/-/g, '').slice(0, 22),
+      'sync': false
+    });
+    return ref;
+  };
+
+  addNode({
+    name: document.document.name,
+    type: 'group',
+    x: 0,
+    y: 0,
+    width: document.document.width,
+    height: document.document.height,
+    children: document.children
+  }, null, null, '');
+
+  return [{ path: `${context.name}.prefab`, contents: JSON.stringify(objects, null, 2) }, ...files];
+}
+
+module.exports = {
+  createUuid,
+  exportCocos
+};
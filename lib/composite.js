@@ -0,0 +1,194 @@
+const sharp = require('sharp');
+const { cropBitmap } = require('./image');
+const { loadInfo } = require('./layerinfo');
+
+// psd.js blend mode names mapped to the closest sharp (libvips) blend mode
+const SHARP_BLEND_MODES = {
+  'normal': 'over',
+  'multiply': 'multiply',
+  'screen': 'screen',
+  'overlay': 'overlay',
+  'darken': 'darken',
+  'lighten': 'lighten',
+  'color_dodge': 'colour-dodge',
+  'color_burn': 'colour-burn',
+  'hard_light': 'hard-light',
+  'soft_light': 'soft-light',
+  'difference': 'difference',
+  'exclusion': 'exclusion',
+  'linear_dodge': 'add'
+};
+
+function getChildren(node) {
+  return node._children || node.children || [];
+}
+
+/**
+ * Copy RGBA pixels and multiply their alpha by the given opacity
+ */
+function withOpacity(pixels, opacity) {
+  const result = Buffer.from(pixels);
+  if (opacity < 1) {
+    for (let i = 3; i < result.length; i += 4) {
+      result[i] = Math.round(result[i] * opacity);
+    }
+  }
+  return result;
+}
+
+function layerOpacity(layer) {
+  const fillOpacityInfo = loadInfo(layer, 'fillOpacity');
+  const fillOpacity = fillOpacityInfo ? fillOpacityInfo.value : 255;
+  return (layer.opacity / 255) * (fillOpacity / 255);
+}
+
+/**
+ * Crop a composite operation to the canvas, sharp rejects overlays larger than the base image
+ * @returns {Object|null} The cropped operation, or null if it lies outside the canvas
+ */
+function cropToCanvas(operation, width, height) {
+  const bitmap = cropBitmap({
+    data: operation.input,
+    width: operation.raw.width,
+    height: operation.raw.height,
+    left: operation.left,
+    top: operation.top
+  }, { left: 0, top: 0, right: width, bottom: height });
+
+  if (!bitmap) {
+    return null;
+  }
+  return Object.assign({}, operation, {
+    input: bitmap.data,
+    raw: { width: bitmap.width, height: bitmap.height, channels: 4 },
+    left: bitmap.left,
+    top: bitmap.top
+  });
+}
+
+/**
+ * Apply the layers clipped to a base operation, the clipped pixels only show where the base is opaque
+ */
+async function applyClipping(operation) {
+  const { width, height } = operation.raw;
+  const clips = operation.clips
+    .map(clip => cropToCanvas(Object.assign({}, clip, {
+      left: clip.left - operation.left,
+      top: clip.top - operation.top,
+      blend: 'atop'
+    }), width, height))
+    .filter(Boolean);
+
+  const result = {
+    input: operation.input,
+    raw: operation.raw,
+    left: operation.left,
+    top: operation.top,
+    blend: operation.blend
+  };
+  if (clips.length > 0) {
+    result.input = await sharp(operation.input, { raw: operation.raw }).composite(clips).raw().toBuffer();
+  }
+  return result;
+}
+
+/**
+ * Build the sharp composite operations for the children of a group, bottom layer first
+ * @param {Object} node psd.js group node
+ * @param {Object} origin Absolute position of the canvas
+ * @param {Object} options
+ * @returns {Promise<Array<Object>>}
+ */
+async function collectOperations(node, origin, options) {
+  const operations = [];
+  const children = getChildren(node).slice().reverse();
+  // The operation that clipped layers above are applied to
+  let clippingBase = null;
+
+  for (const child of children) {
+    if (child.layer.visible === false || child.isEmpty()) {
+      continue;
+    }
+
+    const blend = SHARP_BLEND_MODES[child.layer.blendingMode()] || 'over';
+
+    if (child.type === 'group') {
+      const sectionDivider = loadInfo(child.layer, 'sectionDivider');
+      const passThrough = sectionDivider !== null && sectionDivider.blendMode === 'pass';
+      const opacity = child.layer.opacity / 255;
+
+      if (passThrough && opacity === 1) {
+        operations.push(...await collectOperations(child, origin, options));
+        clippingBase = null;
+      } else {
+        const rendered = await renderGroup(child, options);
+        clippingBase = {
+          input: withOpacity(rendered.data, opacity),
+          raw: { width: rendered.width, height: rendered.height, channels: 4 },
+          left: rendered.left - origin.left,
+          top: rendered.top - origin.top,
+          blend,
+          clips: []
+        };
+        operations.push(clippingBase);
+      }
+      continue;
+    }
+
+    const image = child.layer.image;
+    if (!image || !image.pixelData) {
+      continue;
+    }
+
+    const operation = {
+      input: withOpacity(image.pixelData, layerOpacity(child.layer)),
+      raw: { width: image.width(), height: image.height(), channels: 4 },
+      left: child.layer.left - origin.left,
+      top: child.layer.top - origin.top,
+      blend,
+      clips: []
+    };
+
+    if (child.layer.clipped && clippingBase) {
+      clippingBase.clips.push(operation);
+    } else {
+      operations.push(operation);
+      clippingBase = operation;
+    }
+  }
+
+  const result = [];
+  for (const operation of operations) {
+    result.push(operation.clips ? await applyClipping(operation) : operation);
+  }
+  return result;
+}
+
+/**
+ * Composite all visible layers of a group into a single RGBA bitmap covering the group bounds.
+ * Hidden layers are left out, text layers are composited with their rasterized pixels.
+ * @param {Object} node psd.js group node
+ * @param {Object} [options]
+ * @returns {Promise<Object>} bitmap in document coordinates
+ */
+async function renderGroup(node, options = {}) {
+  const origin = { left: node.left, top: node.top };
+  const width = Math.max(1, node.width);
+  const height = Math.max(1, node.height);
+  const operations = await collectOperations(node, origin, options);
+
+  let canvas = sharp({
+    create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+  });
+  const fitted = operations.map(operation => cropToCanvas(operation, width, height)).filter(Boolean);
+  if (fitted.length > 0) {
+    canvas = canvas.composite(fitted);
+  }
+  const data = await canvas.raw().toBuffer();
+
+  return { data, width, height, left: origin.left, top: origin.top };
+}
+
+module.exports = {
+  renderGroup
+};
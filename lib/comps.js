@@ -0,0 +1,130 @@
+const { BLEND_MODES } = require('./effects');
+const { loadInfo } = require('./layerinfo');
+
+// Bits of capturedInfo telling which layer properties a comp records
+const CAPTURED_VISIBILITY = 1;
+const CAPTURED_POSITION = 2;
+const CAPTURED_APPEARANCE = 4;
+
+function unitValue(value) {
+  return value && typeof value === 'object' ? value.value : value;
+}
+
+/**
+ * Read the layer comps of a parsed PSD
+ * @param {Object} psdData psd.js document
+ * @returns {Array<{id: number, name: string, comment: string, captured: Object}>} Comps in the order of the comps
+ *   panel, `captured` tells whether the comp records `visibility`, `position` and `appearance`
+ */
+function readLayerComps(psdData) {
+  const resource = psdData.resources.resource('layerComps');
+  if (!resource || !resource.data || !Array.isArray(resource.data.list)) {
+    return [];
+  }
+  return resource.data.list.map(comp => ({
+    id: comp.compID,
+    name: comp['Nm  '],
+    comment: comp.comment || '',
+    captured: {
+      visibility: (comp.capturedInfo & CAPTURED_VISIBILITY) !== 0,
+      position: (comp.capturedInfo & CAPTURED_POSITION) !== 0,
+      appearance: (comp.capturedInfo & CAPTURED_APPEARANCE) !== 0
+    }
+  }));
+}
+
+/**
+ * Pick layer comps by name or id
+ * @param {Array<Object>} comps Comps of the PSD, see readLayerComps()
+ * @param {boolean|string|number|Array<string|number>} selection Names or ids, true for all comps
+ * @returns {Array<Object>} The selected comps
+ */
+function selectLayerComps(comps, selection) {
+  if (selection === true) {
+    return comps;
+  }
+  return [].concat(selection).map(item => {
+    // Names take precedence over ids, which may be given as strings on the command line
+    const comp = comps.find(candidate => candidate.name === String(item)) ||
+      comps.find(candidate => String(candidate.id) === String(item));
+    if (!comp) {
+      const names = comps.map(candidate => candidate.name).join(', ') || 'none';
+      throw new Error(`Unknown layer comp "${item}", the PSD has ${names}`);
+    }
+    return comp;
+  });
+}
+
+// Merge the settings a layer records for a comp, every setting lists the comps it applies to
+function getLayerSettings(layer, compId) {
+  const info = loadInfo(layer, 'metadata');
+  const layerComp = info && info.data && info.data.layerComp;
+  if (!layerComp || !Array.isArray(layerComp.layerSettings)) {
+    return null;
+  }
+  const settings = layerComp.layerSettings.filter(setting => Array.isArray(setting.compList) && setting.compList.includes(compId));
+  return settings.length > 0 ? Object.assign({}, ...settings) : null;
+}
+
+function moveLayer(node, dx, dy) {
+  const { layer } = node;
+  layer.left += dx;
+  layer.right += dx;
+  layer.top += dy;
+  layer.bottom += dy;
+  if (layer.mask && layer.mask.width && layer.mask.height) {
+    layer.mask.left += dx;
+    layer.mask.right += dx;
+    layer.mask.top += dy;
+    layer.mask.bottom += dy;
+  }
+  node.left = layer.left;
+  node.right = layer.right;
+  node.top = layer.top;
+  node.bottom = layer.bottom;
+}
+
+function applyAppearance(layer, blendOptions) {
+  if (blendOptions['Opct'] !== undefined) {
+    layer.opacity = Math.round(unitValue(blendOptions['Opct']) / 100 * 255);
+  }
+  if (blendOptions.fillOpacity !== undefined) {
+    const value = Math.round(unitValue(blendOptions.fillOpacity) / 100 * 255);
+    layer.fillOpacity = () => ({ value });
+  }
+  const mode = blendOptions['Md  '] && BLEND_MODES[unitValue(blendOptions['Md  '])];
+  if (mode) {
+    layer.blendMode.mode = mode;
+  }
+}
+
+/**
+ * Put the layers of a parsed PSD into the state a comp records: visibility, the offset of the position and the
+ * opacity, fill opacity and blend mode. Only the properties the comp captured are changed, layers without
+ * settings for the comp keep their state as saved.
+ * @param {Array<Object>} nodes psd.js nodes, changed in place with their descendants
+ * @param {Object} comp Comp, see readLayerComps()
+ */
+function applyLayerComp(nodes, comp) {
+  for (const node of nodes) {
+    const settings = getLayerSettings(node.layer, comp.id);
+    if (settings) {
+      if (comp.captured.visibility && settings.enab !== undefined) {
+        node.layer.visible = settings.enab;
+      }
+      if (comp.captured.position && settings['Ofst']) {
+        moveLayer(node, unitValue(settings['Ofst']['Hrzn']) || 0, unitValue(settings['Ofst']['Vrtc']) || 0);
+      }
+      if (comp.captured.appearance && settings.blendOptions) {
+        applyAppearance(node.layer, settings.blendOptions);
+      }
+    }
+    applyLayerComp(node._children || node.children || [], comp);
+  }
+}
+
+module.exports = {
+  readLayerComps,
+  selectLayerComps,
+  applyLayerComp
+};
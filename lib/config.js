@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { EXTENSIONS } = require('./format');
+const { globToRegExp } = require('./inputs');
+const { EXPORTERS } = require('./exporters');
+
+// Config files looked up in every directory from the PSD file up, the first one found is used
+const CONFIG_FILES = ['psd2json.config.js', '.psd2jsonrc.json'];
+
+// Options holding paths, resolved relative to the config file
+const PATH_OPTIONS = ['outJsonDir', 'outImgDir', 'incremental'];
+
+/*
+ * Validators return a list of `{path, message}` errors and describe what they accept in `expected`
+ */
+
+function is(expected, test) {
+  const validator = (value, key) => test(value) ? [] : [{ path: key, message: `must be ${expected}` }];
+  validator.expected = expected;
+  return validator;
+}
+
+const boolean = is('true or false', value => typeof value === 'boolean');
+const string = is('a string', value => typeof value === 'string');
+const regexp = is('a RegExp', value => value instanceof RegExp);
+const func = is('a function', value => typeof value === 'function');
+const positive = is('a positive number', value => typeof value === 'number' && value > 0 && isFinite(value));
+const number = is('a number', value => typeof value === 'number' && isFinite(value));
+const nonNegative = is('a number >= 0', value => typeof value === 'number' && value >= 0 && isFinite(value));
+const plainObject = is('an object', isPlainObject);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function oneOf(...values) {
+  return is(`one of ${values.map(value => JSON.stringify(value)).join(', ')}`, value => values.includes(value));
+}
+
+function arrayOf(item) {
+  const validator = (value, key) => Array.isArray(value)
+    ? value.flatMap((element, index) => item(element, `${key}[${index}]`))
+    : [{ path: key, message: `must be ${validator.expected}` }];
+  validator.expected = `an array with items that are ${item.expected}`;
+  return validator;
+}
+
+/**
+ * Accept a value matching any of the validators. Errors inside a matching object or array are
+ * reported as they are, since they say more than the list of accepted types.
+ */
+function anyOf(...validators) {
+  const validator = (value, key) => {
+    const results = validators.map(item => item(value, key));
+    if (results.some(errors => errors.length === 0)) {
+      return [];
+    }
+    const nested = results.find(errors => errors.some(error => error.path !== key));
+    return nested || [{ path: key, message: `must be ${validator.expected}` }];
+  };
+  validator.expected = validators.map(item => item.expected).join(' or ');
+  return validator;
+}
+
+function getSuggestion(key, keys) {
+  const distance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1));
+        previous = current;
+      }
+    }
+    return row[b.length];
+  };
+  return keys.find(candidate => distance(key, candidate) <= 2);
+}
+
+function object(properties, required = []) {
+  const validator = (value, key) => {
+    if (!isPlainObject(value)) {
+      return [{ path: key, message: 'must be an object' }];
+    }
+    const prefix = key ? `${key}.` : '';
+    const errors = required
+      .filter(name => value[name] === undefined)
+      .map(name => ({ path: `${prefix}${name}`, message: 'is required' }));
+    for (const [name, property] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...(property === undefined ? [] : properties[name](property, `${prefix}${name}`)));
+      } else {
+        const suggestion = getSuggestion(name, Object.keys(properties));
+        errors.push({
+          path: `${prefix}${name}`,
+          message: `is not a known option${suggestion ? `, did you mean "${suggestion}"?` : ''}`
+        });
+      }
+    }
+    return errors;
+  };
+  validator.expected = 'an object';
+  return validator;
+}
+
+const patterns = anyOf(string, regexp, func, arrayOf(anyOf(string, regexp, func)));
+const imageFormats = oneOf('auto', ...Object.keys(EXTENSIONS));
+const exporter = anyOf(oneOf(...Object.keys(EXPORTERS)),
+  is('an exporter object', value => value !== null && typeof value === 'object' && typeof value.export === 'function'));
+
+// Every option of psd2json, see convert in index.js
+const OPTIONS = {
+  outJsonDir: string,
+  outImgDir: string,
+  flattenImagePath: boolean,
+  maxResolution: object({
+    width: positive,
+    height: positive,
+    mode: oneOf('crop', 'fit'),
+    kernel: oneOf(...Object.values(sharp.kernel))
+  }),
+  includeHidden: boolean,
+  exportHiddenImages: boolean,
+  directives: anyOf(boolean, func, arrayOf(object({ pattern: regexp, apply: func }, ['pattern', 'apply']))),
+  mergeGroups: patterns,
+  scales: arrayOf(positive),
+  sourceScale: positive,
+  densityNaming: oneOf('suffix', 'folder'),
+  nineSlice: anyOf(boolean, object({
+    guides: boolean,
+    auto: anyOf(boolean, patterns),
+    minimal: boolean,
+    tolerance: nonNegative,
+    minStretch: positive
+  })),
+  shapes: anyOf(boolean, oneOf('svg')),
+  imageFormat: anyOf(imageFormats, object(Object.assign({
+    format: imageFormats,
+    background: string
+  }, ...Object.keys(EXTENSIONS).map(format => ({ [format]: plainObject }))))),
+  trim: boolean,
+  bakeOpacity: boolean,
+  atlas: anyOf(boolean, object({
+    maxSize: positive,
+    padding: nonNegative,
+    extrude: nonNegative,
+    powerOfTwo: boolean,
+    trim: boolean,
+    format: oneOf('hash', 'array')
+  })),
+  incremental: anyOf(boolean, string),
+  envelope: boolean,
+  strict: boolean,
+  layout: anyOf(boolean, object({ tolerance: nonNegative })),
+  artboards: boolean,
+  comps: anyOf(boolean, string, number, arrayOf(anyOf(string, number))),
+  targets: anyOf(exporter, arrayOf(exporter))
+};
+
+const CONFIG = object(Object.assign({}, OPTIONS, {
+  overrides: arrayOf(object(Object.assign({ files: anyOf(string, arrayOf(string)) }, OPTIONS), ['files']))
+}));
+
+function formatErrors(title, errors) {
+  return [title, ...errors.map(error => `  ${error.path || '(root)'}: ${error.message}`)].join('\n');
+}
+
+/**
+ * Check psd2json options, throwing an error that lists every unknown key and invalid value
+ * @param {Object} options
+ * @param {string} [source] What the options come from, used in the error message
+ */
+function validateOptions(options, source = 'options') {
+  const errors = object(OPTIONS)(options, '');
+  if (errors.length > 0) {
+    throw new Error(formatErrors(`Invalid ${source}:`, errors));
+  }
+}
+
+/**
+ * Find the config file of a directory or its closest parent
+ * @param {string} dir
+ * @returns {string|null} Absolute path of the config file
+ */
+function findConfig(dir) {
+  let current = path.resolve(dir);
+  for (;;) {
+    const file = CONFIG_FILES.map(name => path.join(current, name)).find(candidate => fs.existsSync(candidate));
+    if (file) {
+      return file;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Load and validate a config file. JavaScript configs are loaded again on every call, so edits are picked up.
+ * @param {string} file psd2json.config.js or a JSON file
+ * @returns {Object} The config
+ */
+function loadConfig(file) {
+  file = path.resolve(file);
+  let config = null;
+  try {
+    if (path.extname(file) === '.js') {
+      delete require.cache[require.resolve(file)];
+      config = require(file);
+    } else {
+      config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    }
+  } catch (error) {
+    throw new Error(`Cannot read config ${file}: ${error.message}`);
+  }
+
+  const errors = CONFIG(config, '');
+  if (errors.length > 0) {
+    throw new Error(formatErrors(`Invalid config ${file}:`, errors));
+  }
+  return config;
+}
+
+// Merge options, plain objects such as imageFormat or atlas are merged key by key
+function mergeOptions(target, source) {
+  const result = Object.assign({}, target);
+  for (const [key, value] of Object.entries(source)) {
+    if (value === undefined) {
+      continue;
+    }
+    result[key] = isPlainObject(value) && isPlainObject(result[key]) ? mergeOptions(result[key], value) : value;
+  }
+  return result;
+}
+
+// Resolve paths relative to a directory, and a format name to an imageFormat object so it merges with encoder options
+function normalizeOptions(options, dir) {
+  const result = Object.assign({}, options);
+  if (typeof result.imageFormat === 'string') {
+    result.imageFormat = { format: result.imageFormat };
+  }
+  for (const key of PATH_OPTIONS) {
+    if (typeof result[key] === 'string') {
+      result[key] = path.resolve(dir, result[key]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Check whether a file matches the `files` of an override. Patterns are relative to the config file,
+ * patterns without a slash match the file name in any directory.
+ */
+function matchesOverride(files, file, dir) {
+  const relative = path.relative(dir, file).split(path.sep).join('/');
+  return [].concat(files).some(pattern => pattern.includes('/')
+    ? globToRegExp(pattern.replace(/^\.\//, '')).test(relative)
+    : globToRegExp(pattern).test(path.basename(file)));
+}
+
+/**
+ * Get the options of a PSD file: the config, the overrides matching the file in order, then the given options
+ * @param {string} file PSD file
+ * @param {Object} [options] Options taking precedence over the config
+ * @param {string|boolean} [configFile] Config file to use, by default the one found from the PSD file up, false for none
+ * @returns {Object} Options for convert
+ */
+function resolveOptions(file, options = {}, configFile) {
+  file = path.resolve(file);
+  const configPath = configFile === false ? null : (configFile ? path.resolve(configFile) : findConfig(path.dirname(file)));
+  if (!configPath) {
+    return normalizeOptions(options, process.cwd());
+  }
+
+  const dir = path.dirname(configPath);
+  const config = loadConfig(configPath);
+  let result = {};
+  for (const override of [config, ...(config.overrides || []).filter(item => matchesOverride(item.files, file, dir))]) {
+    const overrideOptions = Object.assign({}, override);
+    delete overrideOptions.files;
+    delete overrideOptions.overrides;
+    result = mergeOptions(result, normalizeOptions(overrideOptions, dir));
+  }
+  return mergeOptions(result, normalizeOptions(options, process.cwd()));
+}
+
+module.exports = {
+  CONFIG_FILES,
+  validateOptions,
+  findConfig,
+  loadConfig,
+  mergeOptions,
+  resolveOptions
+};
@@ -0,0 +1,82 @@
+/**
+ * Default naming-convention grammar. Each rule matches a suffix of the layer name;
+ * the matched text is stripped from the name and `apply` stores the parsed value.
+ * Rules are tried repeatedly until none matches, so suffixes can be combined,
+ * e.g. `bg@panel#9slice(12,12,12,12)[skip]`.
+ */
+const DEFAULT_DIRECTIVES = [
+  {
+    pattern: /\[skip\]$/i,
+    apply: (match, result) => {
+      result.skip = true;
+    }
+  },
+  {
+    pattern: /@flatten$/i,
+    apply: (match, result) => {
+      result.flatten = true;
+    }
+  },
+  {
+    pattern: /@(\d+(?:\.\d+)?)x$/,
+    apply: (match, result) => {
+      result.scale = parseFloat(match[1]);
+    }
+  },
+  {
+    pattern: /#9slice\(\s*(\d+)(?:\s*,\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+))?\s*\)$/i,
+    apply: (match, result) => {
+      const [left, top, right, bottom] = match.slice(1).map(value => value === undefined ? match[1] : value);
+      result.slice = {
+        'left': parseInt(left, 10),
+        'top': parseInt(top, 10),
+        'right': parseInt(right, 10),
+        'bottom': parseInt(bottom, 10)
+      };
+    }
+  },
+  {
+    pattern: /@([A-Za-z_][\w-]*)$/,
+    apply: (match, result) => {
+      result.component = match[1];
+    }
+  }
+];
+
+/**
+ * Parse naming-convention directives from a layer name
+ * @param {string} name Layer name
+ * @param {Array<{pattern: RegExp, apply: Function}>|Function} [directives] Rule table, or a
+ *   callback `(name) => ({name, ...fields})` replacing the parser entirely
+ * @returns {Object} `name` without directives plus the parsed fields (component, skip, scale, slice, flatten)
+ */
+function parseDirectives(name, directives = DEFAULT_DIRECTIVES) {
+  if (typeof directives === 'function') {
+    return Object.assign({ 'name': name }, directives(name));
+  }
+
+  const result = { 'name': name };
+  let rest = name;
+  let matched = true;
+
+  while (matched) {
+    matched = false;
+    for (const rule of directives) {
+      const match = rest.match(rule.pattern);
+      if (match && match[0].length > 0) {
+        rest = rest.slice(0, match.index).trimEnd();
+        rule.apply(match, result);
+        matched = true;
+        break;
+      }
+    }
+  }
+
+  result.name = rest || name;
+  return result;
+}
+
+module.exports = {
+  DEFAULT_DIRECTIVES,
+  parseDirectives
+};
@@ -0,0 +1,260 @@
+const { loadInfo } = require('./layerinfo');
+
+// Blend mode keys used inside descriptors, mapped to the names psd.js uses for layers.
+const BLEND_MODES = {
+  'Nrml': 'normal',
+  'Dslv': 'dissolve',
+  'Drkn': 'darken',
+  'Mltp': 'multiply',
+  'CBrn': 'color_burn',
+  'linearBurn': 'linear_burn',
+  'darkerColor': 'darker_color',
+  'Lghn': 'lighten',
+  'Scrn': 'screen',
+  'CDdg': 'color_dodge',
+  'linearDodge': 'linear_dodge',
+  'lighterColor': 'lighter_color',
+  'Ovrl': 'overlay',
+  'SftL': 'soft_light',
+  'HrdL': 'hard_light',
+  'vividLight': 'vivid_light',
+  'linearLight': 'linear_light',
+  'pinLight': 'pin_light',
+  'hardMix': 'hard_mix',
+  'Dfrn': 'difference',
+  'Xclu': 'exclusion',
+  'blendSubtraction': 'subtract',
+  'blendDivide': 'divide',
+  'H   ': 'hue',
+  'Strt': 'saturation',
+  'Clr ': 'color',
+  'Lmns': 'luminosity'
+};
+
+const STROKE_POSITIONS = {
+  'OutF': 'outside',
+  'InsF': 'inside',
+  'CtrF': 'center'
+};
+
+const FILL_TYPES = {
+  'SClr': 'color',
+  'GrFl': 'gradient',
+  'Ptrn': 'pattern'
+};
+
+const GRADIENT_TYPES = {
+  'Lnr ': 'linear',
+  'Rdl ': 'radial',
+  'Angl': 'angle',
+  'Rflc': 'reflected',
+  'Dmnd': 'diamond'
+};
+
+// Photoshop's default global light angle, used when an effect follows the global light.
+const DEFAULT_GLOBAL_ANGLE = 120;
+
+// Gradient stop locations are stored in the 0..4096 range.
+const GRADIENT_LOCATION_MAX = 4096;
+
+function round(value, digits = 3) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Read the numeric part of a descriptor value, which may be a unit value object
+ */
+function unitValue(value, fallback = 0) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  return typeof value === 'object' ? value.value : value;
+}
+
+function enumValue(value) {
+  return value && typeof value === 'object' ? value.value : value;
+}
+
+/**
+ * Convert a descriptor color (RGBC, HSBC or Grsc) to an rgba() string
+ * @param {Object} color Descriptor color object
+ * @param {number} [alpha] Alpha in 0..1
+ * @returns {string}
+ */
+function descriptorColorToRgba(color, alpha = 1) {
+  let r = 0, g = 0, b = 0;
+  if (color) {
+    if (color['Rd  '] !== undefined) {
+      r = color['Rd  '];
+      g = color['Grn '];
+      b = color['Bl  '];
+    } else if (color['H   '] !== undefined) {
+      const h = unitValue(color['H   ']) / 360;
+      const s = color['Strt'] / 100;
+      const v = color['Brgh'] / 100;
+      const i = Math.floor(h * 6);
+      const f = h * 6 - i;
+      const p = v * (1 - s);
+      const q = v * (1 - f * s);
+      const t = v * (1 - (1 - f) * s);
+      [r, g, b] = [[v, t, p], [q, v, p], [p, v, t], [p, q, v], [t, p, v], [v, p, q]][((i % 6) + 6) % 6]
+        .map(c => c * 255);
+    } else if (color['Gry '] !== undefined) {
+      r = g = b = 255 - color['Gry '] * 2.55;
+    }
+  }
+  return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${round(alpha)})`;
+}
+
+function extractGradient(gradient) {
+  if (!gradient) {
+    return null;
+  }
+  return {
+    'name': gradient['Nm  '] || '',
+    'colorStops': (gradient['Clrs'] || []).map(stop => ({
+      'location': round(stop['Lctn'] / GRADIENT_LOCATION_MAX),
+      'midpoint': round((stop['Mdpn'] === undefined ? 50 : stop['Mdpn']) / 100),
+      'color': descriptorColorToRgba(stop['Clr '])
+    })),
+    'opacityStops': (gradient['Trns'] || []).map(stop => ({
+      'location': round(stop['Lctn'] / GRADIENT_LOCATION_MAX),
+      'midpoint': round((stop['Mdpn'] === undefined ? 50 : stop['Mdpn']) / 100),
+      'opacity': round(unitValue(stop['Opct'], 100) / 100)
+    }))
+  };
+}
+
+function common(data) {
+  return {
+    'enabled': data['enab'] !== false,
+    'blendMode': BLEND_MODES[enumValue(data['Md  '])] || 'normal',
+    'opacity': round(unitValue(data['Opct'], 100) / 100)
+  };
+}
+
+function shadow(data, scale, globalAngle) {
+  const angle = data['uglg'] ? globalAngle : unitValue(data['lagl'], globalAngle);
+  const distance = unitValue(data['Dstn']) * scale;
+  const radians = angle * Math.PI / 180;
+  return Object.assign(common(data), {
+    'color': descriptorColorToRgba(data['Clr ']),
+    'angle': angle,
+    'distance': round(distance),
+    'offsetX': round(-Math.cos(radians) * distance),
+    'offsetY': round(Math.sin(radians) * distance),
+    'spread': round(unitValue(data['Ckmt']) / 100),
+    'size': round(unitValue(data['blur']) * scale)
+  });
+}
+
+function glow(data, scale) {
+  const result = Object.assign(common(data), {
+    'color': descriptorColorToRgba(data['Clr ']),
+    'spread': round(unitValue(data['Ckmt']) / 100),
+    'size': round(unitValue(data['blur']) * scale)
+  });
+  if (data['glwS']) {
+    result.source = enumValue(data['glwS']) === 'SrcC' ? 'center' : 'edge';
+  }
+  return result;
+}
+
+function stroke(data, scale) {
+  const fillType = FILL_TYPES[enumValue(data['PntT'])] || 'color';
+  const result = Object.assign(common(data), {
+    'size': round(unitValue(data['Sz  ']) * scale),
+    'position': STROKE_POSITIONS[enumValue(data['Styl'])] || 'outside',
+    'fillType': fillType
+  });
+  if (fillType === 'gradient') {
+    result.gradient = extractGradient(data['Grad']);
+  } else {
+    result.color = descriptorColorToRgba(data['Clr ']);
+  }
+  return result;
+}
+
+function colorOverlay(data) {
+  return Object.assign(common(data), {
+    'color': descriptorColorToRgba(data['Clr '])
+  });
+}
+
+/**
+ * Read the placement and colors of a gradient fill, as used by gradient overlays and fill layers
+ * @param {Object} data Descriptor with `Angl`, `Type`, `Scl `, `Rvrs` and `Grad`
+ * @returns {Object}
+ */
+function extractGradientFill(data) {
+  return {
+    'angle': unitValue(data['Angl'], 90),
+    'style': GRADIENT_TYPES[enumValue(data['Type'])] || 'linear',
+    'scale': round(unitValue(data['Scl '], 100) / 100),
+    'reverse': !!data['Rvrs'],
+    'gradient': extractGradient(data['Grad'])
+  };
+}
+
+function gradientOverlay(data) {
+  return Object.assign(common(data), extractGradientFill(data));
+}
+
+// Single effect key, multi effect key (Photoshop CC), output name and converter.
+const EFFECTS = [
+  ['DrSh', 'dropShadowMulti', 'dropShadow', shadow],
+  ['IrSh', 'innerShadowMulti', 'innerShadow', shadow],
+  ['OrGl', null, 'outerGlow', glow],
+  ['IrGl', null, 'innerGlow', glow],
+  ['FrFX', 'frameFXMulti', 'stroke', stroke],
+  ['SoFi', 'solidFillMulti', 'colorOverlay', colorOverlay],
+  ['GrFl', 'gradientFillMulti', 'gradientOverlay', gradientOverlay]
+];
+
+/**
+ * Normalize the layer effects descriptor of a layer.
+ * Photoshop writes `lfx2` (or `lmfx`) next to the legacy `lrFX` block since version 6,
+ * so only the descriptor based blocks are read.
+ * @param {Object} layer psd.js layer
+ * @param {Object} [options]
+ * @param {number} [options.globalAngle] Angle used by effects following the global light
+ * @returns {Object|null} Effects keyed by type, multi effects as arrays, or null if there are none
+ */
+function extractEffects(layer, options = {}) {
+  const info = loadInfo(layer, 'objectEffects');
+  if (!info) {
+    return null;
+  }
+  const data = info.data;
+  if (!data || data['masterFXSwitch'] === false) {
+    return null;
+  }
+
+  const globalAngle = options.globalAngle === undefined ? DEFAULT_GLOBAL_ANGLE : options.globalAngle;
+  const scale = unitValue(data['Scl '], 100) / 100;
+  const effects = {};
+
+  for (const [key, multiKey, name, convert] of EFFECTS) {
+    if (multiKey && Array.isArray(data[multiKey])) {
+      const list = data[multiKey].filter(effect => effect['present'] !== false);
+      if (list.length === 1) {
+        effects[name] = convert(list[0], scale, globalAngle);
+      } else if (list.length > 1) {
+        effects[name] = list.map(effect => convert(effect, scale, globalAngle));
+      }
+    } else if (data[key] && data[key]['present'] !== false) {
+      effects[name] = convert(data[key], scale, globalAngle);
+    }
+  }
+
+  return Object.keys(effects).length > 0 ? effects : null;
+}
+
+module.exports = {
+  BLEND_MODES,
+  descriptorColorToRgba,
+  extractGradient,
+  extractGradientFill,
+  extractEffects
+};
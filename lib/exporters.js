@@ -0,0 +1,56 @@
+const { exportHtml } = require('./html');
+const { exportReact } = require('./react');
+const { exportCocos } = require('./cocos');
+
+/*
+ * An exporter is an object with a `name` and an `export(document, context)` method returning (a promise of) a list
+ * of `{path, contents}` files, paths being relative to the output directory. The context has:
+ *   - `name`: the name of the PSD file without extension
+ *   - `getImage(node)`: the image written for a node as `{path, density, width, height}`, the path being relative
+ *     to the output directory and the size in pixels, or null. The 1x image is used when there are several densities
+ *   - `getAtlasPath(node)`: the sprite sheet descriptor of a node in atlas mode, relative to the output directory
+ *   - `readFile(path)`: the contents of a file of the output directory, or null if it does not exist
+ */
+const EXPORTERS = {
+  html: { name: 'html', export: exportHtml },
+  react: { name: 'react', export: exportReact },
+  cocos: { name: 'cocos', export: exportCocos }
+};
+
+/**
+ * Get an exporter by name, exporter objects are returned as they are
+ * @param {string|Object} target
+ * @returns {Object}
+ */
+function getExporter(target) {
+  if (typeof target === 'object' && target !== null && typeof target.export === 'function') {
+    return target;
+  }
+  if (typeof target === 'string' && Object.prototype.hasOwnProperty.call(EXPORTERS, target)) {
+    return EXPORTERS[target];
+  }
+  throw new Error(`Unknown target "${target}", expected one of ${Object.keys(EXPORTERS).join(', ')} or an exporter object`);
+}
+
+/**
+ * Run exporters on a document
+ * @param {Array<string|Object>} targets Exporter names or objects
+ * @param {Object} document psd2json document with its envelope
+ * @param {Object} context See above
+ * @returns {Promise<Array<{target: string, path: string, contents: string}>>}
+ */
+async function runExporters(targets, document, context) {
+  const files = [];
+  for (const exporter of targets.map(getExporter)) {
+    for (const file of await exporter.export(document, context)) {
+      files.push({ target: exporter.name, path: file.path, contents: file.contents });
+    }
+  }
+  return files;
+}
+
+module.exports = {
+  EXPORTERS,
+  getExporter,
+  runExporters
+};
@@ -0,0 +1,96 @@
+// File extension of every supported output format
+const EXTENSIONS = {
+  'png': '.png',
+  'jpeg': '.jpg',
+  'webp': '.webp',
+  'avif': '.avif'
+};
+
+// Encoder settings passed to sharp, per format
+const DEFAULT_IMAGE_FORMAT = {
+  format: 'png',
+  background: '#ffffff',
+  png: { palette: false },
+  jpeg: { quality: 85, mozjpeg: true },
+  webp: { quality: 85, alphaQuality: 100, effort: 4 },
+  avif: { quality: 60, effort: 4 }
+};
+
+/**
+ * Normalize the imageFormat option
+ * @param {string|Object} [imageFormat] Format name (png, jpeg, webp, avif or auto), or
+ *   `{format, background, png, jpeg, webp, avif}` with sharp encoder settings per format
+ * @returns {Object} Complete format options
+ */
+function normalizeImageFormat(imageFormat = {}) {
+  const options = typeof imageFormat === 'string' ? { format: imageFormat } : imageFormat;
+  const result = Object.assign({}, DEFAULT_IMAGE_FORMAT, { format: options.format || DEFAULT_IMAGE_FORMAT.format });
+
+  if (result.format !== 'auto' && !EXTENSIONS[result.format]) {
+    throw new Error(`Unknown image format "${result.format}", expected one of auto, ${Object.keys(EXTENSIONS).join(', ')}`);
+  }
+  if (options.background) {
+    result.background = options.background;
+  }
+  for (const format of Object.keys(EXTENSIONS)) {
+    result[format] = Object.assign({}, DEFAULT_IMAGE_FORMAT[format], options[format]);
+  }
+  return result;
+}
+
+/**
+ * Check whether any pixel of a bitmap is not fully opaque
+ */
+function hasAlpha(bitmap) {
+  for (let i = 3; i < bitmap.data.length; i += 4) {
+    if (bitmap.data[i] !== 255) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Pick the format of a bitmap, `auto` writes JPEG when the bitmap is fully opaque and PNG otherwise
+ * @param {Object|null} bitmap The bitmap to write, or null when its pixels are unknown (auto then picks PNG)
+ * @param {Object} imageFormat Normalized format options
+ * @returns {string} Format name
+ */
+function resolveFormat(bitmap, imageFormat) {
+  if (imageFormat.format !== 'auto') {
+    return imageFormat.format;
+  }
+  return bitmap && !hasAlpha(bitmap) ? 'jpeg' : 'png';
+}
+
+/**
+ * Get the file extension of a format, with the leading dot
+ */
+function getExtension(format) {
+  return EXTENSIONS[format];
+}
+
+/**
+ * Configure a sharp instance to encode in the given format
+ * @param {Object} image sharp instance
+ * @param {string} format Format name
+ * @param {Object} imageFormat Normalized format options
+ * @returns {Object} sharp instance
+ */
+function encode(image, format, imageFormat) {
+  if (format === 'jpeg') {
+    // JPEG has no alpha channel, transparent pixels are put on the background color
+    image = image.flatten({ background: imageFormat.background });
+  }
+  return image[format](imageFormat[format]);
+}
+
+module.exports = {
+  EXTENSIONS,
+  DEFAULT_IMAGE_FORMAT,
+  normalizeImageFormat,
+  hasAlpha,
+  resolveFormat,
+  getExtension,
+  encode
+};
@@ -0,0 +1,72 @@
+const { createMarkup } = require('./markup');
+
+// Elements without closing tag
+const VOID_ELEMENTS = ['img'];
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function renderStyle(style) {
+  return style.map(([property, value]) => `${property}: ${value}`).join('; ');
+}
+
+function renderElement(element, indent) {
+  if (typeof element === 'string') {
+    return escapeHtml(element);
+  }
+
+  const attributes = Object.assign({}, element.attributes);
+  const style = element.style.slice();
+  if (element.image && element.tag === 'img') {
+    attributes.src = element.image;
+  } else if (element.image) {
+    style.push(['border-image-source', `url('${element.image.replace(/['\\]/g, '\\$&')}')`]);
+  }
+  attributes.style = renderStyle(style);
+
+  const open = `<${element.tag}${Object.entries(attributes).map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('')}>`;
+  if (VOID_ELEMENTS.includes(element.tag)) {
+    return indent + open;
+  }
+  // Text is kept on one line, white space inside text elements is significant
+  if (element.children.some(child => typeof child === 'string' || child.tag === 'span')) {
+    return `${indent}${open}${element.children.map(child => renderElement(child, '')).join('')}</${element.tag}>`;
+  }
+  if (element.children.length === 0) {
+    return `${indent}${open}</${element.tag}>`;
+  }
+  return [
+    indent + open,
+    ...element.children.map(child => renderElement(child, indent + '  ')),
+    `${indent}</${element.tag}>`
+  ].join('\n');
+}
+
+/**
+ * Export a document as a HTML page of absolutely positioned elements
+ * @param {Object} document psd2json document with its envelope
+ * @param {Object} context Exporter context, see lib/exporters.js
+ * @returns {Array<{path: string, contents: string}>} `<name>.html`
+ */
+function exportHtml(document, context) {
+  const contents = [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(document.document.name)}</title>`,
+    '</head>',
+    '<body>',
+    renderElement(createMarkup(document, context), ''),
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+  return [{ path: `${context.name}.html`, contents }];
+}
+
+module.exports = {
+  escapeHtml,
+  exportHtml
+};
@@ -0,0 +1,157 @@
+const sharp = require('sharp');
+const { scaleRect } = require('./scale');
+
+/**
+ * A bitmap is raw RGBA pixel data positioned in document coordinates:
+ * `{data: Buffer, width: number, height: number, left: number, top: number}`
+ */
+
+/**
+ * Create a bitmap from a psd.js layer image
+ * @param {Object} image psd.js image with `pixelData`
+ * @param {number} left Absolute x of the image
+ * @param {number} top Absolute y of the image
+ * @returns {Object} bitmap
+ */
+function fromImage(image, left, top) {
+  if (!image || !image.pixelData) {
+    throw new Error('Layer image is null');
+  }
+  return {
+    data: Buffer.from(image.pixelData),
+    width: image.width(),
+    height: image.height(),
+    left,
+    top
+  };
+}
+
+/**
+ * Create a fully transparent bitmap
+ */
+function createEmpty(width, height, left = 0, top = 0) {
+  return { data: Buffer.alloc(width * height * 4), width, height, left, top };
+}
+
+/**
+ * Crop a bitmap to a rectangle in document coordinates
+ * @param {Object} bitmap
+ * @param {{left: number, top: number, right: number, bottom: number}} rect
+ * @returns {Object|null} The cropped bitmap, or null if it does not intersect the rectangle
+ */
+function cropBitmap(bitmap, rect) {
+  const left = Math.max(bitmap.left, rect.left);
+  const top = Math.max(bitmap.top, rect.top);
+  const right = Math.min(bitmap.left + bitmap.width, rect.right);
+  const bottom = Math.min(bitmap.top + bitmap.height, rect.bottom);
+
+  if (left >= right || top >= bottom) {
+    return null;
+  }
+  if (left === bitmap.left && top === bitmap.top && right - left === bitmap.width && bottom - top === bitmap.height) {
+    return bitmap;
+  }
+
+  const width = right - left;
+  const height = bottom - top;
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const sourceStart = ((top - bitmap.top + y) * bitmap.width + (left - bitmap.left)) * 4;
+    bitmap.data.copy(data, y * width * 4, sourceStart, sourceStart + width * 4);
+  }
+
+  return { data, width, height, left, top };
+}
+
+/**
+ * Multiply the alpha channel of a bitmap in place
+ */
+function applyOpacity(bitmap, opacity) {
+  if (opacity >= 1) {
+    return bitmap;
+  }
+  for (let i = 3; i < bitmap.data.length; i += 4) {
+    bitmap.data[i] = Math.round(bitmap.data[i] * opacity);
+  }
+  return bitmap;
+}
+
+/**
+ * Find the bounds of the pixels that are not fully transparent
+ * @param {Object} bitmap
+ * @returns {{x: number, y: number, width: number, height: number}|null} Bounds relative to the bitmap, or null if empty
+ */
+function getOpaqueBounds(bitmap) {
+  const { data, width, height } = bitmap;
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] !== 0) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+
+  if (maxX < 0) {
+    return null;
+  }
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+/**
+ * Crop the fully transparent margins of a bitmap
+ * @param {Object} bitmap
+ * @returns {Object} The trimmed bitmap, or the bitmap itself if it has no margins or is completely transparent
+ */
+function trimBitmap(bitmap) {
+  const bounds = getOpaqueBounds(bitmap);
+  if (!bounds) {
+    return bitmap;
+  }
+  return cropBitmap(bitmap, {
+    left: bitmap.left + bounds.x,
+    top: bitmap.top + bounds.y,
+    right: bitmap.left + bounds.x + bounds.width,
+    bottom: bitmap.top + bounds.y + bounds.height
+  });
+}
+
+/**
+ * Resample a bitmap by a document-wide scale factor
+ * @param {Object} bitmap
+ * @param {number} scale
+ * @param {string} [kernel] sharp resampling kernel (nearest, linear, cubic, mitchell, lanczos2, lanczos3)
+ * @returns {Promise<Object>} The scaled bitmap, positioned in scaled document coordinates
+ */
+async function scaleBitmap(bitmap, scale, kernel = 'lanczos3') {
+  const rect = scaleRect(bitmap.left, bitmap.top, bitmap.width, bitmap.height, scale);
+  const data = await toSharp(bitmap)
+    .resize(rect.width, rect.height, { fit: 'fill', kernel })
+    .raw()
+    .toBuffer();
+  return { data, width: rect.width, height: rect.height, left: rect.left, top: rect.top };
+}
+
+/**
+ * Create a sharp instance reading the bitmap
+ */
+function toSharp(bitmap) {
+  return sharp(bitmap.data, {
+    raw: { width: bitmap.width, height: bitmap.height, channels: 4 }
+  });
+}
+
+module.exports = {
+  fromImage,
+  createEmpty,
+  cropBitmap,
+  applyOpacity,
+  getOpaqueBounds,
+  trimBitmap,
+  scaleBitmap,
+  toSharp
+};
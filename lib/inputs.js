@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+
+function isPsdFile(file) {
+  return path.extname(file).toLowerCase() === '.psd';
+}
+
+/**
+ * List the PSD files of a directory and its subdirectories
+ * @param {string} dir
+ * @returns {Array<string>} Absolute paths, sorted
+ */
+function listPsdFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.resolve(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listPsdFiles(entryPath));
+    } else if (entry.isFile() && isPsdFile(entry.name)) {
+      files.push(entryPath);
+    }
+  }
+  return files.sort();
+}
+
+function toPosix(file) {
+  return file.split(path.sep).join('/');
+}
+
+function hasGlob(pattern) {
+  return /[*?[\]{}]/.test(pattern);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^$()|\\]/g, '\\$&');
+}
+
+/**
+ * Convert a glob pattern to a RegExp matching posix paths. Supports `**`, `*`, `?`, `[...]` and `{a,b}`.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let braces = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` also matches no directory at all
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += '[' + pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+        i = end;
+      }
+    } else if (char === '{') {
+      braces++;
+      source += '(?:';
+    } else if (char === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else if (char === '}') {
+      source += '\\}';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Get the directory a glob pattern starts in, the path before the first segment with wildcards
+ */
+function globBase(pattern) {
+  const segments = toPosix(pattern).split('/');
+  const index = segments.findIndex(hasGlob);
+  return segments.slice(0, index).join('/') || '/';
+}
+
+/**
+ * Expand files, directories and glob patterns to PSD files. Directories are searched recursively,
+ * glob patterns only match PSD files.
+ * @param {Array<string>} inputs
+ * @returns {{files: Array<{file: string, base: string}>, missing: Array<string>}} Files with the directory
+ *   the input started from, and the inputs that matched nothing
+ */
+function expandInputs(inputs) {
+  const files = new Map();
+  const missing = [];
+
+  for (const input of inputs) {
+    const resolved = path.resolve(input);
+    let found = [];
+    let base = resolved;
+
+    if (hasGlob(input)) {
+      base = path.resolve(globBase(resolved));
+      const regex = globToRegExp(toPosix(resolved));
+      if (fs.existsSync(base) && fs.statSync(base).isDirectory()) {
+        found = listPsdFiles(base).filter(file => regex.test(toPosix(file)));
+      }
+    } else if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+      found = listPsdFiles(resolved);
+    } else if (fs.existsSync(resolved)) {
+      base = path.dirname(resolved);
+      found = [resolved];
+    }
+
+    if (found.length === 0) {
+      missing.push(input);
+    }
+    for (const file of found) {
+      if (!files.has(file)) {
+        files.set(file, { file, base });
+      }
+    }
+  }
+
+  return { files: [...files.values()], missing };
+}
+
+/**
+ * Check whether a file belongs to an input: the file itself, a PSD file inside the directory or a match of the pattern
+ * @param {string} input File, directory or glob pattern
+ * @param {string} file Absolute path
+ * @returns {boolean}
+ */
+function matchesInput(input, file) {
+  const resolved = path.resolve(input);
+  if (hasGlob(input)) {
+    return isPsdFile(file) && globToRegExp(toPosix(resolved)).test(toPosix(file));
+  }
+  if (file === resolved) {
+    return true;
+  }
+  return isPsdFile(file) && !path.relative(resolved, file).startsWith('..') && !path.isAbsolute(path.relative(resolved, file));
+}
+
+module.exports = {
+  isPsdFile,
+  listPsdFiles,
+  hasGlob,
+  globToRegExp,
+  globBase,
+  expandInputs,
+  matchesInput
+};
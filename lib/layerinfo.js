@@ -0,0 +1,116 @@
+// psd.js is written in CoffeeScript, requiring it registers the loader for its descriptor parser
+require('psd');
+const File = require('psd/lib/psd/file.coffee');
+const Descriptor = require('psd/lib/psd/descriptor.coffee');
+
+// Length of the PSD file header, the color mode data section follows it
+const HEADER_LENGTH = 26;
+
+// Raw layer info blocks of every PSD file read, see readLayerRecords()
+const rawBlocks = new WeakMap();
+
+/**
+ * Get a parsed layer info block of a psd.js layer.
+ * psd.js parses layer info lazily, and its proxy only forwards the properties a block has before parsing: values
+ * set by parse() such as `textValue` or the fill opacity `value` read as undefined until the block is loaded.
+ * @param {Object} layer psd.js layer
+ * @param {string} name psd.js name of the block, e.g. 'typeTool'
+ * @returns {Object|null} The parsed block, null if the layer has none
+ */
+function loadInfo(layer, name) {
+  if (!layer || typeof layer[name] !== 'function') {
+    return null;
+  }
+  const info = layer[name]();
+  if (!info) {
+    return null;
+  }
+  if (info.loaded === false) {
+    info.load();
+  }
+  // Blocks set by hand, e.g. by a layer comp, are plain objects
+  return info.obj || info;
+}
+
+/**
+ * Read the raw layer info blocks of all layer records of a PSD file
+ * @param {Buffer} data Contents of the PSD file
+ * @returns {Map<number, Map<string, Buffer>>} Block data by key, by the end of the layer record in the file
+ */
+function readLayerRecords(data) {
+  const records = new Map();
+  let offset = HEADER_LENGTH;
+
+  // Skip the color mode data and image resources sections, and the lengths of the layer and mask information
+  offset += 4 + data.readUInt32BE(offset);
+  offset += 4 + data.readUInt32BE(offset);
+  offset += 8;
+  if (data.readUInt32BE(offset - 4) === 0) {
+    return records;
+  }
+
+  // A negative layer count means the first alpha channel holds the transparency of the merged image
+  const count = Math.abs(data.readInt16BE(offset));
+  offset += 2;
+  for (let index = 0; index < count; index++) {
+    // Bounds, channel info, blend mode, opacity, clipping, flags and filler precede the extra data
+    const extraStart = offset + 18 + data.readUInt16BE(offset + 16) * 6 + 12;
+    const end = extraStart + 4 + data.readUInt32BE(extraStart);
+
+    // Skip the mask data, the blending ranges and the legacy name, padded to 4 bytes with its length
+    let position = extraStart + 4;
+    position += 4 + data.readUInt32BE(position);
+    position += 4 + data.readUInt32BE(position);
+    position += (data.readUInt8(position) + 4) & ~3;
+
+    const blocks = new Map();
+    while (position + 12 <= end) {
+      const key = data.toString('ascii', position + 4, position + 8);
+      const length = data.readUInt32BE(position + 8);
+      blocks.set(key, data.subarray(position + 12, position + 12 + length));
+      position += 12 + length + (length % 2);
+    }
+    records.set(end, blocks);
+    offset = end;
+  }
+
+  return records;
+}
+
+/**
+ * Get the data of a layer info block psd.js does not know. psd.js skips these blocks without keeping their
+ * position, so the layer records are read again from the file, once per file.
+ * @param {Object} layer psd.js layer
+ * @param {Array<string>} keys Keys of the block, the first one the layer has is used
+ * @returns {Buffer|null} Data of the block, null if the layer has none
+ */
+function readRawInfo(layer, keys) {
+  const data = layer && layer.file && layer.file.data;
+  if (!data || layer.layerEnd === undefined) {
+    return null;
+  }
+  if (!rawBlocks.has(data)) {
+    rawBlocks.set(data, readLayerRecords(data));
+  }
+  const blocks = rawBlocks.get(data).get(layer.layerEnd);
+  const key = blocks && keys.find(candidate => blocks.has(candidate));
+  return key ? blocks.get(key) : null;
+}
+
+/**
+ * Parse the descriptor of a raw layer info block
+ * @param {Buffer} data Data of the block
+ * @param {number} offset Position of the descriptor, after the version fields of the block
+ * @returns {Object} Parsed descriptor
+ */
+function parseInfoDescriptor(data, offset) {
+  const file = new File(data);
+  file.seek(offset);
+  return new Descriptor(file).parse();
+}
+
+module.exports = {
+  loadInfo,
+  readRawInfo,
+  parseInfoDescriptor
+};
@@ -0,0 +1,259 @@
+const DEFAULT_LAYOUT_OPTIONS = {
+  // Difference in px still considered equal when comparing gaps, edges and sizes
+  tolerance: 2
+};
+
+function round(value, digits = 3) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function isVisible(node) {
+  return node.visible !== false;
+}
+
+/**
+ * Get the bounds of a node relative to its parent. Groups without bounds of their own cover their visible children.
+ * @param {Object} node
+ * @returns {{x: number, y: number, width: number, height: number}|null} null for empty groups
+ */
+function getBox(node) {
+  if (node.width > 0 && node.height > 0) {
+    return { x: node.x, y: node.y, width: node.width, height: node.height };
+  }
+  const boxes = (node.children || []).filter(isVisible).map(getBox).filter(Boolean);
+  if (boxes.length === 0) {
+    return null;
+  }
+  const union = getUnion(boxes);
+  return { x: node.x + union.x, y: node.y + union.y, width: union.width, height: union.height };
+}
+
+function getUnion(boxes) {
+  const left = Math.min(...boxes.map(box => box.x));
+  const top = Math.min(...boxes.map(box => box.y));
+  const right = Math.max(...boxes.map(box => box.x + box.width));
+  const bottom = Math.max(...boxes.map(box => box.y + box.height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+function isUniform(values, tolerance) {
+  return Math.max(...values) - Math.min(...values) <= tolerance;
+}
+
+function average(values) {
+  return round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+// The axis properties of boxes
+const AXES = {
+  x: { start: 'x', size: 'width' },
+  y: { start: 'y', size: 'height' }
+};
+
+/**
+ * Pick the edge of the parent a box keeps its distance to: the closer edge, the center when the box is closer
+ * to the center than to both edges, or both edges when it spans the parent
+ */
+function getConstraint(box, bounds, axis, names, tolerance) {
+  const { start, size } = AXES[axis];
+  const before = box[start] - bounds[start];
+  const after = bounds[start] + bounds[size] - (box[start] + box[size]);
+  const center = Math.abs(box[start] + box[size] / 2 - (bounds[start] + bounds[size] / 2));
+  if (before <= tolerance && after <= tolerance) {
+    return 'stretch';
+  }
+  if (center < Math.min(before, after)) {
+    return 'center';
+  }
+  return before <= after ? names[0] : names[1];
+}
+
+function getConstraints(box, bounds, tolerance) {
+  return {
+    'horizontal': getConstraint(box, bounds, 'x', ['left', 'right'], tolerance),
+    'vertical': getConstraint(box, bounds, 'y', ['top', 'bottom'], tolerance)
+  };
+}
+
+// Layer types of a node and its descendants, equal for the items of a list
+function getSignature(node) {
+  return node.type + (node.children ? `(${node.children.map(getSignature).join(',')})` : '');
+}
+
+function getPadding(content, container) {
+  return {
+    'top': round(Math.max(0, content.y - container.y)),
+    'right': round(Math.max(0, container.x + container.width - content.x - content.width)),
+    'bottom': round(Math.max(0, container.y + container.height - content.y - content.height)),
+    'left': round(Math.max(0, content.x - container.x))
+  };
+}
+
+/**
+ * Get the gap between boxes placed one after the other along an axis, null if they overlap or the gaps differ
+ */
+function getStackGap(boxes, axis, tolerance) {
+  const { start, size } = AXES[axis];
+  const sorted = boxes.slice().sort((a, b) => a[start] - b[start]);
+  const gaps = sorted.slice(1).map((box, index) => box[start] - (sorted[index][start] + sorted[index][size]));
+  if (gaps.some(gap => gap < -tolerance) || !isUniform(gaps, tolerance)) {
+    return null;
+  }
+  return Math.max(0, average(gaps));
+}
+
+// Alignment of boxes on the cross axis of a stack, by their edges or, for boxes of the same size in a container, by the padding
+function getAlignment(boxes, axis, padding, byContainer, tolerance) {
+  const { start, size } = AXES[axis];
+  const [paddingStart, paddingEnd] = axis === 'x' ? [padding.left, padding.right] : [padding.top, padding.bottom];
+  if (byContainer && isUniform(boxes.map(box => box[start]), tolerance)) {
+    if (Math.abs(paddingStart - paddingEnd) <= tolerance) {
+      return 'center';
+    }
+    return paddingStart < paddingEnd ? 'start' : 'end';
+  }
+  if (isUniform(boxes.map(box => box[start]), tolerance)) {
+    return 'start';
+  }
+  if (isUniform(boxes.map(box => box[start] + box[size] / 2), tolerance)) {
+    return 'center';
+  }
+  if (isUniform(boxes.map(box => box[start] + box[size]), tolerance)) {
+    return 'end';
+  }
+  return 'none';
+}
+
+/**
+ * Find rows and columns of boxes of the same size, the last row may be shorter
+ */
+function getGrid(boxes, tolerance) {
+  const rows = [];
+  for (const box of boxes.slice().sort((a, b) => a.y - b.y || a.x - b.x)) {
+    const row = rows.find(candidate => Math.abs(candidate[0].y - box.y) <= tolerance);
+    if (row) {
+      row.push(box);
+    } else {
+      rows.push([box]);
+    }
+  }
+  const columns = rows[0].length;
+  if (rows.length < 2 || columns < 2 || rows.some((row, index) => index < rows.length - 1 ? row.length !== columns : row.length > columns)) {
+    return null;
+  }
+  rows.forEach(row => row.sort((a, b) => a.x - b.x));
+  // Every column starts at the same x in every row
+  const aligned = rows.every(row => row.every((box, index) => Math.abs(box.x - rows[0][index].x) <= tolerance));
+  const columnGap = getStackGap(rows[0], 'x', tolerance);
+  const rowGap = getStackGap(rows.map(row => row[0]), 'y', tolerance);
+  if (!aligned || columnGap === null || rowGap === null) {
+    return null;
+  }
+  return { columns, gap: { 'row': rowGap, 'column': columnGap } };
+}
+
+/**
+ * Detect how the children of a group are laid out
+ * @param {Array<Object>} children
+ * @param {Object|null} bounds Bounds of the group itself, null for groups without bounds
+ * @param {number} tolerance
+ * @returns {Object|null} `{direction, gap, padding, align}`
+ */
+function detectLayout(children, bounds, tolerance) {
+  let items = children.filter(isVisible).map(node => ({ node, box: getBox(node) })).filter(item => item.box);
+
+  // A background is the largest child covering the center of every other child, the others are laid out on it
+  const area = item => item.box.width * item.box.height;
+  const largest = items.slice().sort((a, b) => area(b) - area(a))[0];
+  const contains = (box, point) => point.x >= box.x && point.x <= box.x + box.width && point.y >= box.y && point.y <= box.y + box.height;
+  const background = items.length > 2 && items.every(item => item === largest ||
+    contains(largest.box, { x: item.box.x + item.box.width / 2, y: item.box.y + item.box.height / 2 })) ? largest : null;
+  if (background) {
+    items = items.filter(item => item !== background);
+  }
+  if (items.length < 2) {
+    return null;
+  }
+
+  const boxes = items.map(item => item.box);
+  const content = getUnion(boxes);
+  const container = background ? background.box : bounds;
+  const padding = getPadding(content, container || content);
+  const uniform = isUniform(boxes.map(box => box.width), tolerance) && isUniform(boxes.map(box => box.height), tolerance);
+  const repeated = uniform && new Set(items.map(item => getSignature(item.node))).size === 1;
+
+  let layout = null;
+  const grid = uniform && boxes.length >= 4 ? getGrid(boxes, tolerance) : null;
+  if (grid) {
+    layout = { 'direction': 'grid', 'columns': grid.columns, 'gap': grid.gap, 'padding': padding, 'align': 'start' };
+  } else {
+    const horizontal = getStackGap(boxes, 'x', tolerance);
+    const vertical = getStackGap(boxes, 'y', tolerance);
+    // Boxes placed diagonally stack both ways, the axis they are better aligned on wins
+    const spread = axis => Math.max(...boxes.map(box => box[axis])) - Math.min(...boxes.map(box => box[axis]));
+    const direction = horizontal !== null && (vertical === null || spread('y') <= spread('x'))
+      ? 'horizontal'
+      : (vertical !== null ? 'vertical' : null);
+    if (!direction) {
+      return null;
+    }
+    layout = {
+      'direction': direction,
+      'gap': direction === 'horizontal' ? horizontal : vertical,
+      'padding': padding,
+      'align': getAlignment(boxes, direction === 'horizontal' ? 'y' : 'x', padding, uniform && !!container, tolerance)
+    };
+  }
+  if (background) {
+    layout.background = background.node.name;
+  }
+  if (repeated) {
+    layout.repeated = true;
+  }
+  return layout;
+}
+
+function annotate(nodes, bounds, tolerance) {
+  for (const node of nodes) {
+    const box = getBox(node);
+    if (box) {
+      node.constraints = getConstraints(box, bounds, tolerance);
+    }
+    if (node.type !== 'group' || !node.children) {
+      continue;
+    }
+    // Groups without bounds of their own pass on the bounds of their parent
+    const ownBounds = node.width > 0 && node.height > 0 ? { x: 0, y: 0, width: node.width, height: node.height } : null;
+    annotate(node.children, ownBounds || {
+      x: bounds.x - node.x,
+      y: bounds.y - node.y,
+      width: bounds.width,
+      height: bounds.height
+    }, tolerance);
+    const layout = detectLayout(node.children, ownBounds, tolerance);
+    if (layout) {
+      node.layout = layout;
+    }
+  }
+}
+
+/**
+ * Annotate a finished structure: groups get the `layout` their children follow (stacks, grids, repeated items)
+ * and every node gets `constraints` telling which edges of its parent it sticks to. Top level nodes are
+ * constrained to the document, children of groups without bounds to the closest parent with bounds.
+ * @param {Array<Object>} nodes Top level nodes
+ * @param {{width: number, height: number}} size Document size
+ * @param {Object} [options] `tolerance` in px
+ */
+function inferLayout(nodes, size, options = {}) {
+  const { tolerance } = Object.assign({}, DEFAULT_LAYOUT_OPTIONS, options);
+  annotate(nodes, { x: 0, y: 0, width: size.width, height: size.height }, tolerance);
+}
+
+module.exports = {
+  DEFAULT_LAYOUT_OPTIONS,
+  getBox,
+  detectLayout,
+  inferLayout
+};
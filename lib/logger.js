@@ -0,0 +1,56 @@
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Create a logger writing to stderr
+ * @param {Object} [options]
+ * @param {string} [options.level='warn'] Lowest level written: debug, info, warn or error
+ * @param {string} [options.format='text'] 'text' for plain lines, 'json' for one JSON object per line
+ * @param {function(string)} [options.write] Writes a line, to stderr by default
+ * @returns {Object} Logger with `debug`, `info`, `warn` and `error` methods taking a message and optional fields
+ */
+function createConsoleLogger(options = {}) {
+  const { level = 'warn', format = 'text', write = line => process.stderr.write(line + '\n') } = options;
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}", expected one of ${LOG_LEVELS.join(', ')}`);
+  }
+  if (format !== 'text' && format !== 'json') {
+    throw new Error(`Unknown log format "${format}", expected text or json`);
+  }
+
+  const logger = {};
+  for (const name of LOG_LEVELS) {
+    if (LOG_LEVELS.indexOf(name) < LOG_LEVELS.indexOf(level)) {
+      logger[name] = () => {};
+    } else if (format === 'json') {
+      logger[name] = (message, fields = {}) => write(JSON.stringify(Object.assign(
+        { time: new Date().toISOString(), level: name, message }, fields)));
+    } else {
+      const prefix = name === 'warn' ? 'Warning: ' : (name === 'error' ? 'Error: ' : '');
+      logger[name] = message => write(prefix + message);
+    }
+  }
+  return logger;
+}
+
+/**
+ * Complete a logger given as option, missing methods do nothing
+ * @param {Object} [logger] Object with some of `debug`, `info`, `warn` and `error`, by default warnings and
+ *   errors are written to stderr
+ * @returns {Object}
+ */
+function createLogger(logger) {
+  if (!logger) {
+    return createConsoleLogger();
+  }
+  const result = {};
+  for (const name of LOG_LEVELS) {
+    result[name] = typeof logger[name] === 'function' ? logger[name].bind(logger) : () => {};
+  }
+  return result;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  createConsoleLogger,
+  createLogger
+};
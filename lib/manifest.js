@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Version of the manifest format, manifests of other versions are ignored
+const MANIFEST_VERSION = 1;
+
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) {
+    hash.update(part);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Hash the pixels of a bitmap together with the settings used to write it
+ * @param {Object} bitmap
+ * @param {Object} settings Anything that changes the written files, e.g. format and scale
+ * @returns {string}
+ */
+function hashBitmap(bitmap, settings) {
+  return sha256(`${bitmap.width}x${bitmap.height}:`, bitmap.data, JSON.stringify(settings));
+}
+
+/**
+ * Read a manifest written by a previous export
+ * @param {string} manifestPath
+ * @returns {Object|null} The manifest, or null if it does not exist or has another version
+ */
+function readManifest(manifestPath) {
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    return manifest.version === MANIFEST_VERSION ? manifest : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Key of a node in the manifest, its layer id or its path for layers without one
+ */
+function getLayerKey(node, layerPath) {
+  return node.id !== undefined ? String(node.id) : `path:${layerPath}`;
+}
+
+/**
+ * Build the manifest of an export
+ * @param {Array<Object>} children Top level nodes
+ * @param {Map<Object, string>} pixelHashes Pixel hash by node
+ * @param {Map<Object, Array<string>>} outputFiles Files written for a node, relative to the image directory
+ * @returns {Object} `{version, layers}` with `{name, path, hash, pixels, files}` by layer key
+ */
+function createManifest(children, pixelHashes, outputFiles) {
+  const layers = {};
+
+  const visit = (nodes, parentPath) => {
+    for (const node of nodes) {
+      const layerPath = parentPath + node.name;
+      const properties = Object.assign({}, node);
+      delete properties.children;
+
+      const entry = {
+        'name': node.name,
+        'path': layerPath,
+        'hash': sha256(JSON.stringify(properties), pixelHashes.get(node) || '')
+      };
+      if (pixelHashes.has(node)) {
+        entry.pixels = pixelHashes.get(node);
+      }
+      if (outputFiles.has(node)) {
+        entry.files = outputFiles.get(node);
+      }
+      layers[getLayerKey(node, layerPath)] = entry;
+
+      if (node.children) {
+        visit(node.children, layerPath + '/');
+      }
+    }
+  };
+  visit(children, '');
+
+  return { 'version': MANIFEST_VERSION, 'layers': layers };
+}
+
+/**
+ * Compare two manifests
+ * @param {Object|null} previous
+ * @param {Object} current
+ * @returns {{added: Array<Object>, removed: Array<Object>, modified: Array<Object>}} Layers as `{key, name, path}`
+ */
+function compareManifests(previous, current) {
+  const before = previous ? previous.layers : {};
+  const after = current.layers;
+  // Layer ids are integer keys, which objects do not keep in insertion order
+  const describe = (layers, keys) => keys
+    .map(key => ({ key, name: layers[key].name, path: layers[key].path }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  return {
+    added: describe(after, Object.keys(after).filter(key => !before[key])),
+    removed: describe(before, Object.keys(before).filter(key => !after[key])),
+    modified: describe(after, Object.keys(after).filter(key => before[key] && before[key].hash !== after[key].hash))
+  };
+}
+
+/**
+ * Delete the files of a previous export that the current export no longer writes
+ * @param {Object|null} previous
+ * @param {Object} current
+ * @param {string} outImgDir Directory the file paths are relative to
+ * @returns {Array<string>} Deleted files
+ */
+function removeStaleFiles(previous, current, outImgDir) {
+  if (!previous) {
+    return [];
+  }
+  const files = entry => entry.files || [];
+  const kept = new Set(Object.values(current.layers).flatMap(files));
+  const deleted = [];
+
+  for (const file of Object.values(previous.layers).flatMap(files)) {
+    const filePath = path.resolve(outImgDir, file);
+    if (!kept.has(file) && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      deleted.push(file);
+    }
+  }
+  return deleted;
+}
+
+module.exports = {
+  hashBitmap,
+  readManifest,
+  getLayerKey,
+  createManifest,
+  compareManifests,
+  removeStaleFiles
+};
@@ -0,0 +1,237 @@
+const { renderSvg } = require('./svg');
+const { getTextStyle } = require('./text');
+
+// CSS mix-blend-mode of the Photoshop blend modes browsers support, the others are left normal
+const CSS_BLEND_MODES = {
+  'multiply': 'multiply',
+  'screen': 'screen',
+  'overlay': 'overlay',
+  'darken': 'darken',
+  'lighten': 'lighten',
+  'color_dodge': 'color-dodge',
+  'color_burn': 'color-burn',
+  'hard_light': 'hard-light',
+  'soft_light': 'soft-light',
+  'difference': 'difference',
+  'exclusion': 'exclusion',
+  'hue': 'hue',
+  'saturation': 'saturation',
+  'color': 'color',
+  'luminosity': 'luminosity'
+};
+
+function round(value, digits = 3) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function px(value) {
+  return `${round(value)}px`;
+}
+
+// Nodes are listed top layer first like in Photoshop, elements are painted in document order
+function paintOrder(nodes) {
+  return nodes.slice().reverse();
+}
+
+function getDropShadows(node) {
+  const effects = node.effects || {};
+  return [].concat(effects.dropShadow || []).filter(shadow => shadow.enabled);
+}
+
+/**
+ * Get the CSS declarations placing a node inside its parent
+ * @param {Object} node psd2json node
+ * @returns {Array<Array<string>>} `[property, value]` pairs
+ */
+function getNodeStyle(node) {
+  const style = [
+    ['position', 'absolute'],
+    ['left', px(node.x)],
+    ['top', px(node.y)]
+  ];
+  if (node.type !== 'group') {
+    style.push(['width', px(node.width)], ['height', px(node.height)]);
+  }
+  if (node.visible === false) {
+    style.push(['display', 'none']);
+  }
+  // Fill opacity only spares layer effects, which are not rendered apart from shadows
+  const opacity = node.opacityBaked ? 1 : round((node.opacity === undefined ? 1 : node.opacity) *
+    (node.fillOpacity === undefined ? 1 : node.fillOpacity));
+  if (opacity < 1) {
+    style.push(['opacity', String(opacity)]);
+  }
+  if (CSS_BLEND_MODES[node.blendMode]) {
+    style.push(['mix-blend-mode', CSS_BLEND_MODES[node.blendMode]]);
+  }
+  if (node.type === 'group' && node.isolated && node.blendMode !== 'normal') {
+    style.push(['isolation', 'isolate']);
+  }
+
+  const shadows = getDropShadows(node);
+  if (shadows.length > 0 && node.type === 'text') {
+    style.push(['text-shadow', shadows.map(shadow =>
+      `${px(shadow.offsetX)} ${px(shadow.offsetY)} ${px(shadow.size)} ${shadow.color}`).join(', ')]);
+  } else if (shadows.length > 0) {
+    style.push(['filter', shadows.map(shadow =>
+      `drop-shadow(${px(shadow.offsetX)} ${px(shadow.offsetY)} ${px(shadow.size / 2)} ${shadow.color})`).join(' ')]);
+  }
+  return style;
+}
+
+function getFontFamily(font) {
+  return `"${font.replace(/["\\]/g, '')}", sans-serif`;
+}
+
+function getAlignment(alignment) {
+  return alignment.startsWith('justify') ? 'justify' : alignment;
+}
+
+function getRunStyle(run) {
+  const style = [
+    ['font-family', getFontFamily(run.font)],
+    ['font-size', px(run.size)],
+    ['color', run.color]
+  ];
+  if (run.tracking) {
+    // Tracking is in thousandths of an em
+    style.push(['letter-spacing', `${round(run.tracking / 1000)}em`]);
+  }
+  if (typeof run.leading === 'number') {
+    style.push(['line-height', px(run.leading)]);
+  }
+  if (run.baselineShift) {
+    style.push(['vertical-align', px(run.baselineShift)]);
+  }
+  const decorations = [run.underline && 'underline', run.strikethrough && 'line-through'].filter(Boolean);
+  if (decorations.length > 0) {
+    style.push(['text-decoration', decorations.join(' ')]);
+  }
+  if (run.fauxBold) {
+    style.push(['font-weight', 'bold']);
+  }
+  if (run.fauxItalic) {
+    style.push(['font-style', 'italic']);
+  }
+  return style;
+}
+
+function getParagraphStyle(paragraph) {
+  const style = [['text-align', getAlignment(paragraph.alignment)]];
+  const spacing = [
+    ['text-indent', paragraph.firstLineIndent],
+    ['padding-left', paragraph.startIndent],
+    ['padding-right', paragraph.endIndent],
+    ['margin-top', paragraph.spaceBefore],
+    ['margin-bottom', paragraph.spaceAfter]
+  ];
+  for (const [property, value] of spacing) {
+    if (value) {
+      style.push([property, px(value)]);
+    }
+  }
+  return style;
+}
+
+// Photoshop ends paragraphs with a carriage return and breaks lines within a paragraph with ETX
+function toPlainText(text) {
+  return text.replace(/\r$/, '').split('\u0003').join('\r').replace(/\r/g, '\n');
+}
+
+function createTextChildren(text) {
+  const content = text.content || '';
+  const runs = text.runs && text.runs.length > 0 ? text.runs : null;
+  const paragraphs = text.paragraphs && text.paragraphs.length > 0
+    ? text.paragraphs
+    : [{ start: 0, end: content.length, alignment: text.alignment || 'left' }];
+
+  return paragraphs.map(paragraph => {
+    const children = runs
+      ? runs.filter(run => run.end > paragraph.start && run.start < paragraph.end).map(run => ({
+        tag: 'span',
+        attributes: {},
+        style: getRunStyle(run),
+        children: [toPlainText(content.slice(Math.max(run.start, paragraph.start), Math.min(run.end, paragraph.end)))]
+      }))
+      : [toPlainText(content.slice(paragraph.start, paragraph.end))];
+    return { tag: 'div', attributes: {}, style: getParagraphStyle(paragraph), children };
+  });
+}
+
+function createElement(node, context) {
+  const attributes = { 'data-name': node.name };
+  if (node.id !== undefined) {
+    attributes['data-id'] = String(node.id);
+  }
+  const element = { tag: 'div', attributes, style: getNodeStyle(node), children: [] };
+
+  if (node.type === 'group') {
+    element.children = paintOrder(node.children || []).map(child => createElement(child, context));
+  } else if (node.type === 'text' && node.text) {
+    const style = getTextStyle(node.text);
+    element.style.push(
+      ['font-family', getFontFamily(style.font)],
+      ['font-size', px(style.size)],
+      ['color', style.color],
+      ['white-space', 'pre-wrap']
+    );
+    element.children = createTextChildren(node.text);
+  } else {
+    const image = context.getImage(node);
+    if (image && node.slice) {
+      // Nine-slice images stretch through border-image, the insets become the border widths
+      const { top, right, bottom, left } = node.slice;
+      element.image = image.path;
+      element.style.push(
+        ['box-sizing', 'border-box'],
+        ['border-style', 'solid'],
+        ['border-width', [top, right, bottom, left].map(px).join(' ')],
+        ['border-image-slice', `${[top, right, bottom, left].map(inset => round(inset * image.density)).join(' ')} fill`]
+      );
+    } else if (image) {
+      element.tag = 'img';
+      element.image = image.path;
+      attributes.alt = node.name;
+    } else if (node.shape) {
+      element.tag = 'img';
+      element.image = 'data:image/svg+xml,' + encodeURIComponent(renderSvg(node.shape, node.width, node.height));
+      attributes.alt = node.name;
+    } else if (node.atlas) {
+      // Sprite sheet frames are left to the page, the descriptor tells where they are
+      attributes['data-atlas'] = context.getAtlasPath(node);
+      attributes['data-frame'] = node.frame;
+    }
+  }
+  return element;
+}
+
+/**
+ * Build the element tree of a document: nested absolutely positioned elements, `img` for images and shapes,
+ * paragraphs of styled spans for text
+ * @param {Object} document psd2json document with its envelope
+ * @param {Object} context Exporter context, see lib/exporters.js
+ * @returns {Object} Root element `{tag, attributes, style, children, image}`, children being elements or strings and
+ *   `image` the path of the image of an `img` or the border image of a nine-slice element
+ */
+function createMarkup(document, context) {
+  return {
+    tag: 'div',
+    attributes: { 'data-name': document.document.name },
+    style: [
+      ['position', 'relative'],
+      ['width', px(document.document.width)],
+      ['height', px(document.document.height)],
+      ['overflow', 'hidden']
+    ],
+    children: paintOrder(document.children).map(node => createElement(node, context))
+  };
+}
+
+module.exports = {
+  CSS_BLEND_MODES,
+  paintOrder,
+  toPlainText,
+  getNodeStyle,
+  createMarkup
+};
@@ -0,0 +1,86 @@
+const { Worker } = require('worker_threads');
+
+/**
+ * Run tasks in a bounded pool of worker threads. Every worker handles one task at a time: it receives
+ * the task as a message and answers with one message. A worker that crashes or exits fails its task and is replaced.
+ * @param {string} workerFile Script of the workers
+ * @param {Array<*>} tasks Structured-cloneable task messages
+ * @param {Object} [options]
+ * @param {number} [options.size] Maximum number of workers (default 1)
+ * @param {function(*, *, number)} [options.onResult] Called with every result, its task and its index as it arrives
+ * @returns {Promise<Array<*>>} Results in the order of the tasks, `{error}` for crashed workers
+ */
+function runPool(workerFile, tasks, options = {}) {
+  const size = Math.max(1, Math.min(options.size || 1, tasks.length));
+  const results = new Array(tasks.length);
+  let next = 0;
+  let done = 0;
+
+  return new Promise(resolve => {
+    if (tasks.length === 0) {
+      resolve(results);
+      return;
+    }
+
+    const finish = (index, result) => {
+      results[index] = result;
+      if (options.onResult) {
+        options.onResult(result, tasks[index], index);
+      }
+      done++;
+      if (done === tasks.length) {
+        resolve(results);
+      }
+    };
+
+    const startWorker = () => {
+      const worker = new Worker(workerFile);
+      let current = -1;
+      let stopped = false;
+
+      const runNext = () => {
+        if (next >= tasks.length) {
+          current = -1;
+          stopped = true;
+          worker.terminate();
+          return;
+        }
+        current = next++;
+        worker.postMessage(tasks[current]);
+      };
+
+      // The worker is gone, fail its task and carry on with a new one
+      const crash = message => {
+        if (stopped) {
+          return;
+        }
+        stopped = true;
+        const index = current;
+        current = -1;
+        if (index !== -1) {
+          finish(index, { error: message });
+        }
+        if (next < tasks.length) {
+          startWorker();
+        }
+      };
+
+      worker.on('message', result => {
+        finish(current, result);
+        runNext();
+      });
+      worker.on('error', error => crash(error.message));
+      // Workers calling process.exit() or killed for running out of memory exit without an error
+      worker.on('exit', code => crash(`Worker exited with code ${code}`));
+      runNext();
+    };
+
+    for (let i = 0; i < size; i++) {
+      startWorker();
+    }
+  });
+}
+
+module.exports = {
+  runPool
+};
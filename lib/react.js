@@ -0,0 +1,108 @@
+const { createMarkup } = require('./markup');
+
+/**
+ * Turn a name into a PascalCase identifier, e.g. `main-menu` into `MainMenu`
+ * @param {string} name
+ * @param {string} [fallback] Used when the name has no letters or digits
+ * @returns {string}
+ */
+function toComponentName(name, fallback = 'Layout') {
+  const words = name.split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const identifier = words.map(word => word[0].toUpperCase() + word.slice(1)).join('') || fallback;
+  return /^[0-9]/.test(identifier) ? fallback + identifier : identifier;
+}
+
+function toCamelCase(property) {
+  return property.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+// JSX attribute strings have no escapes, values with quotes or backslashes become expressions
+function renderAttribute(value) {
+  return /["\\]/.test(value) ? `{${JSON.stringify(value)}}` : `"${value}"`;
+}
+
+function renderStyle(style, image) {
+  const entries = style.map(([property, value]) => `${toCamelCase(property)}: ${JSON.stringify(value)}`);
+  if (image) {
+    entries.push(`borderImageSource: \`url(\${${image}})\``);
+  }
+  return `{{ ${entries.join(', ')} }}`;
+}
+
+/**
+ * Export a document as a React function component, images are imported so bundlers copy them
+ * @param {Object} document psd2json document with its envelope
+ * @param {Object} context Exporter context, see lib/exporters.js
+ * @returns {Array<{path: string, contents: string}>} `<Name>.jsx`
+ */
+function exportReact(document, context) {
+  const componentName = toComponentName(context.name);
+  const imports = new Map();
+
+  // Every image gets one import, named after the file
+  const importImage = source => {
+    if (source.startsWith('data:')) {
+      return null;
+    }
+    if (!imports.has(source)) {
+      const base = source.split('/').pop().replace(/\.[^.]+$/, '');
+      const name = toComponentName(base, 'Image');
+      let identifier = name[0].toLowerCase() + name.slice(1) + 'Image';
+      for (let counter = 2; [...imports.values()].includes(identifier); counter++) {
+        identifier = name[0].toLowerCase() + name.slice(1) + 'Image' + counter;
+      }
+      imports.set(source, identifier);
+    }
+    return imports.get(source);
+  };
+
+  const renderElement = (element, indent) => {
+    if (typeof element === 'string') {
+      return `{${JSON.stringify(element)}}`;
+    }
+
+    const attributes = Object.entries(element.attributes)
+      .map(([name, value]) => ` ${name}=${renderAttribute(value)}`);
+    let borderImage = null;
+    if (element.image && element.tag === 'img') {
+      const identifier = importImage(element.image);
+      attributes.push(` src=${identifier ? `{${identifier}}` : renderAttribute(element.image)}`);
+    } else if (element.image) {
+      borderImage = importImage(element.image);
+    }
+    attributes.push(` style=${renderStyle(element.style, borderImage)}`);
+
+    const open = `<${element.tag}${attributes.join('')}`;
+    if (element.children.length === 0) {
+      return `${indent}${open} />`;
+    }
+    if (element.children.some(child => typeof child === 'string' || child.tag === 'span')) {
+      return `${indent}${open}>${element.children.map(child => renderElement(child, '')).join('')}</${element.tag}>`;
+    }
+    return [
+      indent + open + '>',
+      ...element.children.map(child => renderElement(child, indent + '  ')),
+      `${indent}</${element.tag}>`
+    ].join('\n');
+  };
+
+  const body = renderElement(createMarkup(document, context), '    ');
+  const contents = [
+    'import React from "react";',
+    ...[...imports].map(([source, identifier]) =>
+      `import ${identifier} from ${JSON.stringify(source.startsWith('.') ? source : './' + source)};`),
+    '',
+    `export default function ${componentName}() {`,
+    '  return (',
+    body,
+    '  );',
+    '}',
+    ''
+  ].join('\n');
+  return [{ path: `${componentName}.jsx`, contents }];
+}
+
+module.exports = {
+  toComponentName,
+  exportReact
+};
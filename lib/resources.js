@@ -0,0 +1,212 @@
+// psd.js is written in CoffeeScript, requiring it registers the loader for its descriptor parser
+require('psd');
+const File = require('psd/lib/psd/file.coffee');
+const Descriptor = require('psd/lib/psd/descriptor.coffee');
+const { descriptorColorToRgba } = require('./effects');
+
+// Length of the PSD file header, the color mode data section follows it
+const HEADER_LENGTH = 26;
+
+// Slice origins and types, by their number in version 6 and their enum value in the descriptor of later versions
+const SLICE_ORIGINS = {
+  0: 'auto',
+  1: 'layer',
+  2: 'user',
+  'autoGenerated': 'auto',
+  'userGenerated': 'user',
+  'layerGenerated': 'layer'
+};
+const SLICE_TYPES = {
+  0: 'none',
+  1: 'image',
+  'noImage': 'none',
+  'Img ': 'image'
+};
+
+/**
+ * Read the raw image resources of a PSD file. psd.js only parses a few of them, and its guides parser
+ * reads garbage for documents without guides.
+ * @param {Buffer} data Contents of the PSD file
+ * @returns {Map<number, Buffer>} Resource data by resource id
+ */
+function readImageResources(data) {
+  const resources = new Map();
+  let offset = HEADER_LENGTH;
+
+  // Skip the color mode data section
+  offset += 4 + data.readUInt32BE(offset);
+
+  const end = offset + 4 + data.readUInt32BE(offset);
+  offset += 4;
+
+  while (offset + 12 <= end && data.toString('ascii', offset, offset + 4) === '8BIM') {
+    const id = data.readUInt16BE(offset + 4);
+    // Pascal string name padded to an even length
+    const nameLength = data.readUInt8(offset + 6) + 1;
+    offset += 6 + nameLength + (nameLength % 2);
+    const length = data.readUInt32BE(offset);
+    offset += 4;
+    resources.set(id, data.subarray(offset, offset + length));
+    offset += length + (length % 2);
+  }
+
+  return resources;
+}
+
+/**
+ * Parse the guides resource (1032)
+ * @param {Buffer} [data] Resource data
+ * @returns {Array<{position: number, direction: string}>} Guide positions in px, direction 'vertical' or 'horizontal'
+ */
+function parseGuides(data) {
+  if (!data || data.length < 16) {
+    return [];
+  }
+
+  // Version and the document grid come before the guides
+  const count = data.readUInt32BE(12);
+  const guides = [];
+  for (let i = 0; i < count && 16 + i * 5 + 5 <= data.length; i++) {
+    const offset = 16 + i * 5;
+    guides.push({
+      position: data.readInt32BE(offset) / 32,
+      direction: data.readUInt8(offset + 4) ? 'horizontal' : 'vertical'
+    });
+  }
+  return guides;
+}
+
+/**
+ * Parse the global angle resource (1037), the light angle of effects using global light
+ * @param {Buffer} [data] Resource data
+ * @returns {number|undefined} Angle in degrees, undefined if the document has none
+ */
+function parseGlobalAngle(data) {
+  return data && data.length >= 4 ? data.readInt32BE(0) : undefined;
+}
+
+// Read a length prefixed UTF-16 string, returning it with the offset after it
+function readUnicodeString(data, offset) {
+  const length = data.readUInt32BE(offset);
+  const text = Buffer.from(data.subarray(offset + 4, offset + 4 + length * 2)).swap16().toString('utf16le');
+  // Strings may end with a null character
+  return [text.split('\u0000').join(''), offset + 4 + length * 2];
+}
+
+function createSlice(id, groupId, origin, type, name, left, top, right, bottom) {
+  return {
+    id,
+    groupId,
+    name,
+    origin: SLICE_ORIGINS[origin] || 'user',
+    type: SLICE_TYPES[type] || 'image',
+    x: left,
+    y: top,
+    width: right - left,
+    height: bottom - top
+  };
+}
+
+// Version 6 stores the slices as records, Photoshop adds a descriptor with the same slices after them
+function parseSlicesV6(data) {
+  const slices = [];
+  let offset = 20;
+  offset = readUnicodeString(data, offset)[1];
+  const count = data.readUInt32BE(offset);
+  offset += 4;
+  for (let i = 0; i < count; i++) {
+    const id = data.readInt32BE(offset);
+    const groupId = data.readInt32BE(offset + 4);
+    const origin = data.readInt32BE(offset + 8);
+    offset += 12;
+    let layerId = null;
+    // Layer based slices
+    if (origin === 1) {
+      layerId = data.readInt32BE(offset);
+      offset += 4;
+    }
+    let name;
+    [name, offset] = readUnicodeString(data, offset);
+    const type = data.readInt32BE(offset);
+    const [left, top, right, bottom] = [4, 8, 12, 16].map(position => data.readInt32BE(offset + position));
+    offset += 20;
+    const texts = [];
+    for (let j = 0; j < 4; j++) {
+      let text;
+      [text, offset] = readUnicodeString(data, offset);
+      texts.push(text);
+    }
+    const cellTextIsHtml = data.readUInt8(offset) !== 0;
+    let cellText;
+    [cellText, offset] = readUnicodeString(data, offset + 1);
+    // Horizontal and vertical alignment come before the background color
+    const [alpha, red, green, blue] = data.subarray(offset + 8, offset + 12);
+    offset += 12;
+
+    const slice = createSlice(id, groupId, origin, type, name, left, top, right, bottom);
+    Object.assign(slice, { url: texts[0], target: texts[1], message: texts[2], alt: texts[3], cellText, cellTextIsHtml });
+    if (layerId !== null) {
+      slice.layerId = layerId;
+    }
+    if (alpha > 0) {
+      slice.background = `rgba(${red}, ${green}, ${blue}, ${Math.round(alpha / 255 * 1000) / 1000})`;
+    }
+    slices.push(slice);
+  }
+  return slices;
+}
+
+// Versions 7 and 8 store a descriptor only
+function parseSlicesDescriptor(data) {
+  const file = new File(data);
+  file.seek(8);
+  const descriptor = new Descriptor(file).parse();
+  return (descriptor.slices || []).map(item => {
+    const bounds = item.bounds || {};
+    const slice = createSlice(item.sliceID, item.groupID, item.origin && item.origin.value, item.Type && item.Type.value,
+      item['Nm  '] || '', bounds['Left'], bounds['Top '], bounds['Rght'], bounds['Btom']);
+    Object.assign(slice, {
+      url: item.url || '',
+      target: item.null || '',
+      message: item.Msge || '',
+      alt: item.altTag || '',
+      cellText: item.cellText || '',
+      cellTextIsHtml: !!item.cellTextIsHTML
+    });
+    if (item.layerID !== undefined) {
+      slice.layerId = item.layerID;
+    }
+    if (item.bgColorType && item.bgColorType.value === 'Clr ' && item.bgColor) {
+      slice.background = descriptorColorToRgba(item.bgColor, item.bgColor.alpha !== undefined ? item.bgColor.alpha / 255 : 1);
+    }
+    return slice;
+  });
+}
+
+/**
+ * Parse the slices resource (1050)
+ * @param {Buffer} [data] Resource data
+ * @returns {Array<Object>} Slices as `{id, groupId, name, origin, type, x, y, width, height, url, target, message,
+ *   alt, cellText, cellTextIsHtml}`, plus `layerId` for layer based slices and `background` as rgba() string if
+ *   the slice has a background color. origin is 'auto', 'user' or 'layer', type 'image' or 'none'
+ */
+function parseSlices(data) {
+  if (!data || data.length < 4) {
+    return [];
+  }
+  const version = data.readUInt32BE(0);
+  if (version === 6) {
+    return parseSlicesV6(data);
+  }
+  if (version === 7 || version === 8) {
+    return parseSlicesDescriptor(data);
+  }
+  return [];
+}
+
+module.exports = {
+  readImageResources,
+  parseGuides,
+  parseGlobalAngle,
+  parseSlices
+};
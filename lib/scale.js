@@ -0,0 +1,132 @@
+// Effect properties measured in pixels
+const EFFECT_PIXEL_KEYS = ['distance', 'offsetX', 'offsetY', 'size'];
+
+function round(value, digits = 3) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Scale an absolute rectangle, rounding its edges so that adjacent rectangles stay adjacent
+ * @param {number} left
+ * @param {number} top
+ * @param {number} width
+ * @param {number} height
+ * @param {number} scale
+ * @returns {{left: number, top: number, width: number, height: number}}
+ */
+function scaleRect(left, top, width, height, scale) {
+  const scaledLeft = Math.round(left * scale);
+  const scaledTop = Math.round(top * scale);
+  return {
+    left: scaledLeft,
+    top: scaledTop,
+    width: width > 0 ? Math.max(1, Math.round((left + width) * scale) - scaledLeft) : 0,
+    height: height > 0 ? Math.max(1, Math.round((top + height) * scale) - scaledTop) : 0
+  };
+}
+
+function scaleText(text, scale) {
+  text.size = round(text.size * scale);
+  for (const run of text.runs || []) {
+    run.size = round(run.size * scale);
+    run.baselineShift = round(run.baselineShift * scale);
+    if (typeof run.leading === 'number') {
+      run.leading = round(run.leading * scale);
+    }
+  }
+  for (const paragraph of text.paragraphs || []) {
+    for (const key of ['firstLineIndent', 'startIndent', 'endIndent', 'spaceBefore', 'spaceAfter']) {
+      paragraph[key] = round(paragraph[key] * scale);
+    }
+  }
+}
+
+function scaleEffects(effects, scale) {
+  for (const value of Object.values(effects)) {
+    for (const effect of [].concat(value)) {
+      for (const key of EFFECT_PIXEL_KEYS) {
+        if (typeof effect[key] === 'number') {
+          effect[key] = round(effect[key] * scale);
+        }
+      }
+    }
+  }
+}
+
+function scaleShape(shape, scale) {
+  shape.path = shape.path.replace(/-?\d+(\.\d+)?(e-?\d+)?/g, value => round(parseFloat(value) * scale));
+  if (shape.stroke) {
+    shape.stroke.width = round(shape.stroke.width * scale);
+    shape.stroke.dash = shape.stroke.dash.map(value => round(value * scale));
+    shape.stroke.dashOffset = round(shape.stroke.dashOffset * scale);
+  }
+  if (shape.radii) {
+    for (const key of Object.keys(shape.radii)) {
+      shape.radii[key] = round(shape.radii[key] * scale);
+    }
+  }
+}
+
+/**
+ * Scale the coordinates, text sizes and effect sizes of a structure tree in place
+ * @param {Array<Object>} children Nodes with coordinates relative to their parent
+ * @param {number} scale
+ * @param {{x: number, y: number}} [parent] Absolute position of the unscaled parent
+ */
+function scaleStructure(children, scale, parent = { x: 0, y: 0 }) {
+  const scaledParent = scaleRect(parent.x, parent.y, 0, 0, scale);
+
+  for (const node of children) {
+    const absolute = { x: node.x + parent.x, y: node.y + parent.y };
+    const rect = scaleRect(absolute.x, absolute.y, node.width, node.height, scale);
+
+    node.x = rect.left - scaledParent.left;
+    node.y = rect.top - scaledParent.top;
+    node.width = rect.width;
+    node.height = rect.height;
+
+    if (node.sourceRect) {
+      const source = node.sourceRect;
+      const sourceRect = scaleRect(source.x + parent.x, source.y + parent.y, source.width, source.height, scale);
+      node.sourceRect = {
+        x: sourceRect.left - scaledParent.left,
+        y: sourceRect.top - scaledParent.top,
+        width: sourceRect.width,
+        height: sourceRect.height
+      };
+    }
+
+    if (node.slice) {
+      node.slice = {
+        'left': Math.round(node.slice.left * scale),
+        'top': Math.round(node.slice.top * scale),
+        'right': Math.round(node.slice.right * scale),
+        'bottom': Math.round(node.slice.bottom * scale)
+      };
+    }
+    if (node.imageSize) {
+      node.imageSize = {
+        width: Math.max(1, Math.round(node.imageSize.width * scale)),
+        height: Math.max(1, Math.round(node.imageSize.height * scale))
+      };
+    }
+    if (node.text) {
+      scaleText(node.text, scale);
+    }
+    if (node.shape) {
+      scaleShape(node.shape, scale);
+    }
+    if (node.effects) {
+      scaleEffects(node.effects, scale);
+    }
+    if (node.children) {
+      scaleStructure(node.children, scale, absolute);
+    }
+  }
+}
+
+module.exports = {
+  scaleRect,
+  scaleStructure
+};
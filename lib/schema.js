@@ -0,0 +1,130 @@
+const SCHEMA = require('../schema/psd2json.schema.json');
+
+// Version of the document format, the minor version changes with every added field and the major version with every
+// breaking change. The $comment of the schema names the same version
+const SCHEMA_VERSION = '1.4.0';
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  return typeOf(value) === type;
+}
+
+function resolve(schema) {
+  if (!schema.$ref) {
+    return schema;
+  }
+  // Only references to the definitions of the document schema are used
+  return schema.$ref.replace(/^#\//, '').split('/').reduce((result, key) => result[key], SCHEMA);
+}
+
+/**
+ * Validate a value against the subset of JSON Schema draft-07 used by the psd2json schema
+ * @returns {Array<{path: string, message: string}>} Errors, empty if the value is valid
+ */
+function check(value, schema, pointer) {
+  schema = resolve(schema);
+  const errors = [];
+  const fail = message => errors.push({ path: pointer || '/', message });
+
+  if (schema.type !== undefined && ![].concat(schema.type).some(type => matchesType(value, type))) {
+    fail(`must be ${[].concat(schema.type).join(' or ')}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be ${schema.const}`);
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    fail(`must match ${schema.pattern}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        fail(`must have property ${key}`);
+      }
+    }
+    for (const [key, property] of Object.entries(value)) {
+      // Like JSON.stringify, undefined properties are left out
+      if (property === undefined) {
+        continue;
+      }
+      const propertySchema = schema.properties && schema.properties[key];
+      if (propertySchema) {
+        errors.push(...check(property, propertySchema, `${pointer}/${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${pointer}/${key}`, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...check(property, schema.additionalProperties, `${pointer}/${key}`));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...check(item, schema.items, `${pointer}/${index}`)));
+  }
+
+  for (const subschema of schema.allOf || []) {
+    errors.push(...check(value, subschema, pointer));
+  }
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter(subschema => check(value, subschema, pointer).length === 0).length;
+    if (matching !== 1) {
+      fail(matching === 0 ? 'must match one of the allowed schemas' : 'must match only one of the allowed schemas');
+    }
+  }
+  if (schema.if && check(value, schema.if, pointer).length === 0) {
+    errors.push(...check(value, schema.then || {}, pointer));
+  } else if (schema.if && schema.else) {
+    errors.push(...check(value, schema.else, pointer));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a psd2json document against the JSON Schema shipped in schema/psd2json.schema.json
+ * @param {string|Object} document JSON string or parsed document
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}} Errors with JSON pointers
+ */
+function validate(document) {
+  let value = document;
+  if (typeof document === 'string') {
+    try {
+      value = JSON.parse(document);
+    } catch (error) {
+      return { valid: false, errors: [{ path: '/', message: `is not valid JSON: ${error.message}` }] };
+    }
+  }
+
+  const errors = check(value, SCHEMA, '');
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  SCHEMA,
+  SCHEMA_VERSION,
+  validate
+};
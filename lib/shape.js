@@ -0,0 +1,208 @@
+const { BLEND_MODES, descriptorColorToRgba, extractGradientFill } = require('./effects');
+const { loadInfo } = require('./layerinfo');
+
+const STROKE_ALIGNMENTS = {
+  'strokeStyleAlignInside': 'inside',
+  'strokeStyleAlignCenter': 'center',
+  'strokeStyleAlignOutside': 'outside'
+};
+
+const STROKE_CAPS = {
+  'strokeStyleButtCap': 'butt',
+  'strokeStyleRoundCap': 'round',
+  'strokeStyleSquareCap': 'square'
+};
+
+const STROKE_JOINS = {
+  'strokeStyleMiterJoin': 'miter',
+  'strokeStyleRoundJoin': 'round',
+  'strokeStyleBevelJoin': 'bevel'
+};
+
+// keyOriginType of live shapes
+const SHAPE_KINDS = {
+  1: 'rectangle',
+  2: 'roundedRectangle',
+  4: 'line',
+  5: 'ellipse'
+};
+
+function round(value, digits = 3) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function unitValue(value, fallback = 0) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  return typeof value === 'object' ? value.value : value;
+}
+
+function enumValue(value) {
+  return value && typeof value === 'object' ? value.value : value;
+}
+
+/**
+ * Check whether a layer is a shape layer: a vector mask filled by a color, gradient or live shape
+ */
+function isShapeLayer(layer) {
+  return typeof layer.vectorMask === 'function' &&
+    ['solidColor', 'gradientFill', 'vectorOrigination', 'vectorStroke'].some(name => typeof layer[name] === 'function');
+}
+
+/**
+ * psd.js reads path coordinates as unsigned 8.24 fixed point numbers, restore the sign
+ */
+function pathNumber(value) {
+  return value >= 128 ? value - 256 : value;
+}
+
+/**
+ * Convert vector mask path records to SVG path data
+ * @param {Array<Object>} records Exported psd.js path records
+ * @param {Object} frame `{width, height}` of the document and `{x, y}` of the origin, in px
+ * @returns {string} SVG path data with absolute commands
+ */
+function pathToSvg(records, frame) {
+  const point = (knot, key) => [
+    round(pathNumber(knot[key].horiz) * frame.width - frame.x),
+    round(pathNumber(knot[key].vert) * frame.height - frame.y)
+  ].join(' ');
+  const curve = (from, to) => `C ${point(from, 'leaving')} ${point(to, 'preceding')} ${point(to, 'anchor')}`;
+
+  const commands = [];
+  let knots = [];
+  let closed = false;
+
+  const flush = () => {
+    if (knots.length > 0) {
+      commands.push(`M ${point(knots[0], 'anchor')}`);
+      for (let i = 1; i < knots.length; i++) {
+        commands.push(curve(knots[i - 1], knots[i]));
+      }
+      if (closed) {
+        commands.push(curve(knots[knots.length - 1], knots[0]), 'Z');
+      }
+    }
+    knots = [];
+  };
+
+  for (const record of records) {
+    if (record.recordType === 0 || record.recordType === 3) {
+      flush();
+      closed = record.recordType === 0;
+    } else if (record.anchor) {
+      knots.push(record);
+    }
+  }
+  flush();
+
+  return commands.join(' ');
+}
+
+/**
+ * Read the paint of a stroke or fill content descriptor, a color or a gradient
+ */
+function extractContent(content) {
+  if (content['Grad']) {
+    return Object.assign({ 'type': 'gradient' }, extractGradientFill(content));
+  }
+  return { 'type': 'solid', 'color': descriptorColorToRgba(content['Clr ']) };
+}
+
+/**
+ * Read the fill of a fill layer
+ * @returns {Object|null} `{type: 'solid', color}` or `{type: 'gradient', angle, style, scale, reverse, gradient}`
+ */
+function extractFill(layer) {
+  const solidColor = loadInfo(layer, 'solidColor');
+  if (solidColor) {
+    return { 'type': 'solid', 'color': descriptorColorToRgba(solidColor.colorData()) };
+  }
+  const gradientFill = loadInfo(layer, 'gradientFill');
+  if (gradientFill) {
+    return Object.assign({ 'type': 'gradient' }, extractGradientFill(gradientFill.data));
+  }
+  // Shapes with a stroke keep their fill as vector stroke content (vscg)
+  const strokeContent = loadInfo(layer, 'vectorStrokeContent');
+  if (strokeContent && strokeContent.data) {
+    return extractContent(strokeContent.data);
+  }
+  return null;
+}
+
+/**
+ * Read the vector stroke of a shape layer
+ * @returns {Object|null} The stroke, or null if it is disabled
+ */
+function extractStroke(data) {
+  if (!data || data['strokeEnabled'] === false) {
+    return null;
+  }
+
+  const width = unitValue(data['strokeStyleLineWidth'], 1);
+  const content = data['strokeStyleContent'] || {};
+  return {
+    'width': round(width),
+    'alignment': STROKE_ALIGNMENTS[enumValue(data['strokeStyleLineAlignment'])] || 'center',
+    'cap': STROKE_CAPS[enumValue(data['strokeStyleLineCapType'])] || 'butt',
+    'join': STROKE_JOINS[enumValue(data['strokeStyleLineJoinType'])] || 'miter',
+    'miterLimit': unitValue(data['strokeStyleMiterLimit'], 100),
+    // Dashes are stored in multiples of the stroke width
+    'dash': (data['strokeStyleLineDashSet'] || []).map(value => round(unitValue(value) * width)),
+    'dashOffset': round(unitValue(data['strokeStyleLineDashOffset']) * width),
+    'opacity': round(unitValue(data['strokeStyleOpacity'], 100) / 100),
+    'blendMode': BLEND_MODES[enumValue(data['strokeStyleBlendMode'])] || 'normal',
+    'fill': extractContent(content)
+  };
+}
+
+/**
+ * Read the kind and corner radii of a live shape
+ */
+function extractOrigination(data) {
+  const origin = data && data['keyDescriptorList'] && data['keyDescriptorList'][0];
+  if (!origin) {
+    return { 'kind': 'path' };
+  }
+
+  const result = { 'kind': SHAPE_KINDS[origin['keyOriginType']] || 'path' };
+  const radii = origin['keyOriginRRectRadii'];
+  if (radii) {
+    result.radii = {
+      'topLeft': round(unitValue(radii['topLeft'])),
+      'topRight': round(unitValue(radii['topRight'])),
+      'bottomRight': round(unitValue(radii['bottomRight'])),
+      'bottomLeft': round(unitValue(radii['bottomLeft']))
+    };
+  }
+  return result;
+}
+
+/**
+ * Extract the geometry and paint of a shape layer
+ * @param {Object} layer psd.js layer
+ * @param {Object} frame `{width, height}` of the document and `{x, y}` the path is relative to
+ * @returns {Object} `{kind, path, fill, stroke, radii}`
+ */
+function extractShape(layer, frame) {
+  const vectorMask = loadInfo(layer, 'vectorMask').export();
+  const vectorStroke = loadInfo(layer, 'vectorStroke');
+  const strokeData = vectorStroke ? vectorStroke.data : null;
+  const vectorOrigination = loadInfo(layer, 'vectorOrigination');
+
+  return Object.assign(extractOrigination(vectorOrigination ? vectorOrigination.data : null), {
+    'path': pathToSvg(vectorMask.paths, frame),
+    'fill': strokeData && strokeData['fillEnabled'] === false ? null : extractFill(layer),
+    'stroke': extractStroke(strokeData)
+  });
+}
+
+module.exports = {
+  isShapeLayer,
+  pathToSvg,
+  extractFill,
+  extractStroke,
+  extractShape
+};
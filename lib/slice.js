@@ -0,0 +1,179 @@
+const DEFAULT_NINE_SLICE_OPTIONS = {
+  guides: false,
+  auto: false,
+  minimal: false,
+  tolerance: 0,
+  minStretch: 4
+};
+
+function pixelsEqual(data, a, b, tolerance) {
+  for (let channel = 0; channel < 4; channel++) {
+    if (Math.abs(data[a + channel] - data[b + channel]) > tolerance) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function columnsEqual(bitmap, a, b, tolerance) {
+  for (let y = 0; y < bitmap.height; y++) {
+    const row = y * bitmap.width;
+    if (!pixelsEqual(bitmap.data, (row + a) * 4, (row + b) * 4, tolerance)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function rowsEqual(bitmap, a, b, tolerance) {
+  for (let x = 0; x < bitmap.width; x++) {
+    if (!pixelsEqual(bitmap.data, (a * bitmap.width + x) * 4, (b * bitmap.width + x) * 4, tolerance)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function columnTransparent(bitmap, x) {
+  for (let y = 0; y < bitmap.height; y++) {
+    if (bitmap.data[(y * bitmap.width + x) * 4 + 3] !== 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function rowTransparent(bitmap, y) {
+  for (let x = 0; x < bitmap.width; x++) {
+    if (bitmap.data[(y * bitmap.width + x) * 4 + 3] !== 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Find the longest run of identical adjacent rows or columns. Transparent runs and runs touching only
+ * one edge are margins rather than a stretchable center and are ignored.
+ * @returns {{start: number, end: number}|null} The run, end exclusive, or null if shorter than minStretch
+ */
+function findStretchRange(length, isEqual, isTransparent, minStretch) {
+  let best = null;
+  let start = 0;
+
+  for (let i = 1; i <= length; i++) {
+    if (i < length && isEqual(i - 1, i)) {
+      continue;
+    }
+    const interior = (start > 0 && i < length) || (start === 0 && i === length);
+    if (interior && i - start >= minStretch && (!best || i - start > best.end - best.start) && !isTransparent(start)) {
+      best = { start, end: i };
+    }
+    start = i;
+  }
+
+  return best;
+}
+
+/**
+ * Detect nine-slice insets from the pixels of a bitmap. The stretchable center is the longest run of
+ * identical columns (and rows); an axis without such a run gets zero insets.
+ * @param {Object} bitmap
+ * @param {Object} [options] `tolerance` per channel and `minStretch`, the minimum length of the run
+ * @returns {{left: number, top: number, right: number, bottom: number}|null} Insets, or null if nothing stretches
+ */
+function detectSlice(bitmap, options = {}) {
+  const { tolerance, minStretch } = Object.assign({}, DEFAULT_NINE_SLICE_OPTIONS, options);
+  const columns = findStretchRange(bitmap.width, (a, b) => columnsEqual(bitmap, a, b, tolerance),
+    x => columnTransparent(bitmap, x), minStretch);
+  const rows = findStretchRange(bitmap.height, (a, b) => rowsEqual(bitmap, a, b, tolerance),
+    y => rowTransparent(bitmap, y), minStretch);
+
+  if (!columns && !rows) {
+    return null;
+  }
+  return {
+    'left': columns ? columns.start : 0,
+    'top': rows ? rows.start : 0,
+    'right': columns ? bitmap.width - columns.end : 0,
+    'bottom': rows ? bitmap.height - rows.end : 0
+  };
+}
+
+/**
+ * Get nine-slice insets from the guides crossing a rectangle. The outermost two guides of each
+ * direction inside the rectangle mark the stretchable center.
+ * @param {Array<{position: number, direction: string}>} guides
+ * @param {{left: number, top: number, width: number, height: number}} rect Rectangle in document coordinates
+ * @returns {{left: number, top: number, right: number, bottom: number}|null} Insets, or null without guides
+ */
+function sliceFromGuides(guides, rect) {
+  const inside = (direction, start, length) => guides
+    .filter(guide => guide.direction === direction && guide.position > start && guide.position < start + length)
+    .map(guide => guide.position - start);
+  const vertical = inside('vertical', rect.left, rect.width);
+  const horizontal = inside('horizontal', rect.top, rect.height);
+
+  if (vertical.length < 2 && horizontal.length < 2) {
+    return null;
+  }
+  return {
+    'left': vertical.length >= 2 ? Math.round(Math.min(...vertical)) : 0,
+    'top': horizontal.length >= 2 ? Math.round(Math.min(...horizontal)) : 0,
+    'right': vertical.length >= 2 ? Math.round(rect.width - Math.max(...vertical)) : 0,
+    'bottom': horizontal.length >= 2 ? Math.round(rect.height - Math.max(...horizontal)) : 0
+  };
+}
+
+/**
+ * Indices kept along one axis. A uniform center is reduced to its first row or column,
+ * other centers are kept since stretching them back would not restore the original.
+ */
+function keptIndices(length, start, end, isEqual) {
+  const indices = [];
+  let uniform = start + end < length - 1;
+  for (let i = start + 1; uniform && i < length - end; i++) {
+    uniform = isEqual(start, i);
+  }
+  for (let i = 0; i < length; i++) {
+    if (!uniform || i <= start || i >= length - end) {
+      indices.push(i);
+    }
+  }
+  return indices;
+}
+
+/**
+ * Build the smallest bitmap that stretches to the original with the given insets, by reducing the
+ * stretchable center to a single row and column where it is uniform
+ * @param {Object} bitmap
+ * @param {{left: number, top: number, right: number, bottom: number}} slice
+ * @param {Object} [options] `tolerance` per channel
+ * @returns {Object} The minimal bitmap, or the bitmap itself if it cannot get smaller
+ */
+function createMinimalBitmap(bitmap, slice, options = {}) {
+  const { tolerance } = Object.assign({}, DEFAULT_NINE_SLICE_OPTIONS, options);
+  const xs = keptIndices(bitmap.width, slice.left, slice.right, (a, b) => columnsEqual(bitmap, a, b, tolerance));
+  const ys = keptIndices(bitmap.height, slice.top, slice.bottom, (a, b) => rowsEqual(bitmap, a, b, tolerance));
+
+  if (xs.length === bitmap.width && ys.length === bitmap.height) {
+    return bitmap;
+  }
+
+  const data = Buffer.alloc(xs.length * ys.length * 4);
+  ys.forEach((sourceY, y) => {
+    xs.forEach((sourceX, x) => {
+      const source = (sourceY * bitmap.width + sourceX) * 4;
+      bitmap.data.copy(data, (y * xs.length + x) * 4, source, source + 4);
+    });
+  });
+
+  return { data, width: xs.length, height: ys.length, left: bitmap.left, top: bitmap.top };
+}
+
+module.exports = {
+  DEFAULT_NINE_SLICE_OPTIONS,
+  detectSlice,
+  sliceFromGuides,
+  createMinimalBitmap
+};
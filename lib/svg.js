@@ -0,0 +1,148 @@
+function round(value, digits = 3) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Split an rgba() string into its channels
+ */
+function parseRgba(color) {
+  const match = /rgba?\(([^)]+)\)/.exec(color || '');
+  const [r = 0, g = 0, b = 0, a = 1] = match ? match[1].split(',').map(Number) : [];
+  return [r, g, b, a];
+}
+
+function rgb([r, g, b]) {
+  return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Linear interpolation of a value over stops sorted by location
+ */
+function interpolate(stops, location, valueOf) {
+  if (stops.length === 0) {
+    return null;
+  }
+  const after = stops.findIndex(stop => stop.location >= location);
+  if (after <= 0) {
+    return valueOf(stops[after === 0 ? 0 : stops.length - 1]);
+  }
+  const from = stops[after - 1];
+  const to = stops[after];
+  const t = to.location === from.location ? 0 : (location - from.location) / (to.location - from.location);
+  const a = [].concat(valueOf(from));
+  const b = [].concat(valueOf(to));
+  const result = a.map((value, i) => value + (b[i] - value) * t);
+  return result.length === 1 ? result[0] : result;
+}
+
+/**
+ * Build the stops of an SVG gradient, merging the color and opacity stops of a Photoshop gradient
+ */
+function gradientStops(gradient, reverse) {
+  const flip = stops => stops
+    .map(stop => Object.assign({}, stop, { location: reverse ? 1 - stop.location : stop.location }))
+    .sort((a, b) => a.location - b.location);
+  const colorStops = flip(gradient.colorStops);
+  const opacityStops = flip(gradient.opacityStops);
+  const locations = [...new Set([...colorStops, ...opacityStops].map(stop => stop.location))].sort((a, b) => a - b);
+
+  return locations.map(location => {
+    const color = interpolate(colorStops, location, stop => parseRgba(stop.color).slice(0, 3)) || [0, 0, 0];
+    const opacity = interpolate(opacityStops, location, stop => stop.opacity);
+    return `<stop offset="${round(location)}" stop-color="${rgb(color)}" stop-opacity="${opacity === null ? 1 : round(opacity)}"/>`;
+  });
+}
+
+/**
+ * Build an SVG gradient element for a gradient fill. Angle, diamond and reflected gradients fall back to linear.
+ */
+function gradientElement(id, fill) {
+  const stops = gradientStops(fill.gradient || { colorStops: [], opacityStops: [] }, fill.reverse);
+
+  if (fill.style === 'radial') {
+    return `<radialGradient id="${id}" cx="0.5" cy="0.5" r="${round(0.5 * fill.scale)}">${stops.join('')}</radialGradient>`;
+  }
+
+  const radians = fill.angle * Math.PI / 180;
+  const dx = Math.cos(radians) * 0.5 * fill.scale;
+  const dy = -Math.sin(radians) * 0.5 * fill.scale;
+  const [x1, y1, x2, y2] = [0.5 - dx, 0.5 - dy, 0.5 + dx, 0.5 + dy];
+  return `<linearGradient id="${id}" x1="${round(x1)}" y1="${round(y1)}" x2="${round(x2)}" y2="${round(y2)}">${stops.join('')}</linearGradient>`;
+}
+
+/**
+ * Get the paint attributes of a fill, adding gradients to the definitions
+ */
+function paint(fill, id, defs, property) {
+  if (!fill) {
+    return `${property}="none"`;
+  }
+  if (fill.type === 'gradient') {
+    defs.push(gradientElement(id, fill));
+    return `${property}="url(#${id})"`;
+  }
+  const color = parseRgba(fill.color);
+  return `${property}="${rgb(color)}"` + (color[3] < 1 ? ` ${property}-opacity="${round(color[3])}"` : '');
+}
+
+/**
+ * Render a shape extracted by lib/shape as a standalone SVG document. Inside and outside strokes are
+ * drawn at twice their width, clipped to the inside or masked to the outside of the path.
+ * @param {Object} shape `{path, fill, stroke}`
+ * @param {number} width
+ * @param {number} height
+ * @returns {string}
+ */
+function renderSvg(shape, width, height) {
+  const defs = [];
+  const elements = [];
+  const d = escapeAttribute(shape.path);
+
+  elements.push(`<path d="${d}" ${paint(shape.fill, 'fill', defs, 'fill')}/>`);
+
+  const stroke = shape.stroke;
+  if (stroke) {
+    const alignment = stroke.alignment;
+    const strokeWidth = alignment === 'center' ? stroke.width : stroke.width * 2;
+    const attributes = [
+      paint(stroke.fill, 'stroke', defs, 'stroke'),
+      `stroke-width="${round(strokeWidth)}"`,
+      `stroke-linecap="${stroke.cap}"`,
+      `stroke-linejoin="${stroke.join}"`,
+      `stroke-miterlimit="${stroke.miterLimit}"`,
+      'fill="none"'
+    ];
+    if (stroke.dash.length > 0) {
+      attributes.push(`stroke-dasharray="${stroke.dash.join(' ')}"`, `stroke-dashoffset="${stroke.dashOffset}"`);
+    }
+    if (stroke.opacity < 1) {
+      attributes.push(`opacity="${stroke.opacity}"`);
+    }
+    if (alignment === 'inside') {
+      defs.push(`<clipPath id="inside"><path d="${d}"/></clipPath>`);
+      attributes.push('clip-path="url(#inside)"');
+    } else if (alignment === 'outside') {
+      defs.push(`<mask id="outside" maskUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}">` +
+        `<rect width="${width}" height="${height}" fill="white"/><path d="${d}" fill="black"/></mask>`);
+      attributes.push('mask="url(#outside)"');
+    }
+    elements.push(`<path d="${d}" ${attributes.join(' ')}/>`);
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    ...(defs.length > 0 ? [`  <defs>${defs.join('')}</defs>`] : []),
+    ...elements.map(element => `  ${element}`),
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  renderSvg
+};
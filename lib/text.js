@@ -0,0 +1,156 @@
+const JUSTIFICATIONS = [
+  'left',
+  'right',
+  'center',
+  'justify-left',
+  'justify-right',
+  'justify-center',
+  'justify-all'
+];
+
+/**
+ * Convert an engine data color ({Values: [a, r, g, b]} in 0..1) to a CSS rgba() string
+ * @param {Object} fillColor Engine data color
+ * @returns {string}
+ */
+function engineColorToRgba(fillColor) {
+  const values = (fillColor && fillColor.Values) || [1, 0, 0, 0];
+  const [a, r, g, b] = values;
+  const channel = (v) => Math.round((v || 0) * 255);
+  return `rgba(${channel(r)}, ${channel(g)}, ${channel(b)}, ${Math.round(a * 1000) / 1000})`;
+}
+
+/**
+ * Split a RunLengthArray into [start, end) character ranges clamped to the text length.
+ * Photoshop counts a trailing carriage return that is not part of the layer text.
+ */
+function toRanges(lengths, textLength) {
+  const ranges = [];
+  let start = 0;
+  for (const length of lengths) {
+    const end = Math.min(start + length, textLength);
+    if (end > start) {
+      ranges.push({ start, end });
+    }
+    start += length;
+  }
+  return ranges;
+}
+
+/**
+ * Look up the document default style sheet so runs only overriding a few keys still
+ * get a complete style.
+ */
+function getDefaultStyle(resourceDict) {
+  const sheets = resourceDict.StyleSheetSet || [];
+  const sheet = sheets[resourceDict.TheNormalStyleSheet || 0] || sheets[0] || {};
+  return sheet.StyleSheetData || {};
+}
+
+function getDefaultParagraph(resourceDict) {
+  const sheets = resourceDict.ParagraphSheetSet || [];
+  const sheet = sheets[resourceDict.TheNormalParagraphSheet || 0] || sheets[0] || {};
+  return sheet.Properties || {};
+}
+
+/**
+ * Build per-run character styles from the text engine data
+ * @param {Object} engineData Parsed engine data of a type layer
+ * @param {string} content Text content of the layer
+ * @returns {Array<Object>}
+ */
+function extractRuns(engineData, content) {
+  const resourceDict = engineData.ResourceDict || {};
+  const styleRun = (engineData.EngineDict && engineData.EngineDict.StyleRun) || {};
+  const runArray = styleRun.RunArray || [];
+  const fontSet = resourceDict.FontSet || [];
+  const defaults = getDefaultStyle(resourceDict);
+
+  return toRanges(styleRun.RunLengthArray || [], content.length).map((range, index) => {
+    const data = Object.assign({}, defaults, runArray[index]?.StyleSheet?.StyleSheetData);
+    const font = fontSet[data.Font];
+    return {
+      'start': range.start,
+      'end': range.end,
+      'text': content.slice(range.start, range.end),
+      'font': font ? font.Name : 'default',
+      'size': data.FontSize || 0,
+      'color': engineColorToRgba(data.FillColor),
+      'tracking': data.Tracking || 0,
+      'leading': data.AutoLeading === false ? data.Leading : 'auto',
+      'baselineShift': data.BaselineShift || 0,
+      'underline': !!data.Underline,
+      'strikethrough': !!data.Strikethrough,
+      'fauxBold': !!data.FauxBold,
+      'fauxItalic': !!data.FauxItalic
+    };
+  });
+}
+
+/**
+ * Build per-paragraph settings from the text engine data
+ * @param {Object} engineData Parsed engine data of a type layer
+ * @param {string} content Text content of the layer
+ * @returns {Array<Object>}
+ */
+function extractParagraphs(engineData, content) {
+  const resourceDict = engineData.ResourceDict || {};
+  const paragraphRun = (engineData.EngineDict && engineData.EngineDict.ParagraphRun) || {};
+  const runArray = paragraphRun.RunArray || [];
+  const defaults = getDefaultParagraph(resourceDict);
+
+  return toRanges(paragraphRun.RunLengthArray || [], content.length).map((range, index) => {
+    const props = Object.assign({}, defaults, runArray[index]?.ParagraphSheet?.Properties);
+    return {
+      'start': range.start,
+      'end': range.end,
+      'alignment': JUSTIFICATIONS[props.Justification] || 'left',
+      'firstLineIndent': props.FirstLineIndent || 0,
+      'startIndent': props.StartIndent || 0,
+      'endIndent': props.EndIndent || 0,
+      'spaceBefore': props.SpaceBefore || 0,
+      'spaceAfter': props.SpaceAfter || 0
+    };
+  });
+}
+
+/**
+ * Get the color of a text node as a whole, the color of its first run. psd.js reports the alpha of the color
+ * of the layer from 0 to 255, it is only used for text without runs.
+ * @param {Object} text `text` of a text node
+ * @returns {string} CSS rgba() string
+ */
+function getTextColor(text) {
+  const runs = text.runs || [];
+  if (runs.length > 0 && runs[0].color) {
+    return runs[0].color;
+  }
+  const match = /^rgba\((\d+), (\d+), (\d+), ([\d.]+)\)$/.exec(text.color || '');
+  return match ? `rgba(${match[1]}, ${match[2]}, ${match[3]}, ${Math.round(match[4] / 255 * 1000) / 1000})` : 'rgba(0, 0, 0, 1)';
+}
+
+/**
+ * Get the style of a text node as a whole: font, size and color of its first run and the alignment of its first
+ * paragraph. The font, size and alignment psd.js reports for the layer, e.g. AdobeInvisFont, are only used for
+ * text without runs or paragraphs.
+ * @param {Object} text `text` of a text node
+ * @returns {{font: string, size: number, color: string, alignment: string}}
+ */
+function getTextStyle(text) {
+  const run = (text.runs || [])[0];
+  const paragraph = (text.paragraphs || [])[0];
+  return {
+    font: run ? run.font : text.font,
+    size: run ? run.size : text.size,
+    color: getTextColor(text),
+    alignment: paragraph ? paragraph.alignment : (text.alignment || 'left')
+  };
+}
+
+module.exports = {
+  engineColorToRgba,
+  getTextColor,
+  getTextStyle,
+  extractRuns,
+  extractParagraphs
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const { isPsdFile } = require('./inputs');
+
+const DEFAULT_WATCH_OPTIONS = {
+  // Milliseconds without events before a file is converted
+  debounce: 300,
+  // Milliseconds between the checks of size and modification time
+  interval: 200,
+  // Number of unchanged checks before a file is considered fully written
+  checks: 2
+};
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getFileState(file) {
+  try {
+    const stat = fs.statSync(file);
+    return stat.isFile() ? `${stat.size}:${stat.mtimeMs}` : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Wait until a file is fully written. Photoshop saves in several steps, so the size and modification
+ * time have to stay the same over a few checks.
+ * @param {string} file
+ * @param {Object} [options] `interval` between checks and number of `checks`
+ * @returns {Promise<boolean>} false if the file was removed meanwhile
+ */
+async function waitUntilWritten(file, options = {}) {
+  const { interval, checks } = Object.assign({}, DEFAULT_WATCH_OPTIONS, options);
+  let previous = getFileState(file);
+  let unchanged = 0;
+
+  while (unchanged < checks) {
+    await delay(interval);
+    const current = getFileState(file);
+    if (current === null) {
+      return false;
+    }
+    unchanged = current === previous ? unchanged + 1 : 0;
+    previous = current;
+  }
+  return true;
+}
+
+/**
+ * Watch PSD files and directories of PSD files, calling `onChange` once a changed file is fully written.
+ * Parent directories of files are watched rather than the files, since saving replaces them.
+ * Changes are handled one at a time.
+ * @param {Array<string>} targets PSD files and directories, watched recursively
+ * @param {function(string): Promise} onChange Called with the absolute path of the changed file
+ * @param {Object} [options] `debounce`, `interval` and `checks`, `onError` called with errors of onChange and
+ *   of the watchers, `filter` called with the files of watched directories
+ * @returns {{close: function()}}
+ */
+function watch(targets, onChange, options = {}) {
+  options = Object.assign({}, DEFAULT_WATCH_OPTIONS, options);
+  const timers = new Map();
+  const queued = new Set();
+  let pending = Promise.resolve();
+  let closed = false;
+
+  const run = async file => {
+    queued.delete(file);
+    if (!closed && await waitUntilWritten(file, options) && !closed) {
+      await onChange(file);
+    }
+  };
+
+  const schedule = file => {
+    clearTimeout(timers.get(file));
+    timers.set(file, setTimeout(() => {
+      timers.delete(file);
+      if (!queued.has(file)) {
+        queued.add(file);
+        pending = pending.then(() => run(file)).catch(error => options.onError && options.onError(error, file));
+      }
+    }, options.debounce));
+  };
+
+  const watchTarget = target => {
+    if (fs.statSync(target).isDirectory()) {
+      return fs.watch(target, { recursive: true }, (event, fileName) => {
+        const file = fileName ? path.resolve(target, fileName.toString()) : null;
+        if (file && isPsdFile(file) && (!options.filter || options.filter(file))) {
+          schedule(file);
+        }
+      });
+    }
+    return fs.watch(path.dirname(target), (event, fileName) => {
+      if (fileName && fileName.toString() === path.basename(target)) {
+        schedule(target);
+      }
+    });
+  };
+
+  const watchers = targets.map(target => {
+    target = path.resolve(target);
+    const watcher = watchTarget(target);
+    // Unhandled, an error of a watcher (e.g. the directory became inaccessible) would end the process
+    watcher.on('error', error => options.onError && options.onError(error, target));
+    return watcher;
+  });
+
+  return {
+    close() {
+      closed = true;
+      watchers.forEach(watcher => watcher.close());
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_WATCH_OPTIONS,
+  waitUntilWritten,
+  watch
+};
@@ -0,0 +1,18 @@
+const { parentPort } = require('worker_threads');
+const psd2json = require('../index.js');
+const { resolveOptions } = require('./config');
+
+// Convert the PSD files the pool of bin/cli.js sends, answering with the result or the error.
+// Config files are loaded here since functions in them cannot be sent to a worker.
+parentPort.on('message', async ({ file, options, config, log }) => {
+  const start = Date.now();
+  try {
+    const fileOptions = Object.assign({ logger: psd2json.createConsoleLogger(log) }, resolveOptions(file, options, config));
+    const { json, changes, diagnostics } = await psd2json.convert(file, fileOptions);
+    const written = Boolean(fileOptions.outJsonDir);
+    parentPort.postMessage({ file, json, changes, diagnostics, written, duration: Date.now() - start });
+  } catch (error) {
+    const diagnostics = error.diagnostics || [];
+    parentPort.postMessage({ file, error: error.message, diagnostics, duration: Date.now() - start });
+  }
+});
@@ -0,0 +1,34 @@
+const assert = require('assert');
+const { getArtboard } = require('../lib/artboard.js');
+
+function layerWithArtboard(data) {
+  return {
+    artboard: () => ({ loaded: true, obj: { data } })
+  };
+}
+
+const RECT = { 'Top ': 100, 'Left': 50, 'Btom': 580, 'Rght': 370 };
+
+describe('Artboards.', function() {
+
+  it('Returns null for groups that are no artboard.', function() {
+    assert.equal(getArtboard({}), null);
+    assert.equal(getArtboard(layerWithArtboard({})), null);
+  });
+
+  it('Reads the bounds and background.', function() {
+    assert.deepEqual(getArtboard(layerWithArtboard({ artboardRect: RECT, artboardBackgroundType: 1 })), {
+      x: 50, y: 100, width: 320, height: 480, background: 'rgba(255, 255, 255, 1)'
+    });
+    assert.equal(getArtboard(layerWithArtboard({ artboardRect: RECT, artboardBackgroundType: 3 })).background, 'rgba(0, 0, 0, 0)');
+  });
+
+  it('Reads custom background colors.', function() {
+    const artboard = getArtboard(layerWithArtboard({
+      artboardRect: RECT,
+      artboardBackgroundType: 4,
+      'Clr ': { 'Rd  ': 255, 'Grn ': 128, 'Bl  ': 0 }
+    }));
+    assert.equal(artboard.background, 'rgba(255, 128, 0, 1)');
+  });
+});
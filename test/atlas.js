@@ -0,0 +1,63 @@
+const assert = require('assert');
+const { DEFAULT_ATLAS_OPTIONS, packSprites } = require('../lib/atlas.js');
+const { createEmpty } = require('../lib/image.js');
+
+function sprite(name, width, height) {
+  return { name, bitmap: createEmpty(width, height) };
+}
+
+function options(overrides) {
+  return Object.assign({}, DEFAULT_ATLAS_OPTIONS, overrides);
+}
+
+function overlaps(a, b, gap) {
+  return a.x < b.x + b.bitmap.width + gap && a.x + a.bitmap.width + gap > b.x &&
+    a.y < b.y + b.bitmap.height + gap && a.y + a.bitmap.height + gap > b.y;
+}
+
+describe('Atlas packing.', function() {
+
+  it('Packs frames without overlapping.', function() {
+    const sprites = [];
+    for (let i = 0; i < 40; i++) {
+      sprites.push(sprite('s' + i, 10 + (i * 7) % 50, 10 + (i * 13) % 40));
+    }
+    const { sheets, oversized } = packSprites(sprites, options({ maxSize: 256, padding: 2 }));
+    const frames = sheets[0].frames;
+    assert.equal(oversized.length, 0);
+    assert.equal(sheets.length, 1);
+    assert.equal(frames.length, 40);
+    for (const a of frames) {
+      assert.ok(a.x + a.bitmap.width <= sheets[0].width && a.y + a.bitmap.height <= sheets[0].height);
+      for (const b of frames) {
+        assert.ok(a === b || !overlaps(a, b, 2), `${a.name} overlaps ${b.name}`);
+      }
+    }
+  });
+
+  it('Opens more sheets and reports oversized frames.', function() {
+    const { sheets, oversized } = packSprites(
+      [sprite('a', 100, 100), sprite('b', 100, 100), sprite('huge', 300, 10)],
+      options({ maxSize: 128 })
+    );
+    assert.equal(sheets.length, 2);
+    assert.deepEqual(oversized.map(s => s.name), ['huge']);
+  });
+
+  it('Uses power-of-two sizes and extrusion.', function() {
+    const { sheets } = packSprites([sprite('a', 30, 20)], options({ powerOfTwo: true, extrude: 2 }));
+    assert.equal(sheets[0].width, 64);
+    assert.equal(sheets[0].height, 32);
+    assert.equal(sheets[0].frames[0].x, 2);
+  });
+
+  it('Trims transparent borders.', function() {
+    const bitmap = createEmpty(10, 10);
+    bitmap.data[(3 * 10 + 4) * 4 + 3] = 255;
+    const { sheets } = packSprites([{ name: 'dot', bitmap }], options({ trim: true }));
+    const frame = sheets[0].frames[0];
+    assert.ok(frame.trimmed);
+    assert.deepEqual(frame.spriteSourceSize, { x: 4, y: 3, w: 1, h: 1 });
+    assert.deepEqual(frame.sourceSize, { w: 10, h: 10 });
+  });
+});
@@ -0,0 +1,36 @@
+const assert = require('assert');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const CLI_PATH = path.join(__dirname, '..', 'bin', 'cli.js');
+
+// Run the command line with the given arguments, resolving its stdout
+function run(args) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [CLI_PATH, ...args], { cwd: __dirname }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(stderr || error.message));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+describe('Command line.', function() {
+
+  this.timeout(20000);
+
+  // Without an output directory the JSON is printed, options must reach the conversion all the same
+  it('Keeps hidden layers with --include-hidden.', async function() {
+    const json = JSON.parse(await run(['hidden.psd', '--include-hidden', '--no-config', '--jobs=1', '--quiet']));
+    assert.deepEqual(json.children.map(group => [group.name, group.visible]), [['screen', undefined], ['menu', false]]);
+    assert.deepEqual(json.children[0].children.map(layer => [layer.name, layer.visible]), [['badge', false], ['logo', undefined]]);
+  });
+
+  it('Skips hidden layers by default.', async function() {
+    const json = JSON.parse(await run(['hidden.psd', '--no-config', '--jobs=1', '--quiet']));
+    assert.deepEqual(json.children.map(group => group.name), ['screen']);
+    assert.deepEqual(json.children[0].children.map(layer => layer.name), ['logo']);
+  });
+});
@@ -0,0 +1,56 @@
+const assert = require('assert');
+const { readLayerComps, selectLayerComps, applyLayerComp } = require('../lib/comps.js');
+
+const COMPS = [
+  { id: 1, name: 'Logged out', comment: '', captured: { visibility: true, position: true, appearance: true } },
+  { id: 2, name: 'Logged in', comment: '', captured: { visibility: true, position: false, appearance: true } }
+];
+
+function createNode(settings, children = []) {
+  const layer = {
+    left: 10, top: 20, right: 30, bottom: 40, visible: true, opacity: 255,
+    blendMode: { mode: 'normal' },
+    metadata: () => ({ loaded: true, obj: { data: { layerComp: { layerSettings: settings } } } })
+  };
+  return { layer, left: 10, top: 20, right: 30, bottom: 40, _children: children };
+}
+
+describe('Layer comps.', function() {
+
+  it('Reads the comps resource.', function() {
+    const psdData = {
+      resources: {
+        resource: () => ({ data: { list: [{ 'Nm  ': 'Logged in', compID: 2, capturedInfo: 5, comment: 'After login' }] } })
+      }
+    };
+    assert.deepEqual(readLayerComps(psdData), [
+      { id: 2, name: 'Logged in', comment: 'After login', captured: { visibility: true, position: false, appearance: true } }
+    ]);
+    assert.deepEqual(readLayerComps({ resources: { resource: () => undefined } }), []);
+  });
+
+  it('Selects comps by name or id.', function() {
+    assert.equal(selectLayerComps(COMPS, true), COMPS);
+    assert.deepEqual(selectLayerComps(COMPS, ['Logged in', 1, '1']).map(comp => comp.id), [2, 1, 1]);
+    assert.throws(() => selectLayerComps(COMPS, 'Guest'), /Unknown layer comp "Guest", the PSD has Logged out, Logged in/);
+  });
+
+  it('Applies the captured settings.', function() {
+    const settings = [
+      { compList: [1], enab: false, 'Ofst': { 'Hrzn': 5, 'Vrtc': -5 } },
+      { compList: [2], 'Ofst': { 'Hrzn': 100, 'Vrtc': 100 }, blendOptions: { 'Opct': { value: 40 }, 'Md  ': { type: 'BlnM', value: 'Mltp' } } }
+    ];
+    const child = createNode(settings);
+    applyLayerComp([createNode([], [child])], COMPS[0]);
+    assert.equal(child.layer.visible, false);
+    assert.deepEqual([child.layer.left, child.layer.top, child.left, child.bottom], [15, 15, 15, 35]);
+
+    // Positions are not captured by the second comp
+    const other = createNode(settings);
+    applyLayerComp([other], COMPS[1]);
+    assert.equal(other.layer.visible, true);
+    assert.deepEqual([other.layer.left, other.layer.top], [10, 20]);
+    assert.equal(other.layer.opacity, 102);
+    assert.equal(other.layer.blendMode.mode, 'multiply');
+  });
+});
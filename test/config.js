@@ -0,0 +1,88 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateOptions, findConfig, loadConfig, resolveOptions } = require('../lib/config.js');
+
+describe('Config files.', function() {
+
+  let dir = null;
+
+  before(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'psd2json-'));
+    fs.mkdirSync(path.join(dir, 'screens', 'shop'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'psd2json.config.js'), `module.exports = {
+      outJsonDir: './out',
+      imageFormat: 'webp',
+      atlas: { padding: 4 },
+      mergeGroups: [/^icons\\//],
+      overrides: [
+        { files: 'screens/shop/*.psd', scales: [1, 2], atlas: { maxSize: 1024 } },
+        { files: ['*_dark.psd'], imageFormat: { webp: { quality: 50 } } }
+      ]
+    };`);
+    fs.writeFileSync(path.join(dir, 'screens', 'shop', '.psd2jsonrc.json'), '{"trim": true}');
+  });
+
+  after(function() {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('Is found by walking up from the PSD file.', function() {
+    assert.equal(findConfig(path.join(dir, 'screens')), path.join(dir, 'psd2json.config.js'));
+    assert.equal(findConfig(path.join(dir, 'screens', 'shop')), path.join(dir, 'screens', 'shop', '.psd2jsonrc.json'));
+  });
+
+  it('Applies matching overrides in order, then the given options.', function() {
+    const file = path.join(dir, 'screens', 'shop', 'list_dark.psd');
+    const options = resolveOptions(file, { trim: true, imageFormat: { format: 'png' } }, path.join(dir, 'psd2json.config.js'));
+    assert.deepEqual(options, {
+      outJsonDir: path.join(dir, 'out'),
+      imageFormat: { format: 'png', webp: { quality: 50 } },
+      atlas: { padding: 4, maxSize: 1024 },
+      mergeGroups: [/^icons\//],
+      scales: [1, 2],
+      trim: true
+    });
+  });
+
+  it('Skips overrides that do not match.', function() {
+    const options = resolveOptions(path.join(dir, 'screens', 'home.psd'));
+    assert.equal(options.scales, undefined);
+    assert.deepEqual(options.imageFormat, { format: 'webp' });
+    assert.deepEqual(resolveOptions(path.join(dir, 'screens', 'home.psd'), {}, false), {});
+  });
+
+  it('Reports unknown keys and invalid values.', function() {
+    const file = path.join(dir, 'invalid.json');
+    fs.writeFileSync(file, JSON.stringify({
+      imageFromat: 'webp',
+      scales: [1, 0],
+      atlas: { format: 'xml' },
+      overrides: [{ trim: 'yes' }]
+    }));
+    assert.throws(() => loadConfig(file), error => {
+      assert.equal(error.message, [
+        `Invalid config ${file}:`,
+        '  imageFromat: is not a known option, did you mean "imageFormat"?',
+        '  scales[1]: must be a positive number',
+        '  atlas.format: must be one of "hash", "array"',
+        '  overrides[0].files: is required',
+        '  overrides[0].trim: must be true or false'
+      ].join('\n'));
+      return true;
+    });
+  });
+
+  it('Reports unreadable files.', function() {
+    const file = path.join(dir, 'broken.json');
+    fs.writeFileSync(file, '{');
+    assert.throws(() => loadConfig(file), /^Error: Cannot read config .*broken\.json/);
+  });
+
+  it('Validates options.', function() {
+    validateOptions({ shapes: 'svg', nineSlice: { auto: ['bg', /^ui\//] }, maxResolution: { kernel: 'cubic' } });
+    assert.throws(() => validateOptions({ shapes: 'png' }, 'command line options'),
+      /^Error: Invalid command line options:\n {2}shapes: must be true or false or one of "svg"$/);
+  });
+});
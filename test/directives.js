@@ -0,0 +1,42 @@
+const assert = require('assert');
+const { parseDirectives } = require('../lib/directives.js');
+
+describe('Layer name directives.', function() {
+
+  it('Keeps plain names.', function() {
+    assert.deepEqual(parseDirectives('background'), { name: 'background' });
+  });
+
+  it('Parses components, scale and skip.', function() {
+    assert.deepEqual(parseDirectives('btn_play@button'), { name: 'btn_play', component: 'button' });
+    assert.deepEqual(parseDirectives('title@2x'), { name: 'title', scale: 2 });
+    assert.deepEqual(parseDirectives('icon[skip]'), { name: 'icon', skip: true });
+  });
+
+  it('Parses nine-slice insets.', function() {
+    assert.deepEqual(parseDirectives('bg#9slice(12,10,12,8)').slice, { left: 12, top: 10, right: 12, bottom: 8 });
+    assert.deepEqual(parseDirectives('bg#9slice(6)').slice, { left: 6, top: 6, right: 6, bottom: 6 });
+  });
+
+  it('Combines several directives.', function() {
+    assert.deepEqual(parseDirectives('panel @window#9slice(4,4,4,4) [skip]'), {
+      name: 'panel',
+      component: 'window',
+      slice: { left: 4, top: 4, right: 4, bottom: 4 },
+      skip: true
+    });
+  });
+
+  it('Accepts a custom rule table.', function() {
+    const rules = [{ pattern: /--(\w+)$/, apply: (match, result) => {
+      result.component = match[1];
+    } }];
+    assert.deepEqual(parseDirectives('ok--button', rules), { name: 'ok', component: 'button' });
+    assert.deepEqual(parseDirectives('ok@button', rules), { name: 'ok@button' });
+  });
+
+  it('Accepts a callback.', function() {
+    const result = parseDirectives('ok', name => ({ name: name.toUpperCase(), skip: true }));
+    assert.deepEqual(result, { name: 'OK', skip: true });
+  });
+});
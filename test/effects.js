@@ -0,0 +1,89 @@
+const assert = require('assert');
+const path = require('path');
+const PSD = require('psd');
+const { extractEffects } = require('../lib/effects.js');
+
+function layerWithEffects(data) {
+  return {
+    objectEffects: () => ({ data })
+  };
+}
+
+const RED = { 'Rd  ': 255, 'Grn ': 0, 'Bl  ': 0 };
+
+describe('Layer effects.', function() {
+
+  it('Returns null without effects.', function() {
+    assert.equal(extractEffects({}), null);
+    assert.equal(extractEffects(layerWithEffects({ 'masterFXSwitch': false, 'DrSh': {} })), null);
+  });
+
+  it('Normalizes a drop shadow.', function() {
+    const effects = extractEffects(layerWithEffects({
+      'Scl ': { id: '#Prc', value: 100 },
+      'masterFXSwitch': true,
+      'DrSh': {
+        'enab': true,
+        'Md  ': { type: 'BlnM', value: 'Mltp' },
+        'Clr ': RED,
+        'Opct': { id: '#Prc', value: 75 },
+        'uglg': false,
+        'lagl': { id: '#Ang', value: 90 },
+        'Dstn': { id: '#Pxl', value: 4 },
+        'Ckmt': { id: '#Pxl', value: 0 },
+        'blur': { id: '#Pxl', value: 6 }
+      }
+    }));
+    const shadow = effects.dropShadow;
+    assert.equal(shadow.blendMode, 'multiply');
+    assert.equal(shadow.color, 'rgba(255, 0, 0, 1)');
+    assert.equal(shadow.opacity, 0.75);
+    assert.equal(shadow.distance, 4);
+    assert.equal(shadow.offsetX, 0);
+    assert.equal(shadow.offsetY, 4);
+    assert.equal(shadow.size, 6);
+  });
+
+  it('Uses the global angle and effect scale.', function() {
+    const effects = extractEffects(layerWithEffects({
+      'Scl ': { id: '#Prc', value: 200 },
+      'FrFX': {
+        'enab': true,
+        'Styl': { type: 'FStl', value: 'InsF' },
+        'PntT': { type: 'FrFl', value: 'SClr' },
+        'Sz  ': { id: '#Pxl', value: 3 },
+        'Clr ': RED
+      },
+      'DrSh': { 'uglg': true, 'Dstn': { id: '#Pxl', value: 1 } }
+    }), { globalAngle: 180 });
+    assert.equal(effects.stroke.size, 6);
+    assert.equal(effects.stroke.position, 'inside');
+    assert.equal(effects.dropShadow.angle, 180);
+    assert.equal(effects.dropShadow.offsetX, 2);
+  });
+
+  it('Keeps multiple effects of the same kind.', function() {
+    const effects = extractEffects(layerWithEffects({
+      'solidFillMulti': [{ 'Clr ': RED }, { 'Clr ': RED, 'present': false }],
+      'gradientFillMulti': [
+        { 'Grad': { 'Clrs': [{ 'Clr ': RED, 'Lctn': 0 }, { 'Clr ': RED, 'Lctn': 4096 }] } },
+        { 'Type': { type: 'GrdT', value: 'Rdl ' } }
+      ]
+    }));
+    assert.equal(effects.colorOverlay.color, 'rgba(255, 0, 0, 1)');
+    assert.equal(effects.gradientOverlay.length, 2);
+    assert.deepEqual(effects.gradientOverlay[0].gradient.colorStops.map(s => s.location), [0, 1]);
+    assert.equal(effects.gradientOverlay[1].style, 'radial');
+  });
+});
+
+describe('Layer effects of a PSD.', function() {
+
+  it('Effects are read from the layer.', function() {
+    const psd = PSD.fromFile(path.join(__dirname, 'effects.psd'));
+    psd.parse();
+    const { dropShadow } = extractEffects(psd.tree().children()[0].layer);
+    assert.deepEqual([dropShadow.blendMode, dropShadow.opacity, dropShadow.color], ['multiply', 0.5, 'rgba(0, 0, 0, 1)']);
+    assert.deepEqual([dropShadow.distance, dropShadow.size], [4, 2]);
+  });
+});
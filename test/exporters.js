@@ -0,0 +1,163 @@
+const assert = require('assert');
+const { getExporter, runExporters } = require('../lib/exporters.js');
+const { createMarkup } = require('../lib/markup.js');
+const { exportHtml } = require('../lib/html.js');
+const { toComponentName, exportReact } = require('../lib/react.js');
+const { createUuid, exportCocos } = require('../lib/cocos.js');
+
+const DOCUMENT = {
+  document: { name: 'main-menu', width: 400, height: 300 },
+  children: [
+    {
+      name: 'title', id: 3, type: 'text', x: 20, y: 10, width: 200, height: 40, opacity: 1, fillOpacity: 1, blendMode: 'normal',
+      text: {
+        content: 'Hi <you>\rnext\r', font: 'AdobeInvisFont', size: 20, color: 'rgba(255, 0, 0, 255)', alignment: 'left',
+        runs: [
+          { start: 0, end: 3, font: 'Arial', size: 20, color: 'rgba(255, 0, 0, 1)', tracking: 0, leading: 'auto', baselineShift: 0, fauxBold: true },
+          { start: 3, end: 14, font: 'Arial', size: 12, color: 'rgba(0, 0, 0, 1)', tracking: 50, leading: 14, baselineShift: 0 }
+        ],
+        paragraphs: [
+          { start: 0, end: 9, alignment: 'center', firstLineIndent: 0, startIndent: 0, endIndent: 0, spaceBefore: 0, spaceAfter: 0 },
+          { start: 9, end: 14, alignment: 'justify-left', firstLineIndent: 0, startIndent: 0, endIndent: 0, spaceBefore: 4, spaceAfter: 0 }
+        ]
+      }
+    },
+    {
+      name: 'panel', id: 2, type: 'group', x: 10, y: 50, width: 0, height: 0, opacity: 0.5, fillOpacity: 1, blendMode: 'multiply', isolated: true,
+      children: [
+        { name: 'frame', id: 1, type: 'image', x: 5, y: 6, width: 100, height: 80, opacity: 1, fillOpacity: 1, blendMode: 'normal',
+          slice: { left: 10, top: 10, right: 10, bottom: 10 }, fileName: 'frame.png' },
+        { name: 'icon', id: 4, type: 'image', x: 0, y: 0, width: 16, height: 16, opacity: 1, fillOpacity: 1, blendMode: 'screen',
+          visible: false, fileName: 'icon.png' }
+      ]
+    }
+  ]
+};
+
+function createContext(files = {}) {
+  return {
+    name: 'main-menu',
+    getImage: node => node.fileName
+      ? { path: `images/${node.fileName}`, density: 1, width: node.width, height: node.height }
+      : null,
+    getAtlasPath: () => null,
+    readFile: file => files[file] || null
+  };
+}
+
+describe('Exporters.', function() {
+
+  it('Looks up exporters by name.', function() {
+    assert.equal(getExporter('html').name, 'html');
+    const custom = { name: 'custom', export: () => [] };
+    assert.equal(getExporter(custom), custom);
+    assert.throws(() => getExporter('flash'), /Unknown target "flash", expected one of html, react, cocos/);
+  });
+
+  it('Runs exporters in order.', async function() {
+    const custom = { name: 'custom', export: async document => [{ path: 'nodes.txt', contents: String(document.children.length) }] };
+    const files = await runExporters(['html', custom], DOCUMENT, createContext());
+    assert.deepEqual(files.map(file => [file.target, file.path]), [['html', 'main-menu.html'], ['custom', 'nodes.txt']]);
+    assert.equal(files[1].contents, '2');
+  });
+
+  it('Paints the bottom layer first.', function() {
+    const root = createMarkup(DOCUMENT, createContext());
+    assert.deepEqual(root.children.map(element => element.attributes['data-name']), ['panel', 'title']);
+    assert.deepEqual(root.children[0].children.map(element => element.attributes['data-name']), ['icon', 'frame']);
+  });
+
+  it('Maps blending to CSS.', function() {
+    const [panel] = createMarkup(DOCUMENT, createContext()).children;
+    assert.deepEqual(panel.style, [
+      ['position', 'absolute'], ['left', '10px'], ['top', '50px'],
+      ['opacity', '0.5'], ['mix-blend-mode', 'multiply'], ['isolation', 'isolate']
+    ]);
+    const [icon] = panel.children;
+    assert.equal(icon.tag, 'img');
+    assert.ok(icon.style.some(([property, value]) => property === 'display' && value === 'none'));
+  });
+
+  it('Stretches nine-slice images with a border image.', function() {
+    const frame = createMarkup(DOCUMENT, createContext()).children[0].children[1];
+    assert.equal(frame.tag, 'div');
+    assert.equal(frame.image, 'images/frame.png');
+    assert.ok(frame.style.some(([property, value]) => property === 'border-image-slice' && value === '10 10 10 10 fill'));
+  });
+
+  it('Styles text elements with their first run.', function() {
+    const title = createMarkup(DOCUMENT, createContext()).children[1];
+    assert.deepEqual(title.style.filter(([property]) => ['font-family', 'font-size', 'color'].includes(property)), [
+      ['font-family', '"Arial", sans-serif'], ['font-size', '20px'], ['color', 'rgba(255, 0, 0, 1)']
+    ]);
+  });
+
+  it('Splits text into paragraphs of styled spans.', function() {
+    const title = createMarkup(DOCUMENT, createContext()).children[1];
+    const [first, second] = title.children;
+    assert.deepEqual(first.style, [['text-align', 'center']]);
+    assert.deepEqual(first.children.map(span => span.children[0]), ['Hi ', '<you>']);
+    assert.ok(first.children[0].style.some(([property, value]) => property === 'font-weight' && value === 'bold'));
+    assert.deepEqual(second.style, [['text-align', 'justify'], ['margin-top', '4px']]);
+    assert.deepEqual(second.children.map(span => span.children[0]), ['next']);
+    assert.ok(second.children[0].style.some(([property, value]) => property === 'letter-spacing' && value === '0.05em'));
+  });
+
+  it('Writes an HTML page.', function() {
+    const [file] = exportHtml(DOCUMENT, createContext());
+    assert.equal(file.path, 'main-menu.html');
+    assert.ok(file.contents.startsWith('<!DOCTYPE html>'));
+    assert.ok(file.contents.includes('&lt;you&gt;'));
+    assert.ok(file.contents.includes('<img data-name="icon" data-id="4" alt="icon" src="images/icon.png"'));
+    assert.ok(file.contents.includes('border-image-source: url(\'images/frame.png\')'));
+  });
+
+  it('Writes a React component.', function() {
+    assert.equal(toComponentName('main-menu'), 'MainMenu');
+    assert.equal(toComponentName('2x'), 'Layout2x');
+    const [file] = exportReact(DOCUMENT, createContext());
+    assert.equal(file.path, 'MainMenu.jsx');
+    assert.ok(file.contents.includes('import iconImage from "./images/icon.png";'));
+    assert.ok(file.contents.includes('export default function MainMenu() {'));
+    assert.ok(file.contents.includes('src={iconImage}'));
+    assert.ok(file.contents.includes('borderImageSource: `url(${frameImage})`'));
+    assert.ok(file.contents.includes('{"<you>"}'));
+  });
+
+  it('Writes a Cocos Creator prefab with meta files.', function() {
+    const files = exportCocos(DOCUMENT, createContext({ 'images/icon.png.meta': JSON.stringify({ subMetas: { icon: { uuid: 'existing' } } }) }));
+    assert.deepEqual(files.map(file => file.path), ['main-menu.prefab', 'images/frame.png.meta']);
+
+    const objects = JSON.parse(files[0].contents);
+    const nodes = objects.filter(object => object.__type__ === 'cc.Node');
+    assert.deepEqual(nodes.map(node => node._name), ['main-menu', 'panel', 'icon', 'frame', 'title']);
+    const [root, panel, icon, frame, title] = nodes;
+    // The root is centered, children are anchored at their top left corner with y up
+    assert.deepEqual(root._anchorPoint, { __type__: 'cc.Vec2', x: 0.5, y: 0.5 });
+    assert.deepEqual(panel._trs.array.slice(0, 2), [10 - 200, 150 - 50]);
+    assert.deepEqual(frame._trs.array.slice(0, 2), [5, -6]);
+    assert.equal(panel._opacity, 128);
+    assert.equal(icon._active, false);
+
+    const sprite = objects[frame._components[0].__id__];
+    const meta = JSON.parse(files[1].contents);
+    assert.equal(sprite._type, 1);
+    assert.equal(sprite._spriteFrame.__uuid__, meta.subMetas.frame.uuid);
+    assert.equal(meta.subMetas.frame.borderLeft, 10);
+    assert.equal(objects[icon._components[0].__id__]._spriteFrame.__uuid__, 'existing');
+
+    const label = objects[title._components[0].__id__];
+    assert.equal(label.__type__, 'cc.Label');
+    assert.equal(label._string, 'Hi <you>\nnext');
+    assert.equal(label._N$horizontalAlign, 1);
+    assert.deepEqual([label._N$fontFamily, label._fontSize], ['Arial', 20]);
+    assert.deepEqual([title._color.r, title._color.g, title._color.b], [255, 0, 0]);
+    assert.equal(title._opacity, 255);
+  });
+
+  it('Derives stable UUIDs.', function() {
+    assert.equal(createUuid('a'), createUuid('a'));
+    assert.notEqual(createUuid('a'), createUuid('b'));
+    assert.match(createUuid('a'), /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  });
+});
@@ -0,0 +1,28 @@
+const assert = require('assert');
+const { normalizeImageFormat, resolveFormat, getExtension } = require('../lib/format.js');
+const { createEmpty } = require('../lib/image.js');
+
+describe('Image formats.', function() {
+
+  it('Merges encoder settings with the defaults.', function() {
+    const imageFormat = normalizeImageFormat({ format: 'webp', webp: { quality: 70 } });
+    assert.equal(imageFormat.format, 'webp');
+    assert.equal(imageFormat.webp.quality, 70);
+    assert.equal(imageFormat.webp.effort, 4);
+    assert.equal(normalizeImageFormat('avif').format, 'avif');
+  });
+
+  it('Rejects unknown formats.', function() {
+    assert.throws(() => normalizeImageFormat('gif'), /Unknown image format "gif"/);
+  });
+
+  it('Auto picks JPEG for opaque bitmaps only.', function() {
+    const imageFormat = normalizeImageFormat('auto');
+    const transparent = createEmpty(2, 2);
+    const opaque = createEmpty(2, 2);
+    opaque.data.fill(255);
+    assert.equal(resolveFormat(transparent, imageFormat), 'png');
+    assert.equal(resolveFormat(opaque, imageFormat), 'jpeg');
+    assert.equal(getExtension('jpeg'), '.jpg');
+  });
+});
@@ -0,0 +1,18 @@
+const assert = require('assert');
+const { createEmpty, trimBitmap } = require('../lib/image.js');
+
+describe('Bitmap trimming.', function() {
+
+  it('Crops fully transparent margins.', function() {
+    const bitmap = createEmpty(4, 3, 10, 20);
+    bitmap.data[(1 * 4 + 2) * 4 + 3] = 1;
+    const trimmed = trimBitmap(bitmap);
+    assert.deepEqual([trimmed.left, trimmed.top, trimmed.width, trimmed.height], [12, 21, 1, 1]);
+    assert.equal(trimmed.data[3], 1);
+  });
+
+  it('Keeps transparent bitmaps untouched.', function() {
+    const bitmap = createEmpty(4, 3);
+    assert.strictEqual(trimBitmap(bitmap), bitmap);
+  });
+});
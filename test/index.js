@@ -3,6 +3,7 @@ const psd2json = require('../index.js');
 const path = require('path');
 const fs = require('fs');
 const rimraf = require('rimraf');
+const sharp = require('sharp');
 
 const FILE_NAME = 'sample';
 const PSD_FILE_NAME = FILE_NAME + '.psd';
@@ -143,3 +144,883 @@ describe('Passing file path and IMG directory path.', function() {
     );
   });
 });
+
+describe('Blending information.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, PSD_FILE_NAME);
+
+  let structure = [];
+
+  before(async function() {
+    structure = JSON.parse(await psd2json.async(PSD_FILE_PATH)).children;
+  });
+
+  it('Groups are pass-through.', function() {
+    assert.equal(structure[0].blendMode, 'passthru');
+    assert.equal(structure[0].isolated, false);
+  });
+
+  it('Fill opacity is read and baked into images.', async function() {
+    const OUTPUT_DIR = path.join(__dirname, 'output', 'fill');
+    rimraf.sync(OUTPUT_DIR);
+    const [panel] = JSON.parse(await psd2json.async(path.join(__dirname, 'fill.psd'), { outImgDir: OUTPUT_DIR, bakeOpacity: true })).children;
+    const box = panel.children[0];
+    assert.equal(box.opacity, 0.8);
+    assert.equal(box.fillOpacity, 0.498);
+    const { data } = await sharp(path.join(OUTPUT_DIR, 'fill', 'panel', box.fileName)).raw().toBuffer({ resolveWithObject: true });
+    assert.equal(data[3], Math.round(255 * 0.8 * 127 / 255));
+  });
+
+  it('Layers have opacity and blend mode.', function() {
+    const player = structure[1].children[0];
+    assert.equal(player.opacity, 1);
+    assert.equal(player.fillOpacity, 1);
+    assert.equal(player.blendMode, 'normal');
+  });
+});
+
+describe('Keeping hidden layers.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, 'hidden.psd');
+  const OUTPUT_DIR = path.join(__dirname, 'output', 'hidden');
+
+  // Names, visibility and images of the groups and their layers
+  function summarize(children) {
+    return children.map(group => [group.name, group.visible, group.children.map(layer => [layer.name, layer.visible, layer.fileName])]);
+  }
+
+  beforeEach(function() {
+    rimraf.sync(OUTPUT_DIR);
+  });
+
+  it('Hidden layers are skipped by default.', async function() {
+    const { document } = await psd2json.convert(PSD_FILE_PATH, { logger: {} });
+    assert.deepEqual(summarize(document.children), [['screen', undefined, [['logo', undefined, undefined]]]]);
+  });
+
+  it('Hidden layers are kept without their images.', async function() {
+    const { document } = await psd2json.convert(PSD_FILE_PATH, { outImgDir: OUTPUT_DIR, includeHidden: true, logger: {} });
+    assert.deepEqual(summarize(document.children), [
+      ['screen', undefined, [['badge', false, undefined], ['logo', undefined, 'logo.png']]],
+      ['menu', false, [['item', false, undefined]]]
+    ]);
+    assert.ok(psd2json.validate(document).valid);
+    assert.deepEqual(fs.readdirSync(path.join(OUTPUT_DIR, 'hidden')), ['screen']);
+    assert.deepEqual(fs.readdirSync(path.join(OUTPUT_DIR, 'hidden', 'screen')), ['logo.png']);
+  });
+
+  it('Images of hidden layers are exported on request.', async function() {
+    const options = { outImgDir: OUTPUT_DIR, includeHidden: true, exportHiddenImages: true, logger: {} };
+    const { document } = await psd2json.convert(PSD_FILE_PATH, options);
+    assert.deepEqual(summarize(document.children), [
+      ['screen', undefined, [['badge', false, 'badge.png'], ['logo', undefined, 'logo.png']]],
+      ['menu', false, [['item', false, 'item.png']]]
+    ]);
+    assert.ok(fs.existsSync(path.join(OUTPUT_DIR, 'hidden', 'screen', 'badge.png')));
+    assert.ok(fs.existsSync(path.join(OUTPUT_DIR, 'hidden', 'menu', 'item.png')));
+  });
+
+  it('Images of hidden layers need includeHidden.', async function() {
+    const { document } = await psd2json.convert(PSD_FILE_PATH, { outImgDir: OUTPUT_DIR, exportHiddenImages: true, logger: {} });
+    assert.deepEqual(summarize(document.children), [['screen', undefined, [['logo', undefined, 'logo.png']]]]);
+  });
+});
+
+describe('Flattening groups by directive.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, PSD_FILE_NAME);
+  const OUTPUT_DIR = path.join(__dirname, 'output', 'flatten');
+
+  let structure = [];
+
+  before(async function() {
+    rimraf.sync(OUTPUT_DIR);
+    structure = JSON.parse(await psd2json.async(PSD_FILE_PATH, {
+      outImgDir: OUTPUT_DIR,
+      directives: name => name === 'background' ? { flatten: true } : {}
+    })).children;
+  });
+
+  it('Flattened group is a single image.', function() {
+    const background = structure[2];
+    assert.equal(background.type, 'image');
+    assert.equal(background.children, undefined);
+    assert.equal(background.fileName, 'background.png');
+    assert.equal(background.width, 512);
+    assert.equal(background.height, 415);
+  });
+
+  it('Correct output path.', function() {
+    assert.ok(fs.statSync(path.join(OUTPUT_DIR, FILE_NAME, 'background.png')));
+    assert.throws(() => fs.statSync(path.join(OUTPUT_DIR, FILE_NAME, 'background', 'sky.png')));
+  });
+});
+
+describe('Merging groups by option.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, PSD_FILE_NAME);
+  const OUTPUT_DIR = path.join(__dirname, 'output', 'merge');
+
+  let structure = [];
+
+  before(async function() {
+    rimraf.sync(OUTPUT_DIR);
+    structure = JSON.parse(await psd2json.async(PSD_FILE_PATH, {
+      outImgDir: OUTPUT_DIR,
+      mergeGroups: ['ui/footer', /^field$/]
+    })).children;
+  });
+
+  it('Matched groups are single images.', function() {
+    const footer = structure[0].children[0];
+    assert.equal(footer.type, 'image');
+    assert.equal(footer.x, 0);
+    assert.equal(footer.y, 366);
+    assert.equal(footer.width, 512);
+    assert.equal(footer.height, 146);
+    assert.equal(structure[1].type, 'image');
+    assert.equal(structure[2].type, 'group');
+  });
+
+  it('Layers are composited with their opacity and fill opacity.', async function() {
+    await psd2json.async(path.join(__dirname, 'fill.psd'), { outImgDir: OUTPUT_DIR, mergeGroups: ['panel'] });
+    const { data } = await sharp(path.join(OUTPUT_DIR, 'fill', 'panel.png')).raw().toBuffer({ resolveWithObject: true });
+    // box: opacity 80%, fill opacity 127/255
+    assert.deepEqual([...data.slice(0, 4)], [255, 0, 0, Math.round(255 * 0.8 * 127 / 255)]);
+  });
+
+  it('Correct output path.', function() {
+    assert.ok(fs.statSync(path.join(OUTPUT_DIR, FILE_NAME, 'ui', 'footer.png')));
+    assert.ok(fs.statSync(path.join(OUTPUT_DIR, FILE_NAME, 'field.png')));
+    assert.ok(fs.statSync(path.join(OUTPUT_DIR, FILE_NAME, 'background', 'sky.png')));
+  });
+});
+
+describe('Atlas output.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, PSD_FILE_NAME);
+  const OUTPUT_DIR = path.join(__dirname, 'output', 'atlas');
+
+  let structure = [];
+
+  before(async function() {
+    rimraf.sync(OUTPUT_DIR);
+    structure = JSON.parse(await psd2json.async(PSD_FILE_PATH, {
+      outImgDir: OUTPUT_DIR,
+      atlas: { maxSize: 1024 }
+    })).children;
+  });
+
+  it('Image nodes reference frames.', function() {
+    const player = structure[1].children[0];
+    assert.equal(player.fileName, undefined);
+    assert.equal(player.atlas, FILE_NAME + '-0.json');
+    assert.equal(player.frame, 'field/player');
+  });
+
+  it('Correct output path.', function() {
+    const descriptor = JSON.parse(fs.readFileSync(path.join(OUTPUT_DIR, FILE_NAME, FILE_NAME + '-0.json'), 'utf-8'));
+    assert.ok(fs.statSync(path.join(OUTPUT_DIR, FILE_NAME, FILE_NAME + '-0.png')));
+    assert.equal(descriptor.meta.image, FILE_NAME + '-0.png');
+    assert.equal(Object.keys(descriptor.frames).length, 8);
+    assert.throws(() => fs.statSync(path.join(OUTPUT_DIR, FILE_NAME, 'field', 'player.png')));
+  });
+});
+
+describe('Fitting to a maximum resolution.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, PSD_FILE_NAME);
+  const OUTPUT_DIR = path.join(__dirname, 'output', 'fit');
+
+  let structure = [];
+
+  before(async function() {
+    rimraf.sync(OUTPUT_DIR);
+    structure = JSON.parse(await psd2json.async(PSD_FILE_PATH, {
+      outImgDir: OUTPUT_DIR,
+      maxResolution: { width: 256, mode: 'fit' }
+    })).children;
+  });
+
+  it('Coordinates are scaled.', function() {
+    const player = structure[1].children[0];
+    assert.deepEqual([player.x, player.y, player.width, player.height], [96, 90, 81, 71]);
+  });
+
+  it('Images are scaled.', async function() {
+    const metadata = await sharp(path.join(OUTPUT_DIR, FILE_NAME, 'field', 'player.png')).metadata();
+    assert.equal(metadata.width, 81);
+    assert.equal(metadata.height, 71);
+  });
+});
+
+describe('Exporting several densities.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, PSD_FILE_NAME);
+  const OUTPUT_DIR = path.join(__dirname, 'output', 'densities');
+
+  let structure = [];
+
+  before(async function() {
+    rimraf.sync(OUTPUT_DIR);
+    structure = JSON.parse(await psd2json.async(PSD_FILE_PATH, {
+      outImgDir: OUTPUT_DIR,
+      scales: [1, 2]
+    })).children;
+  });
+
+  it('Coordinates are in logical points.', function() {
+    const player = structure[1].children[0];
+    assert.deepEqual([player.x, player.y, player.width, player.height], [96, 90, 81, 71]);
+  });
+
+  it('Every density is listed in sources.', function() {
+    const player = structure[1].children[0];
+    assert.equal(player.fileName, 'player.png');
+    assert.deepEqual(player.sources, {
+      '1x': `${FILE_NAME}/field/player.png`,
+      '2x': `${FILE_NAME}/field/player@2x.png`
+    });
+  });
+
+  it('Images are written at every density.', async function() {
+    const small = await sharp(path.join(OUTPUT_DIR, FILE_NAME, 'field', 'player.png')).metadata();
+    const large = await sharp(path.join(OUTPUT_DIR, FILE_NAME, 'field', 'player@2x.png')).metadata();
+    assert.deepEqual([small.width, small.height], [81, 71]);
+    assert.deepEqual([large.width, large.height], [163, 142]);
+  });
+
+  it('Every density gets its own sprite sheets.', async function() {
+    const ATLAS_DIR = path.join(__dirname, 'output', 'densities-atlas');
+    rimraf.sync(ATLAS_DIR);
+    const { document } = await psd2json.convert(PSD_FILE_PATH, { outImgDir: ATLAS_DIR, scales: [1, 2], atlas: true, logger: {} });
+    assert.deepEqual(document.children[1].children[0].sources, {
+      '1x': `${FILE_NAME}/${FILE_NAME}-0.json`,
+      '2x': `${FILE_NAME}/${FILE_NAME}-0@2x.json`
+    });
+    const small = JSON.parse(fs.readFileSync(path.join(ATLAS_DIR, FILE_NAME, `${FILE_NAME}-0.json`), 'utf-8'));
+    const large = JSON.parse(fs.readFileSync(path.join(ATLAS_DIR, FILE_NAME, `${FILE_NAME}-0@2x.json`), 'utf-8'));
+    assert.deepEqual([small.meta.image, small.meta.scale], [`${FILE_NAME}-0.png`, '1']);
+    assert.deepEqual([large.meta.image, large.meta.scale], [`${FILE_NAME}-0@2x.png`, '2']);
+    const sheets = await Promise.all([small, large].map(descriptor => sharp(path.join(ATLAS_DIR, FILE_NAME, descriptor.meta.image)).metadata()));
+    assert.ok(sheets[1].width > sheets[0].width);
+  });
+});
+
+describe('Choosing the image format.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, PSD_FILE_NAME);
+  const OUTPUT_DIR = path.join(__dirname, 'output', 'format');
+
+  let structure = [];
+
+  before(async function() {
+    rimraf.sync(OUTPUT_DIR);
+    structure = JSON.parse(await psd2json.async(PSD_FILE_PATH, {
+      outImgDir: OUTPUT_DIR,
+      imageFormat: { format: 'webp', webp: { quality: 80 } }
+    })).children;
+  });
+
+  it('File names carry the extension of the format.', function() {
+    assert.equal(structure[1].children[0].fileName, 'player.webp');
+  });
+
+  it('Images are encoded in the format.', async function() {
+    const metadata = await sharp(path.join(OUTPUT_DIR, FILE_NAME, 'field', 'player.webp')).metadata();
+    assert.equal(metadata.format, 'webp');
+    assert.equal(metadata.hasAlpha, true);
+  });
+});
+
+describe('Versioned document.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, PSD_FILE_NAME);
+
+  let document = null;
+
+  before(async function() {
+    document = JSON.parse(await psd2json.async(PSD_FILE_PATH));
+  });
+
+  it('Carries the document metadata.', function() {
+    assert.equal(document.schemaVersion, psd2json.SCHEMA_VERSION);
+    assert.equal(document.generator.name, 'psd2json');
+    assert.deepEqual(document.document, {
+      name: FILE_NAME, width: 512, height: 512, colorMode: 'RGBColor', depth: 8, dpi: 300
+    });
+    assert.equal(document.source.file, PSD_FILE_NAME);
+    assert.match(document.source.sha256, /^[0-9a-f]{64}$/);
+  });
+
+  it('Is valid against the schema.', function() {
+    assert.deepEqual(psd2json.validate(document), { valid: true, errors: [] });
+  });
+
+  it('Can output the bare structure.', async function() {
+    const structure = JSON.parse(await psd2json.async(PSD_FILE_PATH, { envelope: false }));
+    assert.deepEqual(structure, document.children);
+  });
+});
+
+describe('Incremental export.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, PSD_FILE_NAME);
+  const OUTPUT_DIR = path.join(__dirname, 'output', 'incremental');
+  const IMAGE_PATH = path.join(OUTPUT_DIR, FILE_NAME, 'field', 'player.png');
+  const options = { outJsonDir: OUTPUT_DIR, outImgDir: OUTPUT_DIR, incremental: true };
+
+  let first = null;
+
+  before(async function() {
+    rimraf.sync(OUTPUT_DIR);
+    first = await psd2json.convert(PSD_FILE_PATH, options);
+  });
+
+  it('Nodes carry layer ids.', function() {
+    const ids = [];
+    const visit = nodes => nodes.forEach(node => {
+      ids.push(node.id);
+      visit(node.children || []);
+    });
+    visit(first.document.children);
+    assert.ok(ids.every(Number.isInteger));
+    assert.equal(new Set(ids).size, ids.length);
+  });
+
+  it('First export adds every layer.', function() {
+    assert.equal(first.changes.added.length, 12);
+    assert.deepEqual(first.changes.removed, []);
+    assert.deepEqual(first.changes.modified, []);
+    assert.ok(fs.existsSync(path.join(OUTPUT_DIR, FILE_NAME + '.manifest.json')));
+  });
+
+  it('Unchanged images are not written again.', async function() {
+    const past = new Date(2000, 0, 1);
+    fs.utimesSync(IMAGE_PATH, past, past);
+
+    const second = await psd2json.convert(PSD_FILE_PATH, options);
+    assert.deepEqual(second.changes, { added: [], removed: [], modified: [] });
+    assert.equal(second.json, first.json);
+    assert.equal(fs.statSync(IMAGE_PATH).mtime.getTime(), past.getTime());
+  });
+
+  it('Changed settings write images again.', async function() {
+    const imageFormat = { png: { palette: true } };
+    const third = await psd2json.convert(PSD_FILE_PATH, Object.assign({ imageFormat }, options));
+    assert.ok(third.changes.modified.some(layer => layer.path === 'field/player'));
+    assert.notEqual(fs.statSync(IMAGE_PATH).mtime.getFullYear(), 2000);
+  });
+
+  it('Without output directories the manifest is written next to the PSD.', async function() {
+    const copyPath = path.join(OUTPUT_DIR, 'source', PSD_FILE_NAME);
+    fs.mkdirSync(path.dirname(copyPath), { recursive: true });
+    fs.copyFileSync(PSD_FILE_PATH, copyPath);
+    await psd2json.convert(copyPath, { incremental: true });
+    assert.ok(fs.existsSync(path.join(OUTPUT_DIR, 'source', FILE_NAME + '.manifest.json')));
+    assert.ok(!fs.existsSync(path.resolve(FILE_NAME + '.manifest.json')));
+  });
+});
+
+describe('Reporting layers that failed to export.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, PSD_FILE_NAME);
+  const OUTPUT_DIR = path.join(__dirname, 'output', 'diagnostics');
+
+  before(function() {
+    rimraf.sync(OUTPUT_DIR);
+    // A file in place of the field directory makes writing the player image fail
+    fs.mkdirSync(path.join(OUTPUT_DIR, FILE_NAME), { recursive: true });
+    fs.writeFileSync(path.join(OUTPUT_DIR, FILE_NAME, 'field'), '');
+  });
+
+  it('Failures are returned as diagnostics.', async function() {
+    const { document, diagnostics } = await psd2json.convert(PSD_FILE_PATH, { outImgDir: OUTPUT_DIR });
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].severity, 'error');
+    assert.equal(diagnostics[0].code, 'layer-export-failed');
+    assert.equal(diagnostics[0].layer, 'field/player');
+    assert.equal(diagnostics[0].id, document.children[1].children[0].id);
+    assert.match(diagnostics[0].message, /^Error exporting image: /);
+  });
+
+  it('Warnings do not fail strict exports.', async function() {
+    const { diagnostics } = await psd2json.convert(PSD_FILE_PATH, {
+      outImgDir: path.join(OUTPUT_DIR, 'atlas'),
+      atlas: { maxSize: 50 },
+      strict: true
+    });
+    assert.ok(diagnostics.length > 0);
+    assert.ok(diagnostics.every(diagnostic => diagnostic.code === 'atlas-frame-too-large'));
+  });
+
+  it('Strict exports reject.', async function() {
+    await assert.rejects(psd2json.convert(PSD_FILE_PATH, { outImgDir: OUTPUT_DIR, outJsonDir: OUTPUT_DIR, strict: true }), error => {
+      assert.match(error.message, /^1 layer\(s\) failed to export: field\/player/);
+      assert.equal(error.diagnostics[0].code, 'layer-export-failed');
+      return true;
+    });
+    assert.ok(!fs.existsSync(path.join(OUTPUT_DIR, OUTPUT_FILE_NAME)));
+  });
+});
+
+describe('Logging through a logger.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, PSD_FILE_NAME);
+  const OUTPUT_DIR = path.join(__dirname, 'output', 'logger');
+
+  const messages = [];
+  const logger = {};
+  for (const level of ['debug', 'info', 'warn', 'error']) {
+    logger[level] = (message, fields) => messages.push({ level, message, fields });
+  }
+
+  before(async function() {
+    rimraf.sync(OUTPUT_DIR);
+    await psd2json.convert(PSD_FILE_PATH, { outImgDir: OUTPUT_DIR, atlas: { maxSize: 100 }, logger });
+  });
+
+  it('Details are logged as debug messages.', function() {
+    assert.ok(messages.some(entry => entry.level === 'debug' && /^Parsed /.test(entry.message)));
+    assert.ok(messages.some(entry => entry.level === 'debug' && /^Wrote sample\/field\/player\.png \(\d+x\d+\)$/.test(entry.message)));
+  });
+
+  it('Warnings carry the layer.', function() {
+    const warning = messages.find(entry => entry.level === 'warn');
+    assert.equal(warning.fields.code, 'atlas-frame-too-large');
+    assert.equal(typeof warning.fields.layer, 'string');
+    assert.ok(warning.message.startsWith(`Layer "${warning.fields.layer}": `));
+  });
+});
+
+describe('Reporting progress.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, PSD_FILE_NAME);
+  const OUTPUT_DIR = path.join(__dirname, 'output', 'progress');
+  const EVENTS = ['parse:start', 'parse:end', 'layer:start', 'layer:done', 'image:written', 'end'];
+
+  it('Emits events in order.', async function() {
+    rimraf.sync(OUTPUT_DIR);
+    const events = [];
+    const conversion = psd2json.start(PSD_FILE_PATH, { outImgDir: OUTPUT_DIR });
+    EVENTS.forEach(name => conversion.on(name, data => events.push({ name, data })));
+    const result = await conversion.done;
+
+    assert.deepEqual(events.slice(0, 2).map(event => event.name), ['parse:start', 'parse:end']);
+    assert.equal(events[1].data.total, 12);
+    const done = events.filter(event => event.name === 'layer:done');
+    assert.deepEqual(done.map(event => event.data.index), [...Array(12).keys()]);
+    assert.ok(done.every(event => event.data.total === 12));
+    assert.deepEqual(events.find(event => event.name === 'image:written').data, {
+      file: PSD_FILE_PATH, layer: 'ui/footer/button1', image: 'sample/ui/footer/button1.png', density: null
+    });
+    assert.equal(events.filter(event => event.name === 'image:written').length, 8);
+    assert.equal(events[events.length - 1].name, 'end');
+    assert.equal(events[events.length - 1].data, result);
+  });
+
+  it('Can be aborted.', async function() {
+    const controller = new AbortController();
+    const conversion = psd2json.start(PSD_FILE_PATH, { signal: controller.signal });
+    const started = [];
+    conversion.on('layer:start', data => {
+      started.push(data.index);
+      if (data.index === 2) {
+        controller.abort();
+      }
+    });
+    await assert.rejects(conversion.done, { name: 'AbortError' });
+    assert.deepEqual(started, [0, 1, 2]);
+  });
+
+  it('Passes events to onProgress.', async function() {
+    const names = new Set();
+    await psd2json.convert(PSD_FILE_PATH, { onProgress: name => names.add(name) });
+    assert.deepEqual([...names], ['parse:start', 'parse:end', 'layer:start', 'layer:done']);
+  });
+});
+
+describe('Exporting to other targets.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, PSD_FILE_NAME);
+  const OUTPUT_DIR = path.join(__dirname, 'output', 'targets');
+
+  let result = null;
+
+  before(async function() {
+    rimraf.sync(OUTPUT_DIR);
+    result = await psd2json.convert(PSD_FILE_PATH, {
+      outImgDir: path.join(OUTPUT_DIR, 'images'),
+      outJsonDir: OUTPUT_DIR,
+      targets: ['html', 'react', 'cocos'],
+      logger: {}
+    });
+  });
+
+  it('Files are written next to the JSON.', function() {
+    for (const file of ['sample.html', 'Sample.jsx', 'sample.prefab', 'images/sample/field/player.png.meta']) {
+      assert.ok(fs.existsSync(path.join(OUTPUT_DIR, file)), file);
+    }
+    assert.deepEqual([...new Set(result.exports.map(file => file.target))], ['html', 'react', 'cocos']);
+  });
+
+  it('Image paths are relative to the exported files.', function() {
+    const html = fs.readFileSync(path.join(OUTPUT_DIR, 'sample.html'), 'utf-8');
+    assert.ok(html.includes('src="images/sample/field/player.png" style="position: absolute; left: 191px; top: 179px; width: 163px; height: 142px"'));
+    const jsx = fs.readFileSync(path.join(OUTPUT_DIR, 'Sample.jsx'), 'utf-8');
+    assert.ok(jsx.includes('import playerImage from "./images/sample/field/player.png";'));
+  });
+
+  it('Meta files are kept when exporting again.', async function() {
+    const metaPath = path.join(OUTPUT_DIR, 'images/sample/field/player.png.meta');
+    fs.writeFileSync(metaPath, JSON.stringify({ uuid: 'texture', subMetas: { player: { uuid: 'frame' } } }));
+    const { exports } = await psd2json.convert(PSD_FILE_PATH, {
+      outImgDir: path.join(OUTPUT_DIR, 'images'),
+      outJsonDir: OUTPUT_DIR,
+      targets: 'cocos',
+      logger: {}
+    });
+    assert.ok(!exports.some(file => file.path.endsWith('player.png.meta')));
+    assert.ok(exports[0].contents.includes('"__uuid__": "frame"'));
+  });
+
+  it('Unknown targets are rejected.', async function() {
+    await assert.rejects(psd2json.convert(PSD_FILE_PATH, { targets: ['flash'] }), /Unknown target "flash"/);
+  });
+});
+
+describe('Inferring the layout.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, PSD_FILE_NAME);
+
+  it('Groups and nodes are annotated.', async function() {
+    const { document } = await psd2json.convert(PSD_FILE_PATH, { layout: true, logger: {} });
+    const footer = document.children[0].children[0];
+    assert.equal(footer.layout.direction, 'horizontal');
+    assert.equal(footer.layout.background, 'back');
+    assert.deepEqual(footer.children.map(node => node.constraints.horizontal), ['left', 'center', 'right', 'stretch']);
+    assert.ok(psd2json.validate(document).valid);
+  });
+
+  it('Nothing is added by default.', async function() {
+    const { document } = await psd2json.convert(PSD_FILE_PATH, { logger: {} });
+    assert.equal(document.children[0].constraints, undefined);
+  });
+});
+
+// Encode an Action Descriptor of doubles, longs, booleans, strings, lists and nested descriptors as stored in PSD files
+function encodeDescriptor(items) {
+  const parts = [Buffer.from([0, 0, 0, 0]), Buffer.from([0, 0, 0, 0]), Buffer.from('null'), Buffer.alloc(4)];
+  parts[3].writeInt32BE(Object.keys(items).length);
+  for (const [key, value] of Object.entries(items)) {
+    // Keys of four characters are stored without length
+    const length = Buffer.alloc(4);
+    length.writeInt32BE(key.length === 4 ? 0 : key.length);
+    parts.push(length, Buffer.from(key));
+    parts.push(encodeDescriptorItem(value));
+  }
+  return Buffer.concat(parts);
+}
+
+function encodeDescriptorItem(value) {
+  if (Array.isArray(value)) {
+    const count = Buffer.alloc(4);
+    count.writeInt32BE(value.length);
+    return Buffer.concat([Buffer.from('VlLs'), count, ...value.map(encodeDescriptorItem)]);
+  }
+  if (typeof value === 'object') {
+    return Buffer.concat([Buffer.from('Objc'), encodeDescriptor(value)]);
+  }
+  if (typeof value === 'string') {
+    const data = Buffer.alloc(4 + value.length * 2);
+    data.writeInt32BE(value.length);
+    Buffer.from(value, 'utf16le').swap16().copy(data, 4);
+    return Buffer.concat([Buffer.from('TEXT'), data]);
+  }
+  if (typeof value === 'boolean') {
+    return Buffer.concat([Buffer.from('bool'), Buffer.from([value ? 1 : 0])]);
+  }
+  const data = Buffer.alloc(Number.isInteger(value) ? 4 : 8);
+  if (Number.isInteger(value)) {
+    data.writeInt32BE(value);
+    return Buffer.concat([Buffer.from('long'), data]);
+  }
+  data.writeDoubleBE(value);
+  return Buffer.concat([Buffer.from('doub'), data]);
+}
+
+// Add a layer info block to the records of the named groups of a PSD, updating the lengths of the sections
+function addLayerInfo(psd, key, blocks) {
+  const chunks = [];
+  const colorModeEnd = 26 + 4 + psd.readUInt32BE(26);
+  const layerSectionStart = colorModeEnd + 4 + psd.readUInt32BE(colorModeEnd);
+  const layerInfoStart = layerSectionStart + 4;
+  let offset = layerInfoStart + 4;
+  const count = Math.abs(psd.readInt16BE(offset));
+  offset += 2;
+  let last = 0;
+  let added = 0;
+  for (let index = 0; index < count; index++) {
+    const channels = psd.readUInt16BE(offset + 16);
+    const extraStart = offset + 18 + channels * 6 + 12;
+    const extraLength = psd.readUInt32BE(extraStart);
+    const extraEnd = extraStart + 4 + extraLength;
+    let position = extraStart + 4;
+    position += 4 + psd.readUInt32BE(position);
+    position += 4 + psd.readUInt32BE(position);
+    const name = psd.toString('latin1', position + 1, position + 1 + psd[position]);
+    if (blocks[name]) {
+      const data = Buffer.concat([blocks[name], Buffer.alloc((4 - blocks[name].length % 4) % 4)]);
+      const header = Buffer.alloc(12);
+      header.write('8BIM', 0);
+      header.write(key, 4);
+      header.writeUInt32BE(data.length, 8);
+      chunks.push(psd.slice(last, extraStart), Buffer.alloc(4), psd.slice(extraStart + 4, extraEnd), header, data);
+      chunks[chunks.length - 4].writeUInt32BE(extraLength + 12 + data.length);
+      last = extraEnd;
+      added += 12 + data.length;
+    }
+    offset = extraEnd;
+  }
+  chunks.push(psd.slice(last));
+  const result = Buffer.concat(chunks);
+  result.writeUInt32BE(psd.readUInt32BE(layerSectionStart) + added, layerSectionStart);
+  result.writeUInt32BE(psd.readUInt32BE(layerInfoStart) + added, layerInfoStart);
+  return result;
+}
+
+function encodeArtboard(rect, background) {
+  const version = Buffer.alloc(4);
+  version.writeInt32BE(16);
+  return Buffer.concat([version, encodeDescriptor(Object.assign({ artboardRect: rect }, background))]);
+}
+
+describe('Splitting artboards.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, PSD_FILE_NAME);
+  const OUTPUT_DIR = path.join(__dirname, 'output', 'artboards');
+  const ARTBOARDS_FILE_PATH = path.join(OUTPUT_DIR, 'screens.psd');
+
+  let result = null;
+
+  before(async function() {
+    rimraf.sync(OUTPUT_DIR);
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    // Photoshop CC 2015 writes artb, later versions abdd, which psd.js does not parse
+    const psd = addLayerInfo(fs.readFileSync(PSD_FILE_PATH), 'artb', {
+      ui: encodeArtboard({ 'Top ': 256.0, 'Left': 0.0, 'Btom': 512.0, 'Rght': 512.0 }, { artboardBackgroundType: 1 })
+    });
+    fs.writeFileSync(ARTBOARDS_FILE_PATH, addLayerInfo(psd, 'abdd', {
+      field: encodeArtboard({ 'Top ': 100.0, 'Left': 150.0, 'Btom': 400.0, 'Rght': 400.0 },
+        { artboardBackgroundType: 4, 'Clr ': { 'Rd  ': 0.0, 'Grn ': 128.0, 'Bl  ': 255.0 } })
+    }));
+    result = await psd2json.convert(ARTBOARDS_FILE_PATH, {
+      outImgDir: path.join(OUTPUT_DIR, 'images'),
+      outJsonDir: OUTPUT_DIR,
+      artboards: true,
+      logger: {}
+    });
+  });
+
+  it('Every artboard is a document.', function() {
+    assert.deepEqual(result.artboards.map(artboard => artboard.name), ['ui', 'field']);
+    assert.ok(!fs.existsSync(path.join(OUTPUT_DIR, 'screens.json')));
+    const field = JSON.parse(fs.readFileSync(path.join(OUTPUT_DIR, 'field.json'), 'utf-8'));
+    assert.deepEqual(field.document.artboard, { x: 150, y: 100, background: 'rgba(0, 128, 255, 1)' });
+    assert.equal(field.document.width, 250);
+    assert.equal(field.document.height, 300);
+    assert.ok(psd2json.validate(field).valid);
+  });
+
+  it('Coordinates are relative to the artboard.', function() {
+    const [player] = result.artboards[1].document.children;
+    assert.equal(player.x, 191 - 150);
+    assert.equal(player.y, 179 - 100);
+  });
+
+  it('Images are written per artboard.', function() {
+    assert.ok(fs.existsSync(path.join(OUTPUT_DIR, 'images', 'field', 'player.png')));
+    assert.ok(fs.existsSync(path.join(OUTPUT_DIR, 'images', 'ui', 'footer', 'back.png')));
+    assert.ok(!fs.existsSync(path.join(OUTPUT_DIR, 'images', 'background')));
+  });
+
+  it('Artboards are marked in a single document.', async function() {
+    const { document, artboards } = await psd2json.convert(ARTBOARDS_FILE_PATH, { logger: {} });
+    assert.equal(artboards, null);
+    assert.deepEqual(document.children.map(node => node.artboard && node.artboard.background),
+      ['rgba(255, 255, 255, 1)', 'rgba(0, 128, 255, 1)', undefined]);
+    assert.equal(document.children[0].height, 256);
+  });
+
+  it('PSDs without artboards are written as one document.', async function() {
+    const messages = [];
+    const { document, artboards } = await psd2json.convert(PSD_FILE_PATH, {
+      artboards: true,
+      logger: { warn: message => messages.push(message) }
+    });
+    assert.equal(artboards, null);
+    assert.equal(document.document.name, 'sample');
+    assert.ok(/has no artboards/.test(messages[0]));
+  });
+});
+
+// Set the data of an image resource of a PSD, replacing the resource if it exists
+function setImageResource(psd, id, data) {
+  const sectionStart = 26 + 4 + psd.readUInt32BE(26);
+  const sectionEnd = sectionStart + 4 + psd.readUInt32BE(sectionStart);
+  const padded = Buffer.concat([data, Buffer.alloc(data.length % 2)]);
+  const header = Buffer.alloc(12);
+  header.write('8BIM', 0);
+  header.writeUInt16BE(id, 4);
+  header.writeUInt32BE(data.length, 8);
+  let offset = sectionStart + 4;
+  let start = sectionEnd;
+  let end = sectionEnd;
+  while (offset < sectionEnd) {
+    const nameLength = psd[offset + 6] + 1;
+    const length = psd.readUInt32BE(offset + 6 + nameLength + nameLength % 2);
+    const next = offset + 6 + nameLength + nameLength % 2 + 4 + length + length % 2;
+    if (psd.readUInt16BE(offset + 4) === id) {
+      [start, end] = [offset, next];
+    }
+    offset = next;
+  }
+  const result = Buffer.concat([psd.slice(0, start), header, padded, psd.slice(end)]);
+  result.writeUInt32BE(psd.readUInt32BE(sectionStart) + header.length + padded.length - (end - start), sectionStart);
+  return result;
+}
+
+// Encode the version 6 slices resource with the automatic slice Photoshop adds and user slices
+function encodeSlices(width, height, slices) {
+  const int = value => {
+    const data = Buffer.alloc(4);
+    data.writeInt32BE(value);
+    return data;
+  };
+  const text = value => Buffer.concat([int(value.length), Buffer.from(value, 'utf16le').swap16()]);
+  const records = [{ id: 0, origin: 0, name: '', rect: [0, 0, width, height], url: '', alt: '' }].concat(slices).map(slice =>
+    Buffer.concat([
+      int(slice.id), int(0), int(slice.origin), text(slice.name), int(1), ...slice.rect.map(int),
+      text(slice.url), text(''), text(''), text(slice.alt), Buffer.from([1]), text(''), int(0), int(0), Buffer.from([0, 0, 0, 0])
+    ]));
+  return Buffer.concat([int(6), int(0), int(0), int(height), int(width), text(''), int(records.length), ...records]);
+}
+
+// Encode the layer comps settings of a layer, stored in its metadata
+function encodeCompSettings(settings) {
+  const descriptor = Buffer.concat([Buffer.from([0, 0, 0, 16]), encodeDescriptor({ layerSettings: settings })]);
+  const header = Buffer.alloc(20);
+  header.writeUInt32BE(1, 0);
+  header.write('8BIM', 4);
+  header.write('cmls', 8);
+  header.writeUInt32BE(descriptor.length, 16);
+  return Buffer.concat([header, descriptor]);
+}
+
+describe('Layer comps and slices.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, PSD_FILE_NAME);
+  const OUTPUT_DIR = path.join(__dirname, 'output', 'comps');
+  const COMPS_FILE_PATH = path.join(OUTPUT_DIR, 'states.psd');
+
+  let result = null;
+
+  before(async function() {
+    rimraf.sync(OUTPUT_DIR);
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    let data = addLayerInfo(fs.readFileSync(PSD_FILE_PATH), 'shmd', {
+      player: encodeCompSettings([
+        { compList: [1, 2], enab: true },
+        { compList: [2], 'Ofst': { 'Hrzn': 10.0, 'Vrtc': -20.0 }, blendOptions: { 'Opct': 50.0 } }
+      ]),
+      button1: encodeCompSettings([{ compList: [2], enab: false }])
+    });
+    data = setImageResource(data, 1065, Buffer.concat([Buffer.from([0, 0, 0, 16]), encodeDescriptor({
+      list: [
+        { 'Nm  ': 'Logged out', compID: 1, capturedInfo: 7 },
+        { 'Nm  ': 'Logged in', compID: 2, capturedInfo: 7, comment: 'After login' }
+      ]
+    })]));
+    data = setImageResource(data, 1050, encodeSlices(512, 512, [
+      { id: 1, origin: 2, name: 'banner', rect: [0, 0, 512, 100], url: 'https://example.com', alt: 'Banner' }
+    ]));
+    fs.writeFileSync(COMPS_FILE_PATH, data);
+    result = await psd2json.convert(COMPS_FILE_PATH, {
+      outImgDir: OUTPUT_DIR,
+      outJsonDir: OUTPUT_DIR,
+      comps: true,
+      logger: {}
+    });
+  });
+
+  it('Comps are listed.', function() {
+    assert.deepEqual(psd2json.listLayerComps(COMPS_FILE_PATH), [
+      { id: 1, name: 'Logged out', comment: '', captured: { visibility: true, position: true, appearance: true } },
+      { id: 2, name: 'Logged in', comment: 'After login', captured: { visibility: true, position: true, appearance: true } }
+    ]);
+  });
+
+  it('Every comp is a document.', function() {
+    assert.deepEqual(result.comps.map(entry => entry.comp.name), ['Logged out', 'Logged in']);
+    const loggedIn = JSON.parse(fs.readFileSync(path.join(OUTPUT_DIR, 'states-Logged in.json'), 'utf-8'));
+    assert.deepEqual(loggedIn.document.comp, { id: 2, name: 'Logged in' });
+    assert.equal(loggedIn.document.name, 'states-Logged in');
+    assert.ok(psd2json.validate(loggedIn).valid);
+    assert.ok(fs.existsSync(path.join(OUTPUT_DIR, 'states-Logged in', 'field', 'player.png')));
+  });
+
+  it('Comp overrides are applied.', function() {
+    const [loggedOut, loggedIn] = result.comps.map(entry => entry.document);
+    const player = document => document.children[1].children[0];
+    assert.deepEqual([player(loggedOut).x, player(loggedOut).y, player(loggedOut).opacity], [191, 179, 1]);
+    assert.deepEqual([player(loggedIn).x, player(loggedIn).y, player(loggedIn).opacity], [201, 159, 0.502]);
+    const buttons = document => document.children[0].children[0].children.map(node => node.name);
+    assert.ok(buttons(loggedOut).includes('button1'));
+    assert.ok(!buttons(loggedIn).includes('button1'));
+  });
+
+  it('Every comp writes its own images.', async function() {
+    const BAKED_DIR = path.join(OUTPUT_DIR, 'baked');
+    await psd2json.convert(COMPS_FILE_PATH, { outImgDir: BAKED_DIR, comps: true, bakeOpacity: true, logger: {} });
+    const alpha = async comp => {
+      const { data } = await sharp(path.join(BAKED_DIR, `states-${comp}`, 'field', 'player.png')).raw().toBuffer({ resolveWithObject: true });
+      return Math.max(...data.filter((value, index) => index % 4 === 3));
+    };
+    assert.deepEqual([await alpha('Logged out'), await alpha('Logged in')], [255, 128]);
+  });
+
+  it('Unknown comps are rejected.', async function() {
+    await assert.rejects(psd2json.convert(COMPS_FILE_PATH, { comps: 'Guest', logger: {} }),
+      /Unknown layer comp "Guest", the PSD has Logged out, Logged in/);
+  });
+
+  it('User slices are listed.', async function() {
+    const { document } = await psd2json.convert(COMPS_FILE_PATH, { logger: {} });
+    assert.deepEqual(document.slices.map(slice => [slice.name, slice.origin, slice.x, slice.y, slice.width, slice.height, slice.url]),
+      [['banner', 'user', 0, 0, 512, 100, 'https://example.com']]);
+    assert.equal(document.document.comp, undefined);
+    assert.ok(psd2json.validate(document).valid);
+  });
+
+  it('Broken slices do not fail the export.', async function() {
+    const brokenFilePath = path.join(OUTPUT_DIR, 'broken.psd');
+    const slices = encodeSlices(512, 512, [{ id: 1, origin: 2, name: 'banner', rect: [0, 0, 512, 100], url: '', alt: '' }]);
+    fs.writeFileSync(brokenFilePath, setImageResource(fs.readFileSync(PSD_FILE_PATH), 1050, slices.slice(0, 60)));
+    const { document, diagnostics } = await psd2json.convert(brokenFilePath, { logger: {} });
+    assert.equal(document.slices, undefined);
+    assert.equal(document.children.length, 3);
+    assert.deepEqual(diagnostics.map(diagnostic => [diagnostic.severity, diagnostic.code, diagnostic.layer]),
+      [['warning', 'slices-unreadable', null]]);
+  });
+});
+
+describe('Reading layer effects.', function() {
+
+  it('Effects using global light follow the document angle.', async function() {
+    const { document } = await psd2json.convert(path.join(__dirname, 'effects.psd'), { logger: {} });
+    const { dropShadow } = document.children[0].effects;
+    assert.equal(dropShadow.angle, 30);
+    assert.equal(dropShadow.distance, 4);
+    assert.deepEqual([dropShadow.offsetX, dropShadow.offsetY], [-3.464, 2]);
+  });
+});
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listPsdFiles, globToRegExp, globBase, expandInputs, matchesInput } = require('../lib/inputs.js');
+
+describe('Input files.', function() {
+
+  let dir = null;
+
+  before(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'psd2json-'));
+    fs.mkdirSync(path.join(dir, 'screens', 'home'), { recursive: true });
+    for (const file of ['a.psd', 'notes.txt', 'screens/b.PSD', 'screens/home/c.psd', 'screens/home/d.png']) {
+      fs.writeFileSync(path.join(dir, file), '');
+    }
+  });
+
+  after(function() {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('Lists PSD files recursively.', function() {
+    assert.deepEqual(listPsdFiles(dir), [
+      path.join(dir, 'a.psd'), path.join(dir, 'screens', 'b.PSD'), path.join(dir, 'screens', 'home', 'c.psd')
+    ]);
+  });
+
+  it('Converts glob patterns.', function() {
+    assert.ok(globToRegExp('/a/**/*.psd').test('/a/b.psd'));
+    assert.ok(globToRegExp('/a/**/*.psd').test('/a/b/c/d.psd'));
+    assert.ok(!globToRegExp('/a/*.psd').test('/a/b/c.psd'));
+    assert.ok(globToRegExp('/a/{home,about}_?.psd').test('/a/about_1.psd'));
+    assert.ok(globToRegExp('/a/[!x]*.psd').test('/a/b.psd'));
+    assert.ok(!globToRegExp('/a/[!x]*.psd').test('/a/x.psd'));
+    assert.ok(!globToRegExp('/a/b.psd').test('/a/bxpsd'));
+    assert.equal(globBase('/a/b/**/*.psd'), '/a/b');
+  });
+
+  it('Expands files, directories and patterns.', function() {
+    const { files, missing } = expandInputs([
+      path.join(dir, 'screens'),
+      path.join(dir, '*.psd'),
+      path.join(dir, 'screens', 'home', 'c.psd'),
+      path.join(dir, 'missing', '*.psd')
+    ]);
+    assert.deepEqual(files, [
+      { file: path.join(dir, 'screens', 'b.PSD'), base: path.join(dir, 'screens') },
+      { file: path.join(dir, 'screens', 'home', 'c.psd'), base: path.join(dir, 'screens') },
+      { file: path.join(dir, 'a.psd'), base: dir }
+    ]);
+    assert.deepEqual(missing, [path.join(dir, 'missing', '*.psd')]);
+  });
+
+  it('Matches files against inputs.', function() {
+    const file = path.join(dir, 'screens', 'home', 'c.psd');
+    assert.ok(matchesInput(path.join(dir, 'screens'), file));
+    assert.ok(matchesInput(path.join(dir, '**', 'c.psd'), file));
+    assert.ok(matchesInput(file, file));
+    assert.ok(!matchesInput(path.join(dir, 'screens', 'home', '*.png'), file));
+    assert.ok(!matchesInput(path.join(dir, 'screens', 'home'), path.join(dir, 'a.psd')));
+  });
+});
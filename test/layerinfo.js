@@ -0,0 +1,29 @@
+const assert = require('assert');
+const path = require('path');
+const PSD = require('psd');
+const { loadInfo, readRawInfo } = require('../lib/layerinfo.js');
+
+describe('Layer info.', function() {
+
+  it('Loads lazy blocks before reading them.', function() {
+    const block = { value: 128 };
+    const info = { loaded: false, obj: block, load: () => Object.assign(info, { loaded: true }) };
+    assert.equal(loadInfo({ fillOpacity: () => info }, 'fillOpacity'), block);
+    assert.equal(info.loaded, true);
+  });
+
+  it('Returns plain blocks and null for missing ones.', function() {
+    assert.deepEqual(loadInfo({ fillOpacity: () => ({ value: 10 }) }, 'fillOpacity'), { value: 10 });
+    assert.equal(loadInfo({}, 'fillOpacity'), null);
+  });
+
+  it('Reads raw blocks from the layer records.', function() {
+    const psd = PSD.fromFile(path.join(__dirname, 'text.psd'));
+    psd.parse();
+    const [layer] = psd.layers;
+    // The unicode name starts with its length
+    assert.equal(readRawInfo(layer, ['artd', 'luni']).readUInt32BE(0), 'title'.length);
+    assert.equal(readRawInfo(layer, ['artd']), null);
+    assert.equal(readRawInfo({}, ['luni']), null);
+  });
+});
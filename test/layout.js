@@ -0,0 +1,84 @@
+const assert = require('assert');
+const { getBox, detectLayout, inferLayout } = require('../lib/layout.js');
+
+function image(name, x, y, width, height) {
+  return { name, type: 'image', x, y, width, height };
+}
+
+function group(name, x, y, children, width = 0, height = 0) {
+  return { name, type: 'group', x, y, width, height, children };
+}
+
+describe('Layout inference.', function() {
+
+  it('Groups without bounds cover their children.', function() {
+    assert.deepEqual(getBox(group('a', 10, 20, [image('b', 5, 5, 10, 10), image('c', 30, 0, 10, 40)])),
+      { x: 15, y: 20, width: 35, height: 40 });
+    assert.equal(getBox(group('empty', 0, 0, [])), null);
+  });
+
+  it('Detects a horizontal stack.', function() {
+    const layout = detectLayout([image('a', 10, 10, 40, 20), image('b', 60, 10, 40, 20), image('c', 111, 10, 40, 20)], null, 2);
+    assert.deepEqual(layout, {
+      direction: 'horizontal',
+      gap: 10.5,
+      padding: { top: 0, right: 0, bottom: 0, left: 0 },
+      align: 'start',
+      repeated: true
+    });
+  });
+
+  it('Detects a vertical stack aligned at the end.', function() {
+    const layout = detectLayout([image('a', 0, 0, 100, 20), image('b', 50, 30, 50, 20), image('c', 20, 60, 80, 30)],
+      { x: 0, y: 0, width: 120, height: 100 }, 2);
+    assert.equal(layout.direction, 'vertical');
+    assert.equal(layout.gap, 10);
+    assert.equal(layout.align, 'end');
+    assert.deepEqual(layout.padding, { top: 0, right: 20, bottom: 10, left: 0 });
+    assert.equal(layout.repeated, undefined);
+  });
+
+  it('Does not stack overlapping children or uneven gaps.', function() {
+    assert.equal(detectLayout([image('a', 0, 0, 50, 50), image('b', 40, 40, 50, 50)], null, 2), null);
+    assert.equal(detectLayout([image('a', 0, 0, 10, 10), image('b', 20, 0, 10, 10), image('c', 60, 0, 10, 10)], null, 2), null);
+  });
+
+  it('Lays out items on a background.', function() {
+    const layout = detectLayout([
+      image('icon1', 20, 10, 30, 30),
+      image('icon2', 60, 10, 30, 30),
+      image('panel', 0, 0, 200, 50)
+    ], null, 2);
+    assert.equal(layout.background, 'panel');
+    assert.deepEqual(layout.padding, { top: 10, right: 110, bottom: 10, left: 20 });
+    assert.equal(layout.align, 'center');
+  });
+
+  it('Detects grids of repeated items.', function() {
+    const cell = (index, x, y) => group(`cell${index}`, x, y, [image('icon', 0, 0, 40, 40)], 40, 40);
+    const layout = detectLayout([cell(1, 0, 0), cell(2, 50, 0), cell(3, 100, 0), cell(4, 0, 60), cell(5, 50, 60)], null, 2);
+    assert.deepEqual(layout, {
+      direction: 'grid',
+      columns: 3,
+      gap: { row: 20, column: 10 },
+      padding: { top: 0, right: 0, bottom: 0, left: 0 },
+      align: 'start',
+      repeated: true
+    });
+  });
+
+  it('Anchors nodes to the document and to parents with bounds.', function() {
+    const nodes = [
+      group('footer', 0, 0, [image('back', 0, 400, 320, 80), image('ok', 140, 420, 40, 40)]),
+      image('close', 280, 10, 30, 30),
+      group('dialog', 60, 100, [image('title', 10, 10, 180, 20), image('badge', 170, 170, 20, 20)], 200, 200)
+    ];
+    inferLayout(nodes, { width: 320, height: 480 });
+    assert.deepEqual(nodes[0].constraints, { horizontal: 'stretch', vertical: 'bottom' });
+    assert.deepEqual(nodes[0].children[1].constraints, { horizontal: 'center', vertical: 'bottom' });
+    assert.deepEqual(nodes[1].constraints, { horizontal: 'right', vertical: 'top' });
+    assert.deepEqual(nodes[2].constraints, { horizontal: 'center', vertical: 'center' });
+    assert.deepEqual(nodes[2].children[0].constraints, { horizontal: 'center', vertical: 'top' });
+    assert.deepEqual(nodes[2].children[1].constraints, { horizontal: 'right', vertical: 'bottom' });
+  });
+});
@@ -0,0 +1,39 @@
+const assert = require('assert');
+const { createConsoleLogger, createLogger } = require('../lib/logger.js');
+
+describe('Logging.', function() {
+
+  it('Writes messages from the given level up.', function() {
+    const lines = [];
+    const logger = createConsoleLogger({ level: 'info', write: line => lines.push(line) });
+    logger.debug('parsed');
+    logger.info('converted');
+    logger.warn('no atlas');
+    logger.error('failed');
+    assert.deepEqual(lines, ['converted', 'Warning: no atlas', 'Error: failed']);
+  });
+
+  it('Writes JSON lines with the fields.', function() {
+    const lines = [];
+    const logger = createConsoleLogger({ level: 'debug', format: 'json', write: line => lines.push(line) });
+    logger.warn('Layer "a": broken', { layer: 'a', code: 'shape-unreadable' });
+    const entry = JSON.parse(lines[0]);
+    assert.match(entry.time, /^\d{4}-\d\d-\d\dT/);
+    delete entry.time;
+    assert.deepEqual(entry, { level: 'warn', message: 'Layer "a": broken', layer: 'a', code: 'shape-unreadable' });
+  });
+
+  it('Rejects unknown levels and formats.', function() {
+    assert.throws(() => createConsoleLogger({ level: 'trace' }), /Unknown log level "trace"/);
+    assert.throws(() => createConsoleLogger({ format: 'xml' }), /Unknown log format "xml"/);
+  });
+
+  it('Completes partial loggers.', function() {
+    const messages = [];
+    const logger = createLogger({ prefix: '> ', error(message) { messages.push(this.prefix + message); } });
+    logger.debug('ignored');
+    logger.warn('ignored');
+    logger.error('failed');
+    assert.deepEqual(messages, ['> failed']);
+  });
+});
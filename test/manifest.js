@@ -0,0 +1,67 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hashBitmap, readManifest, createManifest, compareManifests, removeStaleFiles } = require('../lib/manifest.js');
+
+function createBitmap(value) {
+  return { data: Buffer.alloc(2 * 2 * 4, value), width: 2, height: 2 };
+}
+
+describe('Incremental manifest.', function() {
+
+  it('Pixel hashes depend on pixels and settings.', function() {
+    const hash = hashBitmap(createBitmap(1), { format: 'png' });
+    assert.equal(hashBitmap(createBitmap(1), { format: 'png' }), hash);
+    assert.notEqual(hashBitmap(createBitmap(2), { format: 'png' }), hash);
+    assert.notEqual(hashBitmap(createBitmap(1), { format: 'webp' }), hash);
+  });
+
+  it('Layers are keyed by id, or by path without one.', function() {
+    const image = { name: 'image', id: 7, type: 'image', x: 0, y: 0 };
+    const group = { name: 'group', type: 'group', x: 0, y: 0, children: [image] };
+    const manifest = createManifest([group], new Map([[image, 'abc']]), new Map([[image, ['doc/group/image.png']]]));
+
+    assert.deepEqual(Object.keys(manifest.layers).sort(), ['7', 'path:group']);
+    assert.equal(manifest.layers['7'].path, 'group/image');
+    assert.equal(manifest.layers['7'].pixels, 'abc');
+    assert.deepEqual(manifest.layers['7'].files, ['doc/group/image.png']);
+  });
+
+  it('Reports added, removed and modified layers.', function() {
+    const nodes = [{ name: 'a', id: 1, x: 0 }, { name: 'b', id: 2, x: 0 }];
+    const previous = createManifest(nodes, new Map(), new Map());
+    const current = createManifest([{ name: 'a', id: 1, x: 5 }, { name: 'c', id: 3, x: 0 }], new Map(), new Map());
+
+    assert.deepEqual(compareManifests(previous, current), {
+      added: [{ key: '3', name: 'c', path: 'c' }],
+      removed: [{ key: '2', name: 'b', path: 'b' }],
+      modified: [{ key: '1', name: 'a', path: 'a' }]
+    });
+    assert.deepEqual(compareManifests(current, current), { added: [], removed: [], modified: [] });
+  });
+
+  it('Ignores missing and outdated manifests.', function() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'psd2json-'));
+    const manifestPath = path.join(dir, 'doc.manifest.json');
+    assert.equal(readManifest(manifestPath), null);
+    fs.writeFileSync(manifestPath, JSON.stringify({ version: 0, layers: {} }));
+    assert.equal(readManifest(manifestPath), null);
+    fs.writeFileSync(manifestPath, JSON.stringify({ version: 1, layers: {} }));
+    assert.deepEqual(readManifest(manifestPath), { version: 1, layers: {} });
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('Removes files no longer written.', function() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'psd2json-'));
+    fs.writeFileSync(path.join(dir, 'a.png'), '');
+    fs.writeFileSync(path.join(dir, 'b.png'), '');
+    const previous = { version: 1, layers: { 1: { files: ['a.png'] }, 2: { files: ['b.png'] } } };
+    const current = { version: 1, layers: { 1: { files: ['a.png'] } } };
+
+    assert.deepEqual(removeStaleFiles(previous, current, dir), ['b.png']);
+    assert.ok(fs.existsSync(path.join(dir, 'a.png')));
+    assert.ok(!fs.existsSync(path.join(dir, 'b.png')));
+    fs.rmSync(dir, { recursive: true });
+  });
+});
@@ -0,0 +1,58 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runPool } = require('../lib/pool.js');
+
+// Doubles numbers, crashes on negative ones and exits on zero
+const WORKER = `
+const { parentPort } = require('worker_threads');
+parentPort.on('message', value => {
+  if (value === 0) {
+    process.exit(3);
+  }
+  if (value < 0) {
+    throw new Error('negative');
+  }
+  parentPort.postMessage({ value: value * 2 });
+});
+`;
+
+describe('Worker pool.', function() {
+
+  let dir = null;
+  let workerFile = null;
+
+  before(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'psd2json-'));
+    workerFile = path.join(dir, 'worker.js');
+    fs.writeFileSync(workerFile, WORKER);
+  });
+
+  after(function() {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('Returns results in task order.', async function() {
+    const seen = [];
+    const results = await runPool(workerFile, [1, 2, 3, 4, 5], { size: 2, onResult: (result, task) => seen.push(task) });
+    assert.deepEqual(results, [2, 4, 6, 8, 10].map(value => ({ value })));
+    assert.deepEqual(seen.sort(), [1, 2, 3, 4, 5]);
+  });
+
+  it('Fails only the tasks of crashed workers.', async function() {
+    const results = await runPool(workerFile, [1, -1, 3], { size: 1 });
+    assert.deepEqual(results, [{ value: 2 }, { error: 'negative' }, { value: 6 }]);
+  });
+
+  it('Fails the tasks of workers that exit.', async function() {
+    const seen = [];
+    const results = await runPool(workerFile, [1, 0, 3, 0], { size: 2, onResult: (result, task) => seen.push(task) });
+    assert.deepEqual(results, [{ value: 2 }, { error: 'Worker exited with code 3' }, { value: 6 }, { error: 'Worker exited with code 3' }]);
+    assert.equal(seen.length, 4);
+  });
+
+  it('Handles no tasks.', async function() {
+    assert.deepEqual(await runPool(workerFile, []), []);
+  });
+});
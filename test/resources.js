@@ -0,0 +1,40 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { readImageResources, parseGuides, parseGlobalAngle, parseSlices } = require('../lib/resources.js');
+
+describe('Image resources.', function() {
+
+  it('Reads the resources of a PSD file.', function() {
+    const resources = readImageResources(fs.readFileSync(path.join(__dirname, 'sample.psd')));
+    assert.ok(resources.has(1005));
+    assert.deepEqual(parseGuides(resources.get(1032)), []);
+  });
+
+  it('Parses guides.', function() {
+    const data = Buffer.alloc(26);
+    data.writeUInt32BE(1, 0);
+    data.writeUInt32BE(2, 12);
+    data.writeInt32BE(100 * 32, 16);
+    data.writeUInt8(0, 20);
+    data.writeInt32BE(48, 21);
+    data.writeUInt8(1, 25);
+    assert.deepEqual(parseGuides(data), [
+      { position: 100, direction: 'vertical' },
+      { position: 1.5, direction: 'horizontal' }
+    ]);
+  });
+
+  it('Parses the global angle.', function() {
+    assert.equal(parseGlobalAngle(Buffer.from([0xff, 0xff, 0xff, 0xe2])), -30);
+    assert.equal(parseGlobalAngle(undefined), undefined);
+  });
+
+  it('Parses slices.', function() {
+    const slices = parseSlices(readImageResources(fs.readFileSync(path.join(__dirname, 'sample.psd'))).get(1050));
+    assert.deepEqual(slices.map(slice => [slice.origin, slice.type, slice.x, slice.y, slice.width, slice.height]),
+      [['auto', 'image', 0, 0, 512, 512]]);
+    assert.deepEqual(parseSlices(Buffer.from([0, 0, 0, 9])), []);
+    assert.deepEqual(parseSlices(undefined), []);
+  });
+});
@@ -0,0 +1,39 @@
+const assert = require('assert');
+const { scaleRect, scaleStructure } = require('../lib/scale.js');
+
+describe('Document scaling.', function() {
+
+  it('Keeps adjacent rectangles adjacent.', function() {
+    const a = scaleRect(0, 0, 3, 3, 0.5);
+    const b = scaleRect(3, 0, 3, 3, 0.5);
+    assert.equal(a.left + a.width, b.left);
+  });
+
+  it('Scales nested coordinates, text and effects.', function() {
+    const structure = [{
+      x: 10, y: 10, width: 0, height: 0,
+      children: [{
+        x: 11, y: 0, width: 100, height: 41,
+        text: { size: 24, runs: [{ size: 24, baselineShift: 2, leading: 'auto' }], paragraphs: [] },
+        effects: { dropShadow: { distance: 4, offsetX: 0, offsetY: 4, size: 6, opacity: 0.5 } }
+      }]
+    }];
+    scaleStructure(structure, 0.5);
+    const child = structure[0].children[0];
+    assert.deepEqual([structure[0].x, structure[0].y], [5, 5]);
+    assert.deepEqual([child.x, child.y, child.width, child.height], [6, 0, 50, 21]);
+    assert.equal(child.text.size, 12);
+    assert.equal(child.text.runs[0].baselineShift, 1);
+    assert.equal(child.effects.dropShadow.size, 3);
+    assert.equal(child.effects.dropShadow.opacity, 0.5);
+  });
+
+  it('Scales the untrimmed bounds.', function() {
+    const structure = [{
+      x: 10, y: 10, width: 0, height: 0,
+      children: [{ x: 4, y: 4, width: 10, height: 10, sourceRect: { x: 0, y: 0, width: 20, height: 20 } }]
+    }];
+    scaleStructure(structure, 0.5);
+    assert.deepEqual(structure[0].children[0].sourceRect, { x: 0, y: 0, width: 10, height: 10 });
+  });
+});
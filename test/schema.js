@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { SCHEMA, SCHEMA_VERSION, validate } = require('../lib/schema.js');
+
+function createDocument(children) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    generator: { name: 'psd2json', version: '1.0.0' },
+    document: { name: 'doc', width: 100, height: 100, colorMode: 'RGBColor', depth: 8, dpi: 72 },
+    source: { file: 'doc.psd', sha256: '0'.repeat(64) },
+    children
+  };
+}
+
+describe('Schema validation.', function() {
+
+  it('Accepts nodes of every type.', function() {
+    const result = validate(JSON.stringify(createDocument([{
+      name: 'group', type: 'group', x: 0, y: 0, width: 10, height: 10,
+      children: [
+        { name: 'image', type: 'image', x: 0, y: 0, width: 10, height: 10, fileName: 'image.png' },
+        { name: 'label', type: 'text', x: 0, y: 0, width: 10, height: 10,
+          text: { content: 'Hi', font: 'Arial', size: 12, color: 'rgba(0, 0, 0, 1)' } },
+        { name: 'box', type: 'shape', x: 0, y: 0, width: 10, height: 10,
+          shape: { kind: 'rectangle', path: 'M 0 0 Z', fill: null, stroke: null } }
+      ]
+    }])));
+    assert.deepEqual(result, { valid: true, errors: [] });
+  });
+
+  it('Reports errors with their path.', function() {
+    const result = validate(createDocument([
+      { name: 'group', type: 'group', x: 0, y: 0, width: 10, height: 10 },
+      { name: 'label', type: 'text', x: 0, y: 0, width: -1, height: 10, text: { content: 'Hi' } }
+    ]));
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors.map(error => `${error.path} ${error.message}`), [
+      '/children/0 must have property children',
+      '/children/1/width must be >= 0',
+      '/children/1/text must have property font',
+      '/children/1/text must have property size',
+      '/children/1/text must have property color'
+    ]);
+  });
+
+  it('Rejects other major versions and invalid JSON.', function() {
+    assert.equal(validate(Object.assign(createDocument([]), { schemaVersion: '2.0.0' })).valid, false);
+    assert.equal(validate('{').errors[0].path, '/');
+  });
+
+  it('The schema is of the current version.', function() {
+    assert.equal(SCHEMA.$comment, `Schema version ${SCHEMA_VERSION}`);
+  });
+});
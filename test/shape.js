@@ -0,0 +1,117 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const PSD = require('psd');
+const rimraf = require('rimraf');
+const psd2json = require('../index.js');
+const { isShapeLayer, pathToSvg, extractShape } = require('../lib/shape.js');
+const { renderSvg } = require('../lib/svg.js');
+const { scaleStructure } = require('../lib/scale.js');
+
+// A closed path record around (x, y) in a 100x50 document, without curve handles
+function knot(x, y) {
+  const point = { horiz: x / 100, vert: y / 50 };
+  return { recordType: 1, linked: true, closed: true, preceding: point, anchor: point, leaving: point };
+}
+
+function shapeLayer() {
+  return {
+    vectorMask: () => ({
+      export: () => ({ paths: [{ recordType: 6 }, { recordType: 0, numPoints: 4 }, knot(10, 10), knot(30, 10), knot(30, 20), knot(10, 20)] })
+    }),
+    solidColor: () => ({ colorData: () => ({ 'Rd  ': 255, 'Grn ': 0, 'Bl  ': 0 }) }),
+    vectorStroke: () => ({
+      data: {
+        'strokeEnabled': true,
+        'fillEnabled': true,
+        'strokeStyleLineWidth': { id: '#Pxl', unit: 'Pixels', value: 2 },
+        'strokeStyleLineDashSet': [{ id: '#Nne', unit: 'None', value: 2 }, { id: '#Nne', unit: 'None', value: 1 }],
+        'strokeStyleLineAlignment': { type: 'strokeStyleLineAlignment', value: 'strokeStyleAlignInside' },
+        'strokeStyleLineCapType': { type: 'strokeStyleLineCapType', value: 'strokeStyleRoundCap' },
+        'strokeStyleOpacity': { id: '#Prc', unit: 'Percent', value: 50 },
+        'strokeStyleContent': { 'Clr ': { 'Rd  ': 0, 'Grn ': 0, 'Bl  ': 255 } }
+      }
+    }),
+    vectorOrigination: () => ({
+      data: {
+        'keyDescriptorList': [{
+          'keyOriginType': 2,
+          'keyOriginRRectRadii': {
+            'topLeft': { value: 4 }, 'topRight': { value: 4 }, 'bottomRight': { value: 0 }, 'bottomLeft': { value: 0 }
+          }
+        }]
+      }
+    })
+  };
+}
+
+describe('Shape layers.', function() {
+
+  it('Recognizes shape layers.', function() {
+    assert.ok(isShapeLayer(shapeLayer()));
+    assert.ok(!isShapeLayer({ vectorMask: () => ({}) }));
+  });
+
+  it('Converts path records to SVG path data.', function() {
+    const records = [{ recordType: 3, numPoints: 2 }, knot(10, 10), knot(30, 20)];
+    assert.equal(pathToSvg(records, { width: 100, height: 50, x: 10, y: 10 }), 'M 0 0 C 0 0 20 10 20 10');
+  });
+
+  it('Reads geometry, fill, stroke and corner radii.', function() {
+    const shape = extractShape(shapeLayer(), { width: 100, height: 50, x: 10, y: 10 });
+    assert.equal(shape.kind, 'roundedRectangle');
+    assert.deepEqual(shape.radii, { topLeft: 4, topRight: 4, bottomRight: 0, bottomLeft: 0 });
+    assert.equal(shape.path, 'M 0 0 C 0 0 20 0 20 0 C 20 0 20 10 20 10 C 20 10 0 10 0 10 C 0 10 0 0 0 0 Z');
+    assert.deepEqual(shape.fill, { type: 'solid', color: 'rgba(255, 0, 0, 1)' });
+    assert.equal(shape.stroke.width, 2);
+    assert.equal(shape.stroke.alignment, 'inside');
+    assert.equal(shape.stroke.cap, 'round');
+    assert.deepEqual(shape.stroke.dash, [4, 2]);
+    assert.equal(shape.stroke.opacity, 0.5);
+    assert.deepEqual(shape.stroke.fill, { type: 'solid', color: 'rgba(0, 0, 255, 1)' });
+  });
+
+  it('Renders a standalone SVG.', function() {
+    const shape = extractShape(shapeLayer(), { width: 100, height: 50, x: 10, y: 10 });
+    const svg = renderSvg(shape, 20, 10);
+    assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="20" height="10" viewBox="0 0 20 10">'));
+    assert.ok(svg.includes('fill="rgb(255, 0, 0)"'));
+    assert.ok(svg.includes('stroke="rgb(0, 0, 255)" stroke-width="4"'));
+    assert.ok(svg.includes('clip-path="url(#inside)"'));
+  });
+
+  it('Scales path data, strokes and radii.', function() {
+    const node = { x: 0, y: 0, width: 20, height: 10, shape: extractShape(shapeLayer(), { width: 100, height: 50, x: 10, y: 10 }) };
+    scaleStructure([node], 0.5);
+    assert.equal(node.shape.path, 'M 0 0 C 0 0 10 0 10 0 C 10 0 10 5 10 5 C 10 5 0 5 0 5 C 0 5 0 0 0 0 Z');
+    assert.equal(node.shape.stroke.width, 1);
+    assert.equal(node.shape.radii.topLeft, 2);
+  });
+});
+
+describe('Shape layers of a PSD.', function() {
+
+  const PSD_FILE_PATH = path.join(__dirname, 'shape.psd');
+  const OUTPUT_DIR = path.join(__dirname, 'output', 'shapes');
+  const TRIANGLE = 'M 12 0 C 12 0 24 20 24 20 C 24 20 0 20 0 20 C 0 20 12 0 12 0 Z';
+
+  it('Geometry and paint are read from the layers.', function() {
+    const psd = PSD.fromFile(PSD_FILE_PATH);
+    psd.parse();
+    const [box, triangle] = psd.tree().children().map(node => extractShape(node.layer, { width: 32, height: 32, x: node.left, y: node.top }));
+    assert.deepEqual([box.kind, box.fill, box.stroke], ['rectangle', { type: 'solid', color: 'rgba(0, 255, 0, 1)' }, null]);
+    assert.equal(triangle.kind, 'path');
+    assert.equal(triangle.path, TRIANGLE);
+    assert.deepEqual(triangle.fill, { type: 'solid', color: 'rgba(255, 0, 0, 1)' });
+    assert.deepEqual([triangle.stroke.width, triangle.stroke.alignment, triangle.stroke.fill.color], [2, 'inside', 'rgba(0, 0, 255, 1)']);
+  });
+
+  it('Shapes are written as SVG files.', async function() {
+    rimraf.sync(OUTPUT_DIR);
+    await psd2json.async(PSD_FILE_PATH, { outImgDir: OUTPUT_DIR, shapes: 'svg' });
+    const svg = fs.readFileSync(path.join(OUTPUT_DIR, 'shape', 'triangle.svg'), 'utf-8');
+    assert.ok(svg.includes(`<path d="${TRIANGLE}" fill="rgb(255, 0, 0)"/>`));
+    assert.ok(svg.includes('stroke="rgb(0, 0, 255)"'));
+    assert.ok(fs.readFileSync(path.join(OUTPUT_DIR, 'shape', 'box.svg'), 'utf-8').includes('fill="rgb(0, 255, 0)"'));
+  });
+});
@@ -0,0 +1,58 @@
+const assert = require('assert');
+const { detectSlice, sliceFromGuides, createMinimalBitmap } = require('../lib/slice.js');
+const { createEmpty } = require('../lib/image.js');
+
+// A 20x10 panel with a 3px red border around a white center, in 2px transparent margins
+function panel() {
+  const bitmap = createEmpty(24, 14);
+  for (let y = 2; y < 12; y++) {
+    for (let x = 2; x < 22; x++) {
+      const border = x < 5 || x >= 19 || y < 5 || y >= 9;
+      bitmap.data.set(border ? [255, 0, 0, 255] : [255, 255, 255, 255], (y * bitmap.width + x) * 4);
+    }
+  }
+  return bitmap;
+}
+
+describe('Nine-slice insets.', function() {
+
+  it('Detects the uniform center of a bitmap.', function() {
+    assert.deepEqual(detectSlice(panel()), { left: 5, top: 5, right: 5, bottom: 5 });
+  });
+
+  it('Ignores bitmaps without a uniform center.', function() {
+    const bitmap = createEmpty(8, 8);
+    for (let i = 0; i < bitmap.data.length; i += 4) {
+      bitmap.data.set([i % 256, i % 7, 0, 255], i);
+    }
+    assert.equal(detectSlice(bitmap), null);
+  });
+
+  it('Takes insets from the outermost guides inside the bounds.', function() {
+    const guides = [
+      { position: 14, direction: 'vertical' },
+      { position: 30, direction: 'vertical' },
+      { position: 20, direction: 'vertical' },
+      { position: 200, direction: 'vertical' },
+      { position: 25, direction: 'horizontal' }
+    ];
+    const rect = { left: 10, top: 20, width: 24, height: 14 };
+    assert.deepEqual(sliceFromGuides(guides, rect), { left: 4, top: 0, right: 4, bottom: 0 });
+    assert.equal(sliceFromGuides(guides.slice(3), rect), null);
+  });
+
+  it('Reduces the center to a single row and column.', function() {
+    const bitmap = panel();
+    const minimal = createMinimalBitmap(bitmap, { left: 5, top: 5, right: 5, bottom: 5 });
+    assert.deepEqual([minimal.width, minimal.height], [11, 11]);
+    assert.deepEqual([...minimal.data.subarray((5 * 11 + 5) * 4, (5 * 11 + 6) * 4)], [255, 255, 255, 255]);
+    assert.deepEqual([...minimal.data.subarray((5 * 11 + 6) * 4, (5 * 11 + 7) * 4)], [255, 0, 0, 255]);
+  });
+
+  it('Keeps centers that are not uniform.', function() {
+    const bitmap = panel();
+    bitmap.data.set([0, 0, 255, 255], (7 * bitmap.width + 12) * 4);
+    const minimal = createMinimalBitmap(bitmap, { left: 5, top: 5, right: 5, bottom: 5 });
+    assert.strictEqual(minimal, bitmap);
+  });
+});
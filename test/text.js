@@ -0,0 +1,96 @@
+const assert = require('assert');
+const path = require('path');
+const psd2json = require('../index.js');
+const { extractRuns, extractParagraphs, getTextColor, getTextStyle } = require('../lib/text.js');
+
+const CONTENT = 'Price 9.99\rNow';
+
+const ENGINE_DATA = {
+  ResourceDict: {
+    FontSet: [{ Name: 'ArialMT' }, { Name: 'Arial-BoldMT' }],
+    TheNormalStyleSheet: 0,
+    StyleSheetSet: [{ StyleSheetData: { Font: 0, FontSize: 12, AutoLeading: true } }],
+    TheNormalParagraphSheet: 0,
+    ParagraphSheetSet: [{ Properties: { Justification: 0 } }]
+  },
+  EngineDict: {
+    StyleRun: {
+      RunLengthArray: [6, 4, 5],
+      RunArray: [
+        { StyleSheet: { StyleSheetData: { FillColor: { Values: [1, 0, 0, 0] } } } },
+        { StyleSheet: { StyleSheetData: { Font: 1, FontSize: 24, FauxBold: true, FillColor: { Values: [1, 1, 0, 0] } } } },
+        { StyleSheet: { StyleSheetData: { AutoLeading: false, Leading: 30, Underline: true } } }
+      ]
+    },
+    ParagraphRun: {
+      RunLengthArray: [11, 4],
+      RunArray: [
+        { ParagraphSheet: { Properties: { Justification: 2, SpaceAfter: 4 } } },
+        { ParagraphSheet: { Properties: { FirstLineIndent: 8 } } }
+      ]
+    }
+  }
+};
+
+describe('Text runs.', function() {
+
+  const runs = extractRuns(ENGINE_DATA, CONTENT);
+
+  it('Splits ranges by RunLengthArray.', function() {
+    assert.deepEqual(runs.map(r => [r.start, r.end]), [[0, 6], [6, 10], [10, 14]]);
+    assert.equal(runs[1].text, '9.99');
+  });
+
+  it('Resolves fonts, sizes and colors per run.', function() {
+    assert.equal(runs[0].font, 'ArialMT');
+    assert.equal(runs[0].size, 12);
+    assert.equal(runs[1].font, 'Arial-BoldMT');
+    assert.equal(runs[1].size, 24);
+    assert.equal(runs[1].color, 'rgba(255, 0, 0, 1)');
+    assert.ok(runs[1].fauxBold);
+  });
+
+  it('Clamps the trailing run to the text length.', function() {
+    assert.equal(runs[2].end, CONTENT.length);
+    assert.equal(runs[2].leading, 30);
+    assert.ok(runs[2].underline);
+    assert.equal(runs[0].leading, 'auto');
+  });
+
+  it('Extracts paragraph settings.', function() {
+    const paragraphs = extractParagraphs(ENGINE_DATA, CONTENT);
+    assert.equal(paragraphs.length, 2);
+    assert.equal(paragraphs[0].alignment, 'center');
+    assert.equal(paragraphs[0].spaceAfter, 4);
+    assert.equal(paragraphs[1].alignment, 'left');
+    assert.equal(paragraphs[1].firstLineIndent, 8);
+  });
+
+  it('Takes the color of the text from the first run.', function() {
+    assert.equal(getTextColor({ color: 'rgba(0, 0, 0, 255)', runs: [{ color: 'rgba(255, 0, 0, 0.5)' }] }), 'rgba(255, 0, 0, 0.5)');
+    assert.equal(getTextColor({ color: 'rgba(0, 0, 255, 255)', runs: [] }), 'rgba(0, 0, 255, 1)');
+  });
+
+  it('Takes the style of the text from the first run and paragraph.', function() {
+    const text = { font: 'AdobeInvisFont', size: 0, color: 'rgba(0, 0, 0, 255)', alignment: 'left' };
+    assert.deepEqual(getTextStyle(Object.assign({
+      runs: extractRuns(ENGINE_DATA, CONTENT),
+      paragraphs: extractParagraphs(ENGINE_DATA, CONTENT)
+    }, text)), { font: 'ArialMT', size: 12, color: 'rgba(0, 0, 0, 1)', alignment: 'center' });
+    assert.deepEqual(getTextStyle(text), { font: 'AdobeInvisFont', size: 0, color: 'rgba(0, 0, 0, 1)', alignment: 'left' });
+  });
+});
+
+describe('Text layers of a PSD.', function() {
+
+  it('Content, runs and paragraphs come from the type layer.', async function() {
+    const [title] = JSON.parse(await psd2json.async(path.join(__dirname, 'text.psd'))).children;
+    assert.equal(title.text.content, 'Hello\rworld');
+    assert.deepEqual(title.text.runs.map(run => [run.text, run.font, run.size, run.color]), [
+      ['Hello\r', 'ArialMT', 12, 'rgba(255, 0, 0, 1)'],
+      ['world', 'ArialMT', 10, 'rgba(0, 0, 255, 1)']
+    ]);
+    assert.deepEqual(title.text.paragraphs.map(paragraph => paragraph.alignment), ['center', 'center']);
+    assert.equal(title.text.transform.ty, 16);
+  });
+});
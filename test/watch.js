@@ -0,0 +1,90 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { waitUntilWritten, watch } = require('../lib/watch.js');
+
+const OPTIONS = { debounce: 50, interval: 30, checks: 2 };
+
+describe('Watching PSD files.', function() {
+
+  let dir = null;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'psd2json-'));
+    fs.mkdirSync(path.join(dir, 'sub'));
+    fs.writeFileSync(path.join(dir, 'a.psd'), 'a');
+    fs.writeFileSync(path.join(dir, 'sub', 'b.PSD'), 'b');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('Waits until a file stops changing.', async function() {
+    const file = path.join(dir, 'a.psd');
+    const writer = setInterval(() => fs.appendFileSync(file, 'x'), 20);
+    setTimeout(() => clearInterval(writer), 150);
+
+    const start = Date.now();
+    assert.equal(await waitUntilWritten(file, OPTIONS), true);
+    assert.ok(Date.now() - start >= 150);
+    assert.equal(await waitUntilWritten(path.join(dir, 'missing.psd'), OPTIONS), false);
+  });
+
+  it('Converts a changed file once per burst of writes.', async function() {
+    const changed = [];
+    const watcher = watch([dir], async file => changed.push(file), OPTIONS);
+    try {
+      const file = path.join(dir, 'sub', 'b.PSD');
+      for (let i = 0; i < 3; i++) {
+        fs.appendFileSync(file, 'x');
+        fs.appendFileSync(path.join(dir, 'notes.txt'), 'x');
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      await new Promise(resolve => setTimeout(resolve, 400));
+      assert.deepEqual(changed, [file]);
+    } finally {
+      watcher.close();
+    }
+  });
+
+  it('Follows files replaced on save.', async function() {
+    const changed = [];
+    const file = path.join(dir, 'a.psd');
+    const watcher = watch([file], async changedFile => changed.push(changedFile), OPTIONS);
+    try {
+      fs.writeFileSync(path.join(dir, 'a.tmp'), 'new');
+      fs.renameSync(path.join(dir, 'a.tmp'), file);
+      await new Promise(resolve => setTimeout(resolve, 400));
+      assert.deepEqual(changed, [file]);
+    } finally {
+      watcher.close();
+    }
+  });
+
+  it('Reports errors of the watchers.', async function() {
+    const errors = [];
+    const watchers = [];
+    const fsWatch = fs.watch;
+    fs.watch = (...args) => {
+      const fsWatcher = fsWatch(...args);
+      watchers.push(fsWatcher);
+      return fsWatcher;
+    };
+    const file = path.join(dir, 'a.psd');
+    let watcher = null;
+    try {
+      watcher = watch([file], async () => {}, Object.assign({ onError: (error, file) => errors.push([error.message, file]) }, OPTIONS));
+    } finally {
+      fs.watch = fsWatch;
+    }
+    try {
+      watchers[0].emit('error', new Error('EPERM'));
+      assert.deepEqual(errors, [['EPERM', file]]);
+    } finally {
+      watcher.close();
+    }
+  });
+});